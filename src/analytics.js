@@ -0,0 +1,111 @@
+/**
+ * Analytics
+ * Per-game trends for a team across its saved games: goals, shots, shots
+ * conceded, on-target % and xG in date order, rolling averages, first-half
+ * vs second-half splits and the date / opponent / venue filters.
+ */
+
+import { getTeamSide, getTotalShots, calculateAccuracy, countShots } from './stats.js';
+import { getShotXg, sumXg } from './xg.js';
+import { getPeriod, getShotPeriod, PERIOD_TYPES } from './periods.js';
+import { getOpponentGames, getGameOpponentName } from './opponents.js';
+
+export const ROLLING_WINDOW = 5;
+
+function otherSide(side) {
+    return side === 'home' ? 'away' : 'home';
+}
+
+// xG per side for a game, or null for both when none of its shots can be valued
+function getGameXg(game, side) {
+    const log = game.log || [];
+    if (!log.some(shot => getShotXg(shot) !== null)) return { xgFor: null, xgAgainst: null };
+
+    const sideXg = team => game[team]?.xg ?? sumXg(log.filter(shot => shot.team === team));
+    return { xgFor: sideXg(side), xgAgainst: sideXg(otherSide(side)) };
+}
+
+// One point per game from the team's side, oldest first
+export function getGameTrends(games, teamName) {
+    return [...(games || [])]
+        .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')))
+        .map(game => {
+            const side = getTeamSide(game, teamName);
+            const ours = game[side] || {};
+            const theirs = game[otherSide(side)] || {};
+            const shotsFor = getTotalShots(ours);
+
+            return {
+                gameId: game.id,
+                date: game.date,
+                opponent: getGameOpponentName(game, teamName) || null,
+                venue: side,
+                goalsFor: ours.goals || 0,
+                goalsAgainst: theirs.goals || 0,
+                shotsFor,
+                shotsAgainst: getTotalShots(theirs),
+                onTargetPct: calculateAccuracy(ours.onTarget || 0, shotsFor),
+                ...getGameXg(game, side)
+            };
+        });
+}
+
+// Average of each value and the ones before it, up to `size` values.
+// Nulls (games without the stat) are skipped; null until there's a value.
+export function rollingAverage(values, size = ROLLING_WINDOW) {
+    return values.map((_, index) => {
+        const windowValues = values
+            .slice(Math.max(0, index - size + 1), index + 1)
+            .filter(value => value !== null && value !== undefined);
+        if (windowValues.length === 0) return null;
+        const average = windowValues.reduce((total, value) => total + value, 0) / windowValues.length;
+        return Math.round(average * 100) / 100;
+    });
+}
+
+function createSplit() {
+    return { goalsFor: 0, goalsAgainst: 0, shotsFor: 0, shotsAgainst: 0, onTargetFor: 0 };
+}
+
+// Goals and shots for and against by half of regulation time (quarters fold
+// into their half; extra time and shootouts are left out), from shot logs
+export function getHalfSplits(games, teamName) {
+    const splits = { 1: createSplit(), 2: createSplit() };
+
+    (games || []).forEach(game => {
+        const side = getTeamSide(game, teamName);
+
+        (game.log || []).forEach(shot => {
+            const period = getPeriod(game.periodConfig, getShotPeriod(shot));
+            if (period.type !== PERIOD_TYPES.REGULATION || !splits[period.half]) return;
+
+            const split = splits[period.half];
+            const counts = countShots([shot]);
+            if (shot.team === side) {
+                split.shotsFor++;
+                split.goalsFor += counts.goals;
+                split.onTargetFor += counts.onTarget;
+            } else {
+                split.shotsAgainst++;
+                split.goalsAgainst += counts.goals;
+            }
+        });
+    });
+
+    const withAccuracy = split => ({ ...split, accuracy: calculateAccuracy(split.onTargetFor, split.shotsFor) });
+    return { firstHalf: withAccuracy(splits[1]), secondHalf: withAccuracy(splits[2]) };
+}
+
+// Games between two dates (inclusive, 'YYYY-MM-DD'), against an opponent
+// (a directory entry, or { name, aliases: [] } for an unlisted one) and at
+// home or away. Unset filters match everything.
+export function filterAnalyticsGames(games, { from = '', to = '', opponent = null, venue = 'all' } = {}, teamName) {
+    const opponentGames = opponent ? new Set(getOpponentGames(games, opponent, teamName)) : null;
+
+    return (games || []).filter(game =>
+        (!from || (game.date && game.date >= from)) &&
+        (!to || (game.date && game.date <= to)) &&
+        (!opponentGames || opponentGames.has(game)) &&
+        (venue === 'all' || getTeamSide(game, teamName) === venue)
+    );
+}
@@ -0,0 +1,150 @@
+/**
+ * Audit Log
+ * Readable change history from `audit_log` rows, which a database trigger
+ * writes for every insert, update and delete on games, players and rosters.
+ * Each row holds the changed columns as { before, after }; this turns them
+ * into a title ("Game edited") and one line per change people care about.
+ */
+
+export const AUDIT_ACTIONS = {
+    INSERT: 'insert',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+const TABLE_LABELS = {
+    games: 'Game',
+    players: 'Player',
+    rosters: 'Roster'
+};
+
+// Columns worth a line of their own, in display order. Anything not listed
+// (ids, owners, timestamps, the event stream) is bookkeeping and left out.
+const COLUMN_LABELS = {
+    games: {
+        game_date: 'Date',
+        home_team: 'Home team',
+        away_team: 'Away team',
+        home_color: 'Home color',
+        away_color: 'Away color',
+        team_side: 'Side',
+        final_time: 'Final time'
+    },
+    players: {
+        name: 'Name',
+        number: 'Number'
+    },
+    rosters: {
+        name: 'Name',
+        color: 'Color'
+    }
+};
+
+// Game columns whose values are too big to show; a change is just named
+const CHANGED_ONLY_COLUMNS = {
+    season_id: 'Season',
+    competition_id: 'Competition',
+    opponent_id: 'Opponent',
+    lineup: 'Lineup',
+    player_minutes: 'Playing time',
+    match_events: 'Match events',
+    period_config: 'Periods',
+    shootout: 'Shootout'
+};
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return 'none';
+    return String(value);
+}
+
+function getScore(homeStats, awayStats) {
+    return `${homeStats?.goals ?? 0}-${awayStats?.goals ?? 0}`;
+}
+
+// "Shots: 1 added, 2 edited" by entry id, or "Shots: 12 shots → 13 shots"
+// for older logs without ids
+export function describeListChange(label, noun, before, after) {
+    const oldList = Array.isArray(before) ? before : [];
+    const newList = Array.isArray(after) ? after : [];
+
+    if (![...oldList, ...newList].every(entry => entry?.id)) {
+        return `${label}: ${plural(oldList.length, noun)} → ${plural(newList.length, noun)}`;
+    }
+
+    const oldById = new Map(oldList.map(entry => [entry.id, JSON.stringify(entry)]));
+    const newIds = new Set(newList.map(entry => entry.id));
+    const counts = [
+        [newList.filter(entry => !oldById.has(entry.id)).length, 'added'],
+        [newList.filter(entry => oldById.has(entry.id) && oldById.get(entry.id) !== JSON.stringify(entry)).length, 'edited'],
+        [oldList.filter(entry => !newIds.has(entry.id)).length, 'removed']
+    ].filter(([count]) => count > 0);
+
+    if (counts.length === 0) return null;
+    return `${label}: ${counts.map(([count, verb], i) => (i === 0 ? `${plural(count, noun)} ${verb}` : `${count} ${verb}`)).join(', ')}`;
+}
+
+// One line per meaningful column change in an update
+export function describeAuditChanges(tableName, changes) {
+    const lines = [];
+    const change = column => changes?.[column];
+
+    Object.entries(COLUMN_LABELS[tableName] || {}).forEach(([column, label]) => {
+        if (change(column)) lines.push(`${label}: ${formatValue(change(column).before)} → ${formatValue(change(column).after)}`);
+    });
+    if (tableName !== 'games') return lines;
+
+    // Only the side whose stats changed is in the row, so goals are given per side
+    [['home_stats', 'Home goals'], ['away_stats', 'Away goals']].forEach(([column, label]) => {
+        const before = change(column)?.before?.goals ?? 0;
+        const after = change(column)?.after?.goals ?? 0;
+        if (change(column) && before !== after) lines.push(`${label}: ${before} → ${after}`);
+    });
+    if (change('shot_log')) {
+        const line = describeListChange('Shots', 'shot', change('shot_log').before, change('shot_log').after);
+        if (line) lines.push(line);
+    }
+    if (change('game_notes')) {
+        const line = describeListChange('Notes', 'note', change('game_notes').before, change('game_notes').after);
+        if (line) lines.push(line);
+    }
+    Object.entries(CHANGED_ONLY_COLUMNS).forEach(([column, label]) => {
+        if (change(column)) lines.push(`${label} changed`);
+    });
+    return lines;
+}
+
+// { title, details } for one audit_log row
+export function describeAuditEntry(entry) {
+    const label = TABLE_LABELS[entry.table_name] || 'Record';
+    const changes = entry.changes || {};
+
+    if (entry.action === AUDIT_ACTIONS.INSERT) {
+        const row = Object.fromEntries(Object.entries(changes).map(([column, value]) => [column, value.after]));
+        const details = entry.table_name === 'games'
+            ? [`${row.home_team} ${getScore(row.home_stats, row.away_stats)} ${row.away_team}`]
+            : [row.name].filter(Boolean);
+        return { title: `${label} created`, details };
+    }
+
+    if (entry.action === AUDIT_ACTIONS.DELETE) {
+        return { title: entry.table_name === 'games' ? 'Game deleted forever' : `${label} deleted`, details: [] };
+    }
+
+    if (changes.deleted_at) {
+        return {
+            title: changes.deleted_at.after ? 'Game moved to Recently Deleted' : 'Game restored',
+            details: []
+        };
+    }
+    return { title: `${label} edited`, details: describeAuditChanges(entry.table_name, changes) };
+}
+
+// "You" for the signed-in user, otherwise who it was
+export function getAuditActorLabel(entry, currentUserId) {
+    if (entry.actor_id && entry.actor_id === currentUserId) return 'You';
+    return entry.actor_email || 'Someone';
+}
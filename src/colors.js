@@ -0,0 +1,131 @@
+/**
+ * Color Utilities
+ * Team color conversion and contrast helpers (WCAG luminance)
+ */
+
+// Convert hex to RGB object
+export function hexToRgb(hex) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return { r, g, b };
+}
+
+export function hexToRgba(hex, alpha) {
+    const { r, g, b } = hexToRgb(hex);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Convert RGB to hex
+export function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(x => {
+        const hex = Math.round(Math.max(0, Math.min(255, x))).toString(16);
+        return hex.length === 1 ? '0' + hex : hex;
+    }).join('');
+}
+
+// Calculate relative luminance (0-1 scale, per WCAG formula)
+export function getColorLuminance(hex) {
+    const rgb = hexToRgb(hex);
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => {
+        v /= 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Lighten a color by percentage
+export function lightenColor(hex, percent) {
+    const rgb = hexToRgb(hex);
+    const amount = percent / 100;
+    return rgbToHex(
+        rgb.r + (255 - rgb.r) * amount,
+        rgb.g + (255 - rgb.g) * amount,
+        rgb.b + (255 - rgb.b) * amount
+    );
+}
+
+// Darken a color by percentage
+export function darkenColor(hex, percent) {
+    const rgb = hexToRgb(hex);
+    const amount = 1 - (percent / 100);
+    return rgbToHex(
+        rgb.r * amount,
+        rgb.g * amount,
+        rgb.b * amount
+    );
+}
+
+// Adjust color for contrast based on luminance and mode
+export function adjustColorForContrast(hex, isDarkMode) {
+    const luminance = getColorLuminance(hex);
+
+    if (!isDarkMode) {
+        // Light mode: darken light colors
+        if (luminance > 0.85) {
+            return darkenColor(hex, 30);
+        } else if (luminance > 0.7) {
+            return darkenColor(hex, 20);
+        }
+    } else {
+        // Dark mode: lighten dark colors
+        if (luminance < 0.05) {
+            return lightenColor(hex, 35);
+        } else if (luminance < 0.15) {
+            return lightenColor(hex, 25);
+        }
+    }
+    return hex;
+}
+
+// Check if a color needs a border/stroke for visibility (very light colors)
+export function needsContrastBorder(hex) {
+    return getColorLuminance(hex) > 0.7;
+}
+
+// Get stroke color for shot markers (for light colors that need more definition)
+export function getShotMarkerStroke(hex) {
+    if (getColorLuminance(hex) > 0.7) {
+        return darkenColor(hex, 40);
+    }
+    return 'white';
+}
+
+// Heat map color gradient, shifted toward warmer colors
+const HEAT_MAP_GRADIENT = [
+    { pos: 0, r: 0, g: 150, b: 255 },    // Light blue
+    { pos: 0.15, r: 0, g: 255, b: 200 }, // Cyan-green
+    { pos: 0.3, r: 100, g: 255, b: 0 },  // Yellow-green
+    { pos: 0.45, r: 255, g: 255, b: 0 }, // Yellow
+    { pos: 0.6, r: 255, g: 180, b: 0 },  // Yellow-orange
+    { pos: 0.75, r: 255, g: 100, b: 0 }, // Orange
+    { pos: 1, r: 255, g: 0, b: 0 }       // Red
+];
+
+// Get color for heat map based on intensity (0-1)
+export function getHeatMapColor(intensity) {
+    // Find the two colors to interpolate between
+    let lower = HEAT_MAP_GRADIENT[0];
+    let upper = HEAT_MAP_GRADIENT[HEAT_MAP_GRADIENT.length - 1];
+
+    for (let i = 0; i < HEAT_MAP_GRADIENT.length - 1; i++) {
+        if (intensity >= HEAT_MAP_GRADIENT[i].pos && intensity <= HEAT_MAP_GRADIENT[i + 1].pos) {
+            lower = HEAT_MAP_GRADIENT[i];
+            upper = HEAT_MAP_GRADIENT[i + 1];
+            break;
+        }
+    }
+
+    // Interpolate
+    const range = upper.pos - lower.pos;
+    const t = range > 0 ? (intensity - lower.pos) / range : 0;
+
+    const r = Math.round(lower.r + (upper.r - lower.r) * t);
+    const g = Math.round(lower.g + (upper.g - lower.g) * t);
+    const b = Math.round(lower.b + (upper.b - lower.b) * t);
+
+    // Alpha based on intensity (more intense = more opaque)
+    const alpha = 0.3 + intensity * 0.5;
+
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
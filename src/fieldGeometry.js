@@ -0,0 +1,132 @@
+/**
+ * Field Geometry
+ * Coordinates follow the shot map SVG viewBox (105 x 68)
+ */
+
+export const FIELD_WIDTH = 105;
+export const FIELD_HEIGHT = 68;
+export const HALFWAY_X = FIELD_WIDTH / 2;
+
+// Penalty box (18-yard box) bounds
+export const PENALTY_BOX_DEPTH_LEFT = 17;
+export const PENALTY_BOX_DEPTH_RIGHT = 88;
+export const PENALTY_BOX_Y_MIN = 13.84;
+export const PENALTY_BOX_Y_MAX = 54.16;
+
+// Markers stay half a unit inside the touchlines
+const FIELD_EDGE_MARGIN = 0.5;
+
+// Position must have numeric, non-NaN x and y
+export function hasValidPosition(shot) {
+    return Boolean(
+        shot &&
+        shot.position &&
+        typeof shot.position.x === 'number' &&
+        typeof shot.position.y === 'number' &&
+        !isNaN(shot.position.x) &&
+        !isNaN(shot.position.y)
+    );
+}
+
+// Left penalty box: x <= 17, right penalty box: x >= 88, y between 13.84 and 54.16
+export function isInPenaltyBox(x, y) {
+    const inYRange = y >= PENALTY_BOX_Y_MIN && y <= PENALTY_BOX_Y_MAX;
+    const inLeftBox = x <= PENALTY_BOX_DEPTH_LEFT && inYRange;
+    const inRightBox = x >= PENALTY_BOX_DEPTH_RIGHT && inYRange;
+    return inLeftBox || inRightBox;
+}
+
+// True if at least 1 other shot is within clusterRadius
+export function isClusteredShot(shotIndex, allShotPositions, clusterRadius = 9) {
+    const shot = allShotPositions[shotIndex];
+    for (let i = 0; i < allShotPositions.length; i++) {
+        if (i === shotIndex) continue;
+        const other = allShotPositions[i];
+        const distance = Math.sqrt(Math.pow(other.x - shot.x, 2) + Math.pow(other.y - shot.y, 2));
+        if (distance <= clusterRadius) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Rotate a point 180 degrees around the centre spot
+export function mirrorPosition(x, y) {
+    return { x: FIELD_WIDTH - x, y: FIELD_HEIGHT - y };
+}
+
+// Second-half shots are mirrored so both halves attack the same goal
+export function normalizeToFirstHalf(position, half) {
+    return half === 2 ? mirrorPosition(position.x, position.y) : { x: position.x, y: position.y };
+}
+
+// Whether a shot's side attacked the right-hand goal when it was taken, given
+// the home side's first-half direction (the sides change ends at half time)
+export function isAttackingRight(shot, homeAttackingRight) {
+    const firstHalfRight = shot.team === 'home' ? homeAttackingRight : !homeAttackingRight;
+    return shot.half === 2 ? !firstHalfRight : firstHalfRight;
+}
+
+// Whether the home side attacked the right-hand goal in the first half.
+// Saved games don't keep the field orientation, so it is read from the
+// positioned shots: most of a side's shots are taken in the half it attacks.
+// Without a majority, home attacks right, as the game setup does by default.
+export function getHomeAttackingRight(log) {
+    const votes = (log || []).filter(hasValidPosition).reduce((total, shot) => {
+        const inRightHalf = shot.position.x >= HALFWAY_X;
+        return total + (inRightHalf === isAttackingRight(shot, true) ? 1 : -1);
+    }, 0);
+    return votes >= 0;
+}
+
+// One game's shots, each tagged with whether its side attacked the
+// right-hand goal (`attackingRight`), for maps that combine shots
+export function tagAttackingDirection(log) {
+    const homeAttackingRight = getHomeAttackingRight(log);
+    return (log || []).map(shot => ({ ...shot, attackingRight: isAttackingRight(shot, homeAttackingRight) }));
+}
+
+// Shots by a side attacking the left-hand goal are mirrored so every shot
+// attacks the right-hand one; a shot from the side's own half stays there
+export function normalizeToAttackingRight(position, attackingRight = true) {
+    return attackingRight ? { x: position.x, y: position.y } : mirrorPosition(position.x, position.y);
+}
+
+// Clamp a clicked position so the marker stays inside the touchlines
+export function clampToField(x, y) {
+    return {
+        x: Math.max(FIELD_EDGE_MARGIN, Math.min(FIELD_WIDTH - FIELD_EDGE_MARGIN, x)),
+        y: Math.max(FIELD_EDGE_MARGIN, Math.min(FIELD_HEIGHT - FIELD_EDGE_MARGIN, y))
+    };
+}
+
+// Descriptive zone name based on position
+export function getFieldZone(x, y) {
+    // Left side is home's attacking half, right side is away's
+    const isLeftHalf = x < HALFWAY_X;
+    const isMiddleY = y >= 20 && y <= 48;
+
+    // Penalty box check (left: x < 17, right: x > 88)
+    const inBoxY = y >= PENALTY_BOX_Y_MIN && y <= PENALTY_BOX_Y_MAX;
+    const inLeftPenaltyBox = x < PENALTY_BOX_DEPTH_LEFT && inBoxY;
+    const inRightPenaltyBox = x > PENALTY_BOX_DEPTH_RIGHT && inBoxY;
+
+    // Goal area check
+    const inGoalAreaY = y >= 24.84 && y <= 43.16;
+    const inLeftGoalArea = x < 6 && inGoalAreaY;
+    const inRightGoalArea = x > 99 && inGoalAreaY;
+
+    if (inLeftGoalArea) return 'Left 6-yard box';
+    if (inRightGoalArea) return 'Right 6-yard box';
+    if (inLeftPenaltyBox) return 'Left penalty area';
+    if (inRightPenaltyBox) return 'Right penalty area';
+
+    // Outside penalty boxes
+    if (x < PENALTY_BOX_DEPTH_LEFT) return isMiddleY ? 'Left edge of box' : 'Left wing (deep)';
+    if (x > PENALTY_BOX_DEPTH_RIGHT) return isMiddleY ? 'Right edge of box' : 'Right wing (deep)';
+
+    if (isLeftHalf) {
+        return isMiddleY ? 'Left center' : 'Left wing';
+    }
+    return isMiddleY ? 'Right center' : 'Right wing';
+}
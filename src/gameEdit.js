@@ -0,0 +1,189 @@
+/**
+ * Saved Game Editing
+ * Corrections to a game after it was saved. The edit form works on a draft
+ * copy of the game's details, shots and notes; saving turns the draft into
+ * the `games` columns to update, with the stats blocks rebuilt from the
+ * edited shot log. Games saved with an event stream also get the matching
+ * shot and note events, so replaying the stream gives the edited game.
+ */
+
+import { GAME_EVENTS, createEvent, createEventId, summarizeShotLog } from './gameState.js';
+import { SHOT_TYPES } from './shotTypes.js';
+import { PERIOD_TYPES, getPeriods, getPeriod, getShotPeriod, normalizePeriodConfig } from './periods.js';
+import { validateShotLog } from './gameImport.js';
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value ?? null));
+}
+
+// Editable copy of a saved game (UI shape). Older notes keep their words
+// in `text`; the form edits them as `content`. The period structure stays
+// as the game was played.
+export function createGameDraft(game) {
+    const notes = (clone(game.notes) || []).map(note =>
+        note.content === undefined && note.text !== undefined ? { ...note, content: note.text } : note
+    );
+    return {
+        date: String(game.date || '').slice(0, 10),
+        homeTeam: game.homeTeam || '',
+        awayTeam: game.awayTeam || '',
+        homeColor: game.homeColor || null,
+        awayColor: game.awayColor || null,
+        log: clone(game.log) || [],
+        notes,
+        periodConfig: normalizePeriodConfig(game.periodConfig)
+    };
+}
+
+// A new shot for the draft, without a time or position until the coach adds
+// them. It goes to the top of the log, where a replay of the events puts it.
+export function addDraftShot(draft, team) {
+    const shot = {
+        id: createEventId(),
+        team,
+        teamName: team === 'home' ? draft.homeTeam : draft.awayTeam,
+        type: SHOT_TYPES.ON_TARGET,
+        half: 1,
+        period: 1,
+        gameTime: null,
+        displayTime: null,
+        clockSeconds: null,
+        position: null
+    };
+    draft.log = [shot, ...draft.log];
+    return shot;
+}
+
+// Only goals keep an assisting player
+export function retypeDraftShot(shot, type) {
+    shot.type = type;
+    if (type !== SHOT_TYPES.GOAL) {
+        delete shot.assistPlayerId;
+        delete shot.assistPlayerName;
+    }
+    return shot;
+}
+
+// Periods a shot can be moved to: the game's periods before any shootout,
+// plus any other period a shot was already logged in
+export function getDraftPeriods(draft) {
+    const periods = getPeriods(draft.periodConfig).filter(period => period.type !== PERIOD_TYPES.SHOOTOUT);
+    const numbers = new Set(periods.map(period => period.number));
+    draft.log.forEach(shot => {
+        const number = getShotPeriod(shot);
+        if (number && !numbers.has(number)) {
+            numbers.add(number);
+            periods.push(getPeriod(draft.periodConfig, number));
+        }
+    });
+    return periods.sort((a, b) => a.number - b.number);
+}
+
+// The half (for field orientation and half splits) follows the period
+export function setDraftShotPeriod(shot, period, periodConfig) {
+    shot.period = period;
+    shot.half = getPeriod(periodConfig, period).half;
+    return shot;
+}
+
+// Periods the saved stats cover, shots or not; older games without period
+// stats get the game's regular time periods
+export function getSavedGamePeriods(game) {
+    const stored = [game.home?.periods, game.away?.periods].flatMap(periods => Object.keys(periods || {}).map(Number));
+    if (stored.length > 0) return [...new Set(stored)];
+    return getPeriods(game.periodConfig).filter(period => period.type === PERIOD_TYPES.REGULATION).map(period => period.number);
+}
+
+export function addDraftNote(draft, content) {
+    const note = { id: createEventId(), content, half: null, period: null, gameTime: null, displayTime: null, clockSeconds: null };
+    draft.notes = [note, ...draft.notes];
+    return note;
+}
+
+// Problems that stop the draft from being saved
+export function validateGameDraft(draft) {
+    const errors = [];
+    if (!draft.date || isNaN(new Date(draft.date).getTime())) errors.push('Pick a date for the game');
+    if (!draft.homeTeam.trim() || !draft.awayTeam.trim()) errors.push('Both teams need a name');
+    return errors.concat(validateShotLog(draft.log));
+}
+
+// Fields whose values differ between two entries; removed fields become null
+function diffEntry(before, after) {
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (key === 'id') return;
+        if (JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null)) {
+            changes[key] = after[key] ?? null;
+        }
+    });
+    return changes;
+}
+
+// Deleted, edited and added entries as events, matched by id. Replays put
+// added entries on top, so the newest addition is recorded last.
+function diffEntries(before, after, { added, edited, deleted, idKey, entryKey }) {
+    const afterIds = new Set(after.map(entry => entry.id));
+    const beforeById = new Map(before.map(entry => [entry.id, entry]));
+
+    const deletions = before
+        .filter(entry => !afterIds.has(entry.id))
+        .map(entry => createEvent(deleted, { [idKey]: entry.id }));
+    const edits = after
+        .filter(entry => beforeById.has(entry.id))
+        .map(entry => ({ id: entry.id, changes: diffEntry(beforeById.get(entry.id), entry) }))
+        .filter(({ changes }) => Object.keys(changes).length > 0)
+        .map(({ id, changes }) => createEvent(edited, { [idKey]: id, changes }));
+    const additions = after
+        .filter(entry => !beforeById.has(entry.id))
+        .reverse()
+        .map(({ id, ...entry }) => createEvent(added, { [entryKey]: entry }, { id }));
+
+    return [...deletions, ...edits, ...additions];
+}
+
+// The `games` columns to update for an edited draft. Shots take their team
+// name from the (possibly renamed) side they belong to, and periods without
+// shots stay in the stats.
+export function getGameEditUpdate(game, draft) {
+    const homeTeam = draft.homeTeam.trim();
+    const awayTeam = draft.awayTeam.trim();
+    const log = draft.log.map(shot => ({ ...shot, teamName: shot.team === 'home' ? homeTeam : awayTeam }));
+    const stats = summarizeShotLog(log, getSavedGamePeriods(game));
+
+    const update = {
+        game_date: draft.date,
+        home_team: homeTeam,
+        away_team: awayTeam,
+        home_color: draft.homeColor,
+        away_color: draft.awayColor,
+        home_stats: { ...game.home, ...stats.home },
+        away_stats: { ...game.away, ...stats.away },
+        shot_log: log,
+        game_notes: draft.notes
+    };
+
+    // Streams can only follow entries that have ids (every game recorded with events)
+    const events = game.events || [];
+    const tracked = [...(game.log || []), ...log, ...(game.notes || []), ...draft.notes].every(entry => entry.id);
+    if (events.length > 0 && tracked) {
+        update.game_events = [
+            ...events,
+            ...diffEntries(game.log || [], log, {
+                added: GAME_EVENTS.SHOT_RECORDED,
+                edited: GAME_EVENTS.SHOT_EDITED,
+                deleted: GAME_EVENTS.SHOT_DELETED,
+                idKey: 'shotId',
+                entryKey: 'shot'
+            }),
+            ...diffEntries(game.notes || [], draft.notes, {
+                added: GAME_EVENTS.NOTE_ADDED,
+                edited: GAME_EVENTS.NOTE_EDITED,
+                deleted: GAME_EVENTS.NOTE_DELETED,
+                idKey: 'noteId',
+                entryKey: 'note'
+            })
+        ];
+    }
+    return update;
+}
@@ -0,0 +1,90 @@
+/**
+ * Game Export
+ * Saved games as files for spreadsheets and backups: a CSV with one row per
+ * shot, and a JSON bundle holding the `games` rows exactly as stored so
+ * nothing is lost on the way out.
+ */
+
+import { hasValidPosition } from './fieldGeometry.js';
+import { getZoneGrid, findShotZone, DEFAULT_ZONE_GRID } from './shotZones.js';
+import { slugify } from './reportLayout.js';
+
+export const GAMES_BUNDLE_FORMAT = 'soccer-shot-tracker-games';
+export const GAMES_BUNDLE_VERSION = 1;
+
+// Header row of the shots CSV, in column order
+export const SHOT_CSV_COLUMNS = [
+    'gameId', 'date', 'homeTeam', 'awayTeam',
+    'team', 'teamName', 'type', 'half', 'period', 'gameTime', 'clockSeconds',
+    'x', 'y', 'zone', 'player', 'assist', 'bodyPart', 'situation', 'assistType'
+];
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted, quotes doubled
+export function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(toCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// One object per shot, keyed by SHOT_CSV_COLUMNS, from games in the UI shape
+// ({ id, date, homeTeam, awayTeam, log }). Unpositioned shots have no x, y or zone.
+export function getShotCsvRows(games, { zoneGridId = DEFAULT_ZONE_GRID } = {}) {
+    const { zones } = getZoneGrid(zoneGridId);
+
+    return (games || []).flatMap(game => (game.log || []).map(shot => {
+        const positioned = hasValidPosition(shot);
+        return {
+            gameId: game.id,
+            date: game.date,
+            homeTeam: game.homeTeam,
+            awayTeam: game.awayTeam,
+            team: shot.team,
+            teamName: shot.teamName || (shot.team === 'home' ? game.homeTeam : game.awayTeam),
+            type: shot.type,
+            half: shot.half,
+            period: shot.period,
+            gameTime: shot.gameTime,
+            clockSeconds: shot.clockSeconds,
+            x: positioned ? shot.position.x : null,
+            y: positioned ? shot.position.y : null,
+            zone: positioned ? findShotZone(shot.position, zones)?.label : null,
+            player: shot.playerName,
+            assist: shot.assistPlayerName,
+            bodyPart: shot.bodyPart,
+            situation: shot.situation,
+            assistType: shot.assistType
+        };
+    }));
+}
+
+// Starts with a byte order mark so spreadsheet apps read names as UTF-8
+export function buildShotsCsv(games, options) {
+    return `\uFEFF${toCsv(SHOT_CSV_COLUMNS, getShotCsvRows(games, options))}`;
+}
+
+// `games` table rows, untouched, with a header naming the format
+export function buildGamesBundle(rows, exportedAt = new Date().toISOString()) {
+    return JSON.stringify({
+        format: GAMES_BUNDLE_FORMAT,
+        version: GAMES_BUNDLE_VERSION,
+        exportedAt,
+        games: rows || []
+    }, null, 2);
+}
+
+// "2026-04-05-eagles-vs-city-shots.csv"
+export function getGameExportFileName(game, suffix, extension) {
+    const date = String(game.date || '').slice(0, 10);
+    return `${[date, slugify(game.homeTeam), 'vs', slugify(game.awayTeam), suffix].filter(Boolean).join('-')}.${extension}`;
+}
+
+// "eagles-games-2026-10-19.json"; the date is the day of the export
+export function getBulkExportFileName(label, suffix, extension, date = new Date().toISOString()) {
+    return `${[slugify(label), suffix, date.slice(0, 10)].filter(Boolean).join('-')}.${extension}`;
+}
@@ -0,0 +1,263 @@
+/**
+ * Game Import
+ * Reads games back in from the app's own JSON bundle or a shots CSV (one
+ * row per shot, as exported): parses the file, checks every shot, and
+ * marks games that are already saved so they aren't added twice. Results
+ * are `games` rows without the ids and owner, ready for the caller to fill in.
+ */
+
+import { GAMES_BUNDLE_FORMAT } from './gameExport.js';
+import { SHOT_TYPES } from './shotTypes.js';
+import { FIELD_WIDTH, FIELD_HEIGHT } from './fieldGeometry.js';
+import { summarizeShotLog } from './gameState.js';
+
+export const IMPORT_STATUS = {
+    READY: 'ready',
+    DUPLICATE: 'duplicate',
+    INVALID: 'invalid'
+};
+
+const SHOT_TYPE_LABELS = Object.values(SHOT_TYPES);
+
+// Set by the database or by whoever imports the game
+// (a soft-deleted game comes back as a live one, not straight into the bin)
+const ROW_OWNERSHIP_COLUMNS = ['id', 'user_id', 'team_id', 'created_at', 'updated_at', 'deleted_at'];
+
+// Columns a shots CSV can't do without
+const REQUIRED_CSV_COLUMNS = ['date', 'homeTeam', 'awayTeam', 'team', 'type', 'half'];
+
+function isNumberInRange(value, max) {
+    return typeof value === 'number' && !isNaN(value) && value >= 0 && value <= max;
+}
+
+// Problems with one shot_log entry, as messages; none means it can be saved.
+// Shots without a position, period or clock time are fine; a position has
+// to be on the field.
+export function validateShot(shot) {
+    const errors = [];
+    if (!shot || typeof shot !== 'object') return ['not a shot'];
+
+    if (shot.team !== 'home' && shot.team !== 'away') {
+        errors.push(`team must be home or away, not "${shot.team ?? ''}"`);
+    }
+    if (!SHOT_TYPE_LABELS.includes(shot.type)) {
+        errors.push(`"${shot.type ?? ''}" is not a shot type`);
+    }
+    if (shot.half !== 1 && shot.half !== 2) {
+        errors.push(`half must be 1 or 2, not "${shot.half ?? ''}"`);
+    }
+    if (shot.period !== null && shot.period !== undefined && !(Number.isInteger(shot.period) && shot.period >= 1)) {
+        errors.push(`period must be a period number, not "${shot.period}"`);
+    }
+    if (shot.clockSeconds !== null && shot.clockSeconds !== undefined && !isNumberInRange(shot.clockSeconds, Infinity)) {
+        errors.push(`clock time must be a number of seconds, not "${shot.clockSeconds}"`);
+    }
+    if (shot.position !== null && shot.position !== undefined) {
+        const { x, y } = shot.position;
+        if (!isNumberInRange(x, FIELD_WIDTH) || !isNumberInRange(y, FIELD_HEIGHT)) {
+            errors.push(`position (${x}, ${y}) is off the ${FIELD_WIDTH} x ${FIELD_HEIGHT} field`);
+        }
+    }
+    return errors;
+}
+
+// "Shot 3: half must be 1 or 2, not "3"" for each problem in a shot log
+export function validateShotLog(log) {
+    return (log || []).flatMap((shot, index) =>
+        validateShot(shot).map(error => `Shot ${index + 1}: ${error}`)
+    );
+}
+
+// RFC 4180 records as arrays of fields: quoted fields may hold commas, line
+// breaks and doubled quotes. A leading byte order mark and blank lines are skipped.
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text ?? '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Text that isn't a number is kept as it is, for validateShot to report
+function toNumber(value) {
+    if (value === '' || value === undefined) return null;
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+}
+
+function toText(value) {
+    return value === '' || value === undefined ? null : value;
+}
+
+// A shot_log entry from one CSV row (keyed by header)
+function csvRowToShot(row) {
+    const half = toNumber(row.half);
+    const x = toNumber(row.x);
+    const y = toNumber(row.y);
+    const shot = {
+        team: row.team,
+        teamName: toText(row.teamName),
+        type: row.type,
+        half,
+        period: toNumber(row.period) ?? half,
+        gameTime: toText(row.gameTime),
+        clockSeconds: toNumber(row.clockSeconds),
+        position: x === null && y === null ? null : { x, y },
+        playerId: null,
+        playerName: toText(row.player)
+    };
+    if (toText(row.assist)) {
+        shot.assistPlayerId = null;
+        shot.assistPlayerName = row.assist;
+    }
+    ['bodyPart', 'situation', 'assistType'].forEach(key => {
+        if (toText(row[key])) shot[key] = row[key];
+    });
+    return shot;
+}
+
+// Games from a shots CSV, one per gameId (or per date and teams when the
+// column is missing), with stats rebuilt from the shots
+export function parseShotsCsv(text) {
+    const [header = [], ...records] = parseCsv(text);
+    const columns = header.map(name => name.trim());
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`The CSV is missing the ${missing.join(', ')} ${missing.length === 1 ? 'column' : 'columns'}.`);
+    }
+
+    const groups = new Map();
+    records.forEach(fields => {
+        const row = Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']));
+        const key = row.gameId || `${row.date}|${row.homeTeam}|${row.awayTeam}`;
+        if (!groups.has(key)) groups.set(key, { row, shots: [] });
+        groups.get(key).shots.push(csvRowToShot(row));
+    });
+
+    return [...groups.values()].map(({ row, shots }) => {
+        const stats = summarizeShotLog(shots);
+        const lastSeconds = Math.max(0, ...shots.map(shot => shot.clockSeconds || 0));
+        return {
+            game_date: row.date,
+            home_team: row.homeTeam,
+            away_team: row.awayTeam,
+            home_stats: stats.home,
+            away_stats: stats.away,
+            shot_log: shots,
+            game_notes: [],
+            game_events: [],
+            match_events: [],
+            shootout: [],
+            final_clock_seconds: lastSeconds
+        };
+    });
+}
+
+// Game rows from the JSON bundle written by the export, minus the columns
+// the importing account sets itself
+export function parseGamesBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (bundle?.format !== GAMES_BUNDLE_FORMAT || !Array.isArray(bundle.games)) {
+        throw new Error('The file is not a Soccer Shot Tracker games export.');
+    }
+
+    return bundle.games.map(row => {
+        const game = { ...row };
+        ROW_OWNERSHIP_COLUMNS.forEach(column => delete game[column]);
+        return game;
+    });
+}
+
+// Rows from either kind of file: JSON when it starts with "{", CSV otherwise
+export function parseImportFile(text) {
+    const trimmed = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    if (!trimmed) throw new Error('The file is empty.');
+    return trimmed.startsWith('{') ? parseGamesBundle(trimmed) : parseShotsCsv(trimmed);
+}
+
+// Problems that stop a game row from being saved
+export function validateGameRow(row) {
+    const errors = [];
+    if (!row.game_date || isNaN(new Date(row.game_date).getTime())) errors.push('Missing or invalid date');
+    if (!row.home_team || !row.away_team) errors.push('Missing team names');
+    if (!row.home_stats || !row.away_stats) errors.push('Missing team stats');
+    if (!Array.isArray(row.shot_log)) errors.push('Missing shot log');
+    return errors.concat(validateShotLog(Array.isArray(row.shot_log) ? row.shot_log : []));
+}
+
+// Same date, same teams (ignoring case and spacing) and same score
+function describeGameKey(date, homeTeam, awayTeam, homeGoals, awayGoals) {
+    const name = team => String(team || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return [String(date || '').slice(0, 10), name(homeTeam), name(awayTeam), homeGoals ?? 0, awayGoals ?? 0].join('|');
+}
+
+// Each row with its status, errors and, for duplicates, the saved game it
+// matches (null when it repeats an earlier game in the same file).
+// existingGames are saved games in the UI shape.
+export function planImport(rows, existingGames) {
+    const saved = new Map((existingGames || []).map(game => [
+        describeGameKey(game.date, game.homeTeam, game.awayTeam, game.home?.goals, game.away?.goals),
+        game
+    ]));
+    const seen = new Set();
+
+    return (rows || []).map(row => {
+        const errors = validateGameRow(row);
+        if (errors.length > 0) return { row, status: IMPORT_STATUS.INVALID, errors, duplicateOf: null };
+
+        const key = describeGameKey(row.game_date, row.home_team, row.away_team, row.home_stats.goals, row.away_stats.goals);
+        if (saved.has(key) || seen.has(key)) {
+            return { row, status: IMPORT_STATUS.DUPLICATE, errors: [], duplicateOf: saved.get(key) || null };
+        }
+        seen.add(key);
+        return { row, status: IMPORT_STATUS.READY, errors: [], duplicateOf: null };
+    });
+}
+
+// Which side the importing team played on: by name when it matches one
+// side, otherwise whatever the file said
+export function getImportTeamSide(row, teamName) {
+    const name = String(teamName || '').trim().toLowerCase();
+    const home = String(row.home_team || '').trim().toLowerCase();
+    const away = String(row.away_team || '').trim().toLowerCase();
+    if (name && name === home && name !== away) return 'home';
+    if (name && name === away && name !== home) return 'away';
+    return row.team_side === 'home' || row.team_side === 'away' ? row.team_side : null;
+}
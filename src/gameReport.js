@@ -0,0 +1,340 @@
+/**
+ * Game Report
+ * Lays out a saved game as a PDF file: scoreboard, team stats with the
+ * period breakdown, shot map, shot placement, shooting zones, match events
+ * and notes. Sections that don't fit on a page start the next one, and
+ * every page is numbered.
+ */
+
+import { createPdfDocument, wrapText } from './pdfDocument.js';
+import { MARGIN, REPORT_COLORS, drawPitch, drawShotMarker, createReportLayout, slugify } from './reportLayout.js';
+import { adjustColorForContrast, getShotMarkerStroke } from './colors.js';
+import { getTotalShots, calculateAccuracy } from './stats.js';
+import { getSavedGameXg, formatXg } from './xg.js';
+import { getPeriodBreakdown, getBreakdownTitle } from './periods.js';
+import { normalizeToFirstHalf, tagAttackingDirection } from './fieldGeometry.js';
+import { getPositionedShots } from './shotFilters.js';
+import {
+    GOAL_MOUTH_WIDTH,
+    GOAL_MOUTH_HEIGHT,
+    GOAL_MOUTH_MARGIN_X,
+    GOAL_MOUTH_MARGIN_TOP,
+    hasEndLocation,
+    describePlacementCounts
+} from './goalMouth.js';
+import { getZoneGrid, getZoneStats, describeZoneRow, DEFAULT_ZONE_GRID } from './shotZones.js';
+import { countMatchEvents, getMatchEventCountLabel, getMatchEventLabel, getNotableMatchEvents, describeMatchEventPlayers } from './matchEvents.js';
+import { getShootoutSummary } from './shootout.js';
+import { SHOT_TYPES } from './shotTypes.js';
+
+const SHOT_MAP_WIDTH = 440;
+const ZONE_MAP_WIDTH = 150;
+const GOAL_MOUTH_DIAGRAM_WIDTH = 300;
+
+// Goal-mouth diagram colors, as on screen
+const GOAL_MOUTH_COLORS = {
+    background: '#e0f2fe',
+    ground: '#16a34a',
+    net: '#94a3b8',
+    zones: '#64748b',
+    frame: '#475569'
+};
+
+// "2026-04-05-eagles-vs-city.pdf"
+export function getGameReportFileName(game) {
+    const date = String(game.date || '').slice(0, 10);
+    return `${[date, slugify(game.homeTeam), 'vs', slugify(game.awayTeam)].filter(Boolean).join('-')}.pdf`;
+}
+
+export function buildGameReport(game, { zoneGridId = DEFAULT_ZONE_GRID } = {}) {
+    const doc = createPdfDocument({ title: `Game Report - ${game.homeTeam} vs ${game.awayTeam}` });
+    const layout = createReportLayout(doc);
+    const { contentWidth } = layout;
+    const teams = ['home', 'away'];
+    const names = { home: game.homeTeam, away: game.awayTeam };
+    const rawColors = { home: game.homeColor || '#10b981', away: game.awayColor || '#3b82f6' };
+    // White paper, so colors are adjusted as for light mode
+    const colors = { home: adjustColorForContrast(rawColors.home, false), away: adjustColorForContrast(rawColors.away, false) };
+    const log = game.log || [];
+
+    function drawHeader() {
+        const date = new Date(game.date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        layout.header('Game Report', date);
+    }
+
+    function drawScoreboard() {
+        const shootout = getShootoutSummary(game.shootout);
+        const height = shootout ? 86 : 72;
+        doc.rect(MARGIN, layout.y, contentWidth, height, { fill: REPORT_COLORS.panel });
+        teams.forEach((team, i) => {
+            const cx = MARGIN + contentWidth * (i === 0 ? 0.3 : 0.7);
+            doc.text(names[team], cx, layout.y + 22, { size: 12, bold: true, color: colors[team], align: 'center' });
+            doc.text(String(game[team].goals), cx, layout.y + 56, { size: 28, bold: true, color: colors[team], align: 'center' });
+        });
+        doc.text('VS', doc.width / 2, layout.y + 44, { size: 11, bold: true, color: REPORT_COLORS.faint, align: 'center' });
+        if (shootout) {
+            doc.text(shootout, doc.width / 2, layout.y + 76, { size: 9, bold: true, color: REPORT_COLORS.muted, align: 'center' });
+        }
+        layout.y += height + 14;
+    }
+
+    function drawStats() {
+        const columnWidth = (contentWidth - 15) / 2;
+        const columns = teams.map(team => {
+            const stats = game[team];
+            const totalShots = getTotalShots(stats);
+            const xg = getSavedGameXg(game, team);
+            const difference = stats.goals - xg;
+            return {
+                team,
+                rows: [
+                    ['Goals', stats.goals],
+                    ['Shots On Target', stats.onTarget],
+                    ['Shots Off Target', stats.offTarget],
+                    ['Total Shots', totalShots],
+                    ['Shot Accuracy', `${calculateAccuracy(stats.onTarget, totalShots)}%`],
+                    ['Expected Goals (xG)', formatXg(xg)],
+                    ['Goals vs xG', `${difference > 0 ? '+' : ''}${difference.toFixed(2)}`]
+                ],
+                periods: getPeriodBreakdown(stats, game.periodConfig)
+            };
+        });
+        const periodRows = Math.max(...columns.map(column => column.periods.length));
+        const height = 30 + 7 * 16 + (periodRows > 0 ? 22 + periodRows * 13 : 0) + 6;
+
+        layout.ensureSpace(28 + height);
+        layout.sectionTitle('Statistics');
+        const top = layout.y;
+        columns.forEach(({ team, rows, periods }, i) => {
+            const left = MARGIN + i * (columnWidth + 15);
+            const inner = columnWidth - 20;
+            layout.y = top;
+            doc.rect(left, layout.y, columnWidth, height, { fill: REPORT_COLORS.panel });
+            doc.text(names[team], left + 10, layout.y + 18, { size: 10, bold: true, color: colors[team] });
+            doc.line(left + 10, layout.y + 23, left + 10 + inner, layout.y + 23, { stroke: colors[team], lineWidth: 1.5 });
+            layout.y += 28;
+            rows.forEach(([label, value]) => {
+                layout.statRow(label, value, left + 10, inner);
+                layout.y += 16;
+            });
+            if (periods.length > 0) {
+                layout.y += 6;
+                doc.text(getBreakdownTitle(game.periodConfig), left + 10, layout.y + 8, { size: 8, bold: true, color: REPORT_COLORS.muted });
+                layout.y += 12;
+                periods.forEach(row => {
+                    const { goals, onTarget, offTarget } = row.stats;
+                    doc.text(row.label, left + 10, layout.y + 9, { size: 8, color: REPORT_COLORS.faint });
+                    doc.text(`${goals} goals · ${onTarget} on target · ${offTarget} off target`, left + 10 + inner, layout.y + 9, { size: 8, color: REPORT_COLORS.text, align: 'right' });
+                    layout.y += 13;
+                });
+            }
+        });
+        layout.y = top + height + 14;
+    }
+
+    function drawShotMap() {
+        const shots = getPositionedShots(log);
+        if (shots.length === 0) return;
+
+        const scale = SHOT_MAP_WIDTH / 105;
+        const left = MARGIN + (contentWidth - SHOT_MAP_WIDTH) / 2;
+        layout.ensureSpace(28 + 68 * scale + 26);
+        layout.sectionTitle('Shot Map');
+
+        const top = layout.y;
+        drawPitch(doc, left, top, scale);
+        doc.text(names.home.toUpperCase(), left + 2 * scale, top + 5 * scale, { size: 3 * scale, bold: true, color: '#ffffff', opacity: 0.7 });
+        doc.text(names.away.toUpperCase(), left + 103 * scale, top + 5 * scale, { size: 3 * scale, bold: true, color: '#ffffff', opacity: 0.7, align: 'right' });
+        shots.forEach(shot => {
+            // Second-half shots face the same goal as first-half shots
+            const { x, y: fy } = normalizeToFirstHalf(shot.position, shot.half);
+            drawShotMarker(doc, shot.type, left + x * scale, top + fy * scale, scale, colors[shot.team] || REPORT_COLORS.legend, getShotMarkerStroke(rawColors[shot.team] || REPORT_COLORS.legend));
+        });
+        layout.y = top + 68 * scale + 8;
+
+        layout.legend([
+            ...teams.map(team => ({ label: names[team], color: colors[team] })),
+            { label: 'Goal', type: SHOT_TYPES.GOAL },
+            { label: 'On Target', type: SHOT_TYPES.ON_TARGET },
+            { label: 'Off Target', type: SHOT_TYPES.OFF_TARGET }
+        ]);
+    }
+
+    // Goal frame seen from the shooter, with a dot where each placed shot
+    // ended: filled for goals, hollow for the rest (as on screen)
+    function drawGoalMouth(shots, left, top) {
+        const scale = GOAL_MOUTH_DIAGRAM_WIDTH / (GOAL_MOUTH_WIDTH + 2 * GOAL_MOUTH_MARGIN_X);
+        const height = (GOAL_MOUTH_HEIGHT + GOAL_MOUTH_MARGIN_TOP) * scale;
+        // Goal-mouth metres (x from the left post, y up from the ground) to the page
+        const at = (gx, gy) => [left + (gx + GOAL_MOUTH_MARGIN_X) * scale, top + height - gy * scale];
+        const third = GOAL_MOUTH_WIDTH / 3;
+        const netStyle = { stroke: GOAL_MOUTH_COLORS.net, lineWidth: 0.3 };
+        const zoneStyle = { stroke: GOAL_MOUTH_COLORS.zones, lineWidth: 0.5, dash: [2, 2] };
+        const frameStyle = { fill: '#ffffff', stroke: GOAL_MOUTH_COLORS.frame, lineWidth: 0.6 };
+        const post = 0.12 * scale;
+
+        doc.rect(left, top, GOAL_MOUTH_DIAGRAM_WIDTH, height, { fill: GOAL_MOUTH_COLORS.background });
+        doc.rect(left, top + height, GOAL_MOUTH_DIAGRAM_WIDTH, 1.5, { fill: GOAL_MOUTH_COLORS.ground });
+        for (let gx = 0.5; gx < GOAL_MOUTH_WIDTH; gx += 0.5) {
+            doc.line(...at(gx, 0), ...at(gx, GOAL_MOUTH_HEIGHT), netStyle);
+        }
+        for (let gy = 0.5; gy < GOAL_MOUTH_HEIGHT; gy += 0.5) {
+            doc.line(...at(0, gy), ...at(GOAL_MOUTH_WIDTH, gy), netStyle);
+        }
+        doc.line(...at(third, 0), ...at(third, GOAL_MOUTH_HEIGHT), zoneStyle);
+        doc.line(...at(third * 2, 0), ...at(third * 2, GOAL_MOUTH_HEIGHT), zoneStyle);
+        doc.line(...at(0, GOAL_MOUTH_HEIGHT / 2), ...at(GOAL_MOUTH_WIDTH, GOAL_MOUTH_HEIGHT / 2), zoneStyle);
+
+        // Posts and crossbar just outside the frame lines
+        const [frameLeft, frameTop] = at(0, GOAL_MOUTH_HEIGHT);
+        const frameWidth = GOAL_MOUTH_WIDTH * scale;
+        doc.rect(frameLeft - post, frameTop, post, GOAL_MOUTH_HEIGHT * scale, frameStyle);
+        doc.rect(frameLeft + frameWidth, frameTop, post, GOAL_MOUTH_HEIGHT * scale, frameStyle);
+        doc.rect(frameLeft - post, frameTop - post, frameWidth + 2 * post, post, frameStyle);
+
+        shots.forEach(shot => {
+            const color = colors[shot.team] || REPORT_COLORS.legend;
+            const [cx, cy] = at(shot.endLocation.x, shot.endLocation.y);
+            if (shot.type === SHOT_TYPES.GOAL) {
+                doc.circle(cx, cy, 0.2 * scale, { fill: color, stroke: '#ffffff', lineWidth: 1 });
+            } else {
+                doc.circle(cx, cy, 0.16 * scale, { fill: '#ffffff', stroke: color, lineWidth: 1.5 });
+            }
+        });
+
+        return height + 1.5;
+    }
+
+    function drawPlacement() {
+        const placed = log.filter(hasEndLocation);
+        if (placed.length === 0) return;
+
+        const diagramHeight = (GOAL_MOUTH_HEIGHT + GOAL_MOUTH_MARGIN_TOP) * (GOAL_MOUTH_DIAGRAM_WIDTH / (GOAL_MOUTH_WIDTH + 2 * GOAL_MOUTH_MARGIN_X)) + 1.5;
+        const lines = teams.map(team => ({
+            team,
+            lines: wrapText(`${names[team]}: ${describePlacementCounts(placed.filter(shot => shot.team === team)) || 'none placed'}`, contentWidth - 14, 9)
+        }));
+        layout.ensureSpace(28 + diagramHeight + 12 + lines.reduce((total, entry) => total + entry.lines.length * 13 + 4, 0));
+        layout.sectionTitle('Shot Placement');
+        layout.y += drawGoalMouth(placed, MARGIN + (contentWidth - GOAL_MOUTH_DIAGRAM_WIDTH) / 2, layout.y) + 12;
+        lines.forEach(({ team, lines: teamLines }) => {
+            doc.circle(MARGIN + 4, layout.y + 6, 4, { fill: colors[team] });
+            teamLines.forEach(line => {
+                doc.text(line, MARGIN + 14, layout.y + 9, { size: 9, color: REPORT_COLORS.text });
+                layout.y += 13;
+            });
+            layout.y += 4;
+        });
+        layout.y += 8;
+    }
+
+    // Attacking half shaded by each zone's share of shots, as on screen
+    function drawZoneMap(rows, left, top, color) {
+        const scale = ZONE_MAP_WIDTH / 52.5;
+        const maxShots = Math.max(1, ...rows.map(row => row.shots));
+        const fieldLeft = left - 52.5 * scale;
+
+        doc.clip(left, top, ZONE_MAP_WIDTH, 68 * scale, () => {
+            [...rows].reverse().forEach(row => {
+                const x = fieldLeft + row.x[0] * scale;
+                const zy = top + row.y[0] * scale;
+                const w = (row.x[1] - row.x[0]) * scale;
+                const h = (row.y[1] - row.y[0]) * scale;
+                doc.rect(x, zy, w, h, { fill: REPORT_COLORS.pitch });
+                if (row.shots > 0) doc.rect(x, zy, w, h, { fill: color, opacity: 0.15 + 0.65 * (row.shots / maxShots) });
+                doc.rect(x, zy, w, h, { stroke: '#ffffff', lineWidth: 0.4, dash: [2, 2] });
+                doc.text(String(row.shots), x + w / 2, zy + h / 2 + 3, { size: 9, bold: true, color: '#ffffff', align: 'center', opacity: row.shots === 0 ? 0.5 : 1 });
+            });
+            drawPitch(doc, fieldLeft, top, scale, { background: false });
+        });
+    }
+
+    function drawZones() {
+        const positioned = getPositionedShots(tagAttackingDirection(log));
+        if (positioned.length === 0) return;
+
+        const { zones } = getZoneGrid(zoneGridId);
+        const columnWidth = (contentWidth - 15) / 2;
+        const mapHeight = 68 * (ZONE_MAP_WIDTH / 52.5);
+        const columns = teams.map(team => {
+            const rows = getZoneStats(positioned.filter(shot => shot.team === team), zones);
+            return { team, rows, withShots: rows.filter(row => row.shots > 0) };
+        });
+        const listHeight = Math.max(...columns.map(column => Math.max(1, column.withShots.length))) * 16;
+
+        layout.ensureSpace(28 + 24 + mapHeight + 8 + listHeight);
+        layout.sectionTitle('Shooting Zones');
+        const top = layout.y;
+        columns.forEach(({ team, rows, withShots }, i) => {
+            const left = MARGIN + i * (columnWidth + 15);
+            layout.y = top;
+            doc.text(names[team], left, layout.y + 10, { size: 10, bold: true, color: colors[team] });
+            layout.y += 18;
+            drawZoneMap(rows, left + (columnWidth - ZONE_MAP_WIDTH) / 2, layout.y, colors[team]);
+            layout.y += mapHeight + 8;
+            if (withShots.length === 0) {
+                doc.text('No positioned shots', left, layout.y + 10, { size: 9, color: REPORT_COLORS.faint });
+            }
+            withShots.forEach(row => {
+                layout.statRow(row.label, describeZoneRow(row), left, columnWidth);
+                layout.y += 16;
+            });
+        });
+        layout.y = top + 24 + mapHeight + 8 + listHeight + 8;
+    }
+
+    function drawMatchEvents() {
+        const events = game.matchEvents || [];
+        if (events.length === 0) return;
+
+        const counts = { home: countMatchEvents(events, 'home'), away: countMatchEvents(events, 'away') };
+        const keys = Object.keys(counts.home);
+        const countColumns = [MARGIN + contentWidth * 0.6, MARGIN + contentWidth * 0.85];
+        layout.ensureSpace(28 + 16 * (keys.length + 1));
+        layout.sectionTitle('Match Events');
+
+        teams.forEach((team, i) => {
+            doc.text(names[team], countColumns[i], layout.y + 10, { size: 9, bold: true, color: colors[team], align: 'center' });
+        });
+        layout.y += 16;
+        keys.forEach(key => {
+            doc.text(getMatchEventCountLabel(key), MARGIN, layout.y + 10, { size: 9, color: REPORT_COLORS.muted });
+            teams.forEach((team, i) => {
+                doc.text(String(counts[team][key]), countColumns[i], layout.y + 10, { size: 9, color: REPORT_COLORS.text, align: 'center' });
+            });
+            doc.line(MARGIN, layout.y + 14, MARGIN + contentWidth, layout.y + 14, { stroke: REPORT_COLORS.rule, lineWidth: 0.5 });
+            layout.y += 16;
+        });
+        layout.y += 6;
+
+        getNotableMatchEvents(events).forEach(event => {
+            const players = describeMatchEventPlayers(event);
+            layout.timedLine(event.displayTime || event.gameTime || '', `${event.teamName} - ${getMatchEventLabel(event.type)}${players ? ` (${players})` : ''}`);
+        });
+        layout.y += 8;
+    }
+
+    function drawNotes() {
+        const notes = game.notes || [];
+        if (notes.length === 0) return;
+
+        layout.ensureSpace(28 + 30);
+        layout.sectionTitle('Game Notes');
+        notes.forEach(note => {
+            layout.timedLine(note.displayTime || note.gameTime || note.timestamp || '', note.content || note.text || '');
+        });
+    }
+
+    doc.addPage();
+    drawHeader();
+    drawScoreboard();
+    drawStats();
+    drawShotMap();
+    drawPlacement();
+    drawZones();
+    drawMatchEvents();
+    drawNotes();
+    layout.numberPages();
+
+    return doc.output();
+}
@@ -0,0 +1,350 @@
+/**
+ * Game State
+ * A game is an append-only stream of events. Counters, half and period
+ * splits, the shot log, notes and shootout kicks are all derived from the
+ * events, so they never drift. Log entries, match events and notes are
+ * derived newest first; shootout kicks in the order they were taken.
+ */
+
+import { getShotTypeLabel, normalizeShotAttributes, SHOT_ATTRIBUTE_KEYS } from './shotTypes.js';
+import { countShots, countShotOutcomes } from './stats.js';
+import { getShotPeriod } from './periods.js';
+import { getElapsedSeconds } from './matchClock.js';
+import { sumXg } from './xg.js';
+
+export const GAME_EVENTS = {
+    SHOT_RECORDED: 'shot_recorded',
+    SHOT_EDITED: 'shot_edited',
+    SHOT_DELETED: 'shot_deleted',
+    NOTE_ADDED: 'note_added',
+    NOTE_EDITED: 'note_edited',
+    NOTE_DELETED: 'note_deleted',
+    MATCH_EVENT_RECORDED: 'match_event_recorded',
+    MATCH_EVENT_DELETED: 'match_event_deleted',
+    HALF_CHANGED: 'half_changed',
+    PERIOD_CHANGED: 'period_changed',
+    SHOOTOUT_KICK_RECORDED: 'shootout_kick_recorded',
+    CLOCK_STARTED: 'clock_started',
+    CLOCK_PAUSED: 'clock_paused',
+    CLOCK_RESET: 'clock_reset'
+};
+
+// Events the coach can undo/redo. Period and clock changes are kept in the
+// stream for the record but are controlled by their own buttons.
+const UNDOABLE_EVENTS = new Set([
+    GAME_EVENTS.SHOT_RECORDED,
+    GAME_EVENTS.SHOT_EDITED,
+    GAME_EVENTS.SHOT_DELETED,
+    GAME_EVENTS.NOTE_ADDED,
+    GAME_EVENTS.NOTE_EDITED,
+    GAME_EVENTS.NOTE_DELETED,
+    GAME_EVENTS.MATCH_EVENT_RECORDED,
+    GAME_EVENTS.MATCH_EVENT_DELETED,
+    GAME_EVENTS.SHOOTOUT_KICK_RECORDED
+]);
+
+export function isUndoableEvent(event) {
+    return UNDOABLE_EVENTS.has(event.type);
+}
+
+export function createTeamState() {
+    return {
+        goals: 0, onTarget: 0, offTarget: 0,
+        saved: 0, blocked: 0, woodwork: 0,
+        xg: 0,
+        firstHalf: { goals: 0, onTarget: 0, offTarget: 0 },
+        secondHalf: { goals: 0, onTarget: 0, offTarget: 0 },
+        periods: { 1: { goals: 0, onTarget: 0, offTarget: 0 } }
+    };
+}
+
+export function createGameState() {
+    return {
+        home: createTeamState(),
+        away: createTeamState(),
+        log: [],
+        notes: [],
+        matchEvents: [],
+        shootout: [],
+        currentHalf: 1,
+        currentPeriod: 1,
+        periodsPlayed: [1],
+        periodStartSeconds: 0,
+        clock: { isRunning: false, seconds: 0, startedAt: null }
+    };
+}
+
+let eventCounter = 0;
+
+// Unique enough for a single device; ids are only compared within one game
+export function createEventId() {
+    eventCounter = (eventCounter + 1) % 1296;
+    return `${Date.now().toString(36)}-${eventCounter.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createEvent(type, payload = {}, { id = createEventId(), at = new Date().toISOString() } = {}) {
+    return { id, type, at, payload };
+}
+
+// Build a log entry from a pending shot (rawType: 'goal' | 'on-target' | 'off-target')
+export function createLogEntry(shot, id) {
+    const entry = {
+        id,
+        team: shot.team,
+        teamName: shot.teamName,
+        type: shot.type || getShotTypeLabel(shot.rawType),
+        half: shot.half,
+        period: shot.period ?? shot.half,
+        gameTime: shot.gameTime,
+        displayTime: shot.displayTime ?? shot.gameTime,
+        clockSeconds: shot.clockSeconds,
+        position: shot.position || null
+    };
+
+    // Where the shot went on the goal mouth, when it was placed
+    if (shot.endLocation) {
+        entry.endLocation = { x: shot.endLocation.x, y: shot.endLocation.y };
+    }
+
+    if (shot.playerId !== undefined) {
+        entry.playerId = shot.playerId;
+        entry.playerName = shot.playerName || null;
+    }
+
+    // Player who set up a goal
+    if (shot.assistPlayerId) {
+        entry.assistPlayerId = shot.assistPlayerId;
+        entry.assistPlayerName = shot.assistPlayerName || null;
+    }
+
+    // Optional tags are only stored when set
+    const attributes = normalizeShotAttributes(shot);
+    SHOT_ATTRIBUTE_KEYS.forEach(key => {
+        if (attributes[key]) entry[key] = attributes[key];
+    });
+
+    return entry;
+}
+
+// Build a match event entry (card, substitution, corner, foul, offside)
+export function createMatchEventEntry(matchEvent, id) {
+    const entry = {
+        id,
+        type: matchEvent.type,
+        team: matchEvent.team,
+        teamName: matchEvent.teamName,
+        half: matchEvent.half,
+        period: matchEvent.period ?? matchEvent.half,
+        gameTime: matchEvent.gameTime,
+        displayTime: matchEvent.displayTime ?? matchEvent.gameTime,
+        clockSeconds: matchEvent.clockSeconds
+    };
+
+    ['playerId', 'playerName', 'playerOffId', 'playerOffName', 'playerOnId', 'playerOnName'].forEach(key => {
+        if (matchEvent[key]) entry[key] = matchEvent[key];
+    });
+
+    return entry;
+}
+
+// Team, half and period counters for the current log (onTarget includes goals).
+// firstHalf/secondHalf group shots by field half and are kept for older readers.
+function buildTeamState(log, team, periodsPlayed) {
+    const teamShots = log.filter(entry => entry.team === team);
+    const periodNumbers = new Set([...periodsPlayed, ...teamShots.map(getShotPeriod)]);
+    const periods = {};
+    [...periodNumbers].sort((a, b) => a - b).forEach(period => {
+        periods[period] = countShots(teamShots.filter(entry => getShotPeriod(entry) === period));
+    });
+
+    return {
+        ...countShots(teamShots),
+        ...countShotOutcomes(teamShots),
+        xg: sumXg(teamShots),
+        firstHalf: countShots(teamShots.filter(entry => entry.half === 1)),
+        secondHalf: countShots(teamShots.filter(entry => entry.half !== 1)),
+        periods
+    };
+}
+
+// A period starts at the clock time it was entered (payloads from before the
+// match clock carry no clockSeconds, so fall back to the clock at the event)
+function enterPeriod(state, event, period, half) {
+    const at = Date.parse(event.at);
+    const clockSeconds = event.payload.clockSeconds ?? (Number.isNaN(at) ? state.clock.seconds : getElapsedSeconds(state.clock, at));
+    return {
+        ...state,
+        currentPeriod: period,
+        currentHalf: half ?? state.currentHalf,
+        periodStartSeconds: period === state.currentPeriod ? state.periodStartSeconds : clockSeconds,
+        periodsPlayed: state.periodsPlayed.includes(period) ? state.periodsPlayed : [...state.periodsPlayed, period]
+    };
+}
+
+// Apply one event to the log/notes/period/shootout/clock (counters are rebuilt afterwards)
+function applyEvent(state, event) {
+    const { payload } = event;
+
+    switch (event.type) {
+        case GAME_EVENTS.SHOT_RECORDED:
+            return { ...state, log: [createLogEntry(payload.shot, event.id), ...state.log] };
+
+        case GAME_EVENTS.SHOT_EDITED:
+            return {
+                ...state,
+                log: state.log.map(entry => (entry.id === payload.shotId ? { ...entry, ...payload.changes, id: entry.id } : entry))
+            };
+
+        case GAME_EVENTS.SHOT_DELETED:
+            return { ...state, log: state.log.filter(entry => entry.id !== payload.shotId) };
+
+        case GAME_EVENTS.MATCH_EVENT_RECORDED:
+            return { ...state, matchEvents: [createMatchEventEntry(payload.matchEvent, event.id), ...state.matchEvents] };
+
+        case GAME_EVENTS.MATCH_EVENT_DELETED:
+            return { ...state, matchEvents: state.matchEvents.filter(entry => entry.id !== payload.matchEventId) };
+
+        case GAME_EVENTS.NOTE_ADDED:
+            return { ...state, notes: [{ id: event.id, ...payload.note }, ...state.notes] };
+
+        case GAME_EVENTS.NOTE_EDITED:
+            return {
+                ...state,
+                notes: state.notes.map(note => (note.id === payload.noteId ? { ...note, ...payload.changes, id: note.id } : note))
+            };
+
+        case GAME_EVENTS.NOTE_DELETED:
+            return { ...state, notes: state.notes.filter(note => note.id !== payload.noteId) };
+
+        // Games recorded before periods existed only have halves
+        case GAME_EVENTS.HALF_CHANGED:
+            return enterPeriod(state, event, payload.half, payload.half);
+
+        case GAME_EVENTS.PERIOD_CHANGED:
+            return enterPeriod(state, event, payload.period, payload.half);
+
+        case GAME_EVENTS.SHOOTOUT_KICK_RECORDED:
+            return { ...state, shootout: [...state.shootout, { id: event.id, ...payload.kick }] };
+
+        case GAME_EVENTS.CLOCK_STARTED:
+            return { ...state, clock: { isRunning: true, seconds: payload.seconds, startedAt: Date.parse(event.at) || null } };
+
+        case GAME_EVENTS.CLOCK_PAUSED:
+            return { ...state, clock: { isRunning: false, seconds: payload.seconds, startedAt: null } };
+
+        case GAME_EVENTS.CLOCK_RESET:
+            return { ...state, periodStartSeconds: 0, clock: { isRunning: false, seconds: 0, startedAt: null } };
+
+        default:
+            return state;
+    }
+}
+
+// Fold the event stream into the game state shape used across the app
+export function deriveGameState(events) {
+    const state = events.reduce(applyEvent, createGameState());
+    return {
+        ...state,
+        home: buildTeamState(state.log, 'home', state.periodsPlayed),
+        away: buildTeamState(state.log, 'away', state.periodsPlayed)
+    };
+}
+
+// =====================================================
+// HISTORY (UNDO / REDO)
+// =====================================================
+
+export function createGameHistory(events = []) {
+    return { events, redoStack: [] };
+}
+
+// New undoable events clear the redo stack
+export function appendEvent(history, event) {
+    return {
+        events: [...history.events, event],
+        redoStack: isUndoableEvent(event) ? [] : history.redoStack
+    };
+}
+
+function findLastUndoableIndex(events) {
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (isUndoableEvent(events[i])) return i;
+    }
+    return -1;
+}
+
+export function canUndo(history) {
+    return findLastUndoableIndex(history.events) !== -1;
+}
+
+export function canRedo(history) {
+    return history.redoStack.length > 0;
+}
+
+// Remove the latest undoable event and keep it for redo
+export function undo(history) {
+    const index = findLastUndoableIndex(history.events);
+    if (index === -1) return history;
+
+    return {
+        events: history.events.filter((_, i) => i !== index),
+        redoStack: [...history.redoStack, history.events[index]]
+    };
+}
+
+export function redo(history) {
+    if (history.redoStack.length === 0) return history;
+
+    const event = history.redoStack[history.redoStack.length - 1];
+    return {
+        events: [...history.events, event],
+        redoStack: history.redoStack.slice(0, -1)
+    };
+}
+
+// =====================================================
+// SNAPSHOTS
+// =====================================================
+
+// Stats block stored in games.home_stats / games.away_stats
+export function getTeamStatsBlock(teamState) {
+    return {
+        goals: teamState.goals,
+        onTarget: teamState.onTarget,
+        offTarget: teamState.offTarget,
+        saved: teamState.saved,
+        blocked: teamState.blocked,
+        woodwork: teamState.woodwork,
+        xg: teamState.xg,
+        firstHalf: { ...teamState.firstHalf },
+        secondHalf: { ...teamState.secondHalf },
+        periods: { ...teamState.periods }
+    };
+}
+
+// Stats blocks rebuilt from a stored shot_log, for saved games edited after
+// the fact; periodsPlayed are listed even when no shots were logged in them
+export function summarizeShotLog(log, periodsPlayed = [1]) {
+    return {
+        home: getTeamStatsBlock(buildTeamState(log, 'home', periodsPlayed)),
+        away: getTeamStatsBlock(buildTeamState(log, 'away', periodsPlayed))
+    };
+}
+
+// One canonical structure for syncing to fans and saving: the events plus
+// the derived state, so readers never have to replay the stream themselves
+export function toGameSnapshot(history) {
+    const state = deriveGameState(history.events);
+    return {
+        events: history.events,
+        home: getTeamStatsBlock(state.home),
+        away: getTeamStatsBlock(state.away),
+        log: state.log,
+        notes: state.notes,
+        matchEvents: state.matchEvents,
+        shootout: state.shootout,
+        currentHalf: state.currentHalf,
+        currentPeriod: state.currentPeriod,
+        periodStartSeconds: state.periodStartSeconds
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Goal Mouth
+ * Where a shot ended up, seen from the shooter's side of the goal.
+ * Coordinates are metres: x from the left post (negative is wide left,
+ * beyond GOAL_MOUTH_WIDTH is wide right), y up from the ground (above
+ * GOAL_MOUTH_HEIGHT is over the bar). The diagram adds a margin around the
+ * frame so misses can be placed too.
+ */
+
+import { isGoal } from './shotTypes.js';
+
+export const GOAL_MOUTH_WIDTH = 7.32;
+export const GOAL_MOUTH_HEIGHT = 2.44;
+
+// Space drawn around the frame for shots that miss
+export const GOAL_MOUTH_MARGIN_X = 2;
+export const GOAL_MOUTH_MARGIN_TOP = 1;
+
+// Inside the frame is split into thirds across and halves up
+export const PLACEMENT_ZONES = {
+    top_left: 'Top Left',
+    top_center: 'Top Center',
+    top_right: 'Top Right',
+    low_left: 'Low Left',
+    low_center: 'Low Center',
+    low_right: 'Low Right',
+    wide_left: 'Wide Left',
+    over: 'Over the Bar',
+    wide_right: 'Wide Right'
+};
+
+// Frame zones first (top row, low row), then the misses
+export const PLACEMENT_ZONE_KEYS = Object.keys(PLACEMENT_ZONES);
+
+export function hasEndLocation(shot) {
+    return Boolean(
+        shot &&
+        shot.endLocation &&
+        typeof shot.endLocation.x === 'number' &&
+        typeof shot.endLocation.y === 'number' &&
+        !isNaN(shot.endLocation.x) &&
+        !isNaN(shot.endLocation.y)
+    );
+}
+
+// Keep a tapped point inside the drawn diagram
+export function clampToGoalMouth(x, y) {
+    return {
+        x: Math.max(-GOAL_MOUTH_MARGIN_X, Math.min(GOAL_MOUTH_WIDTH + GOAL_MOUTH_MARGIN_X, x)),
+        y: Math.max(0, Math.min(GOAL_MOUTH_HEIGHT + GOAL_MOUTH_MARGIN_TOP, y))
+    };
+}
+
+export function isInsideFrame({ x, y }) {
+    return x >= 0 && x <= GOAL_MOUTH_WIDTH && y <= GOAL_MOUTH_HEIGHT;
+}
+
+export function getPlacementZone(endLocation) {
+    const { x, y } = endLocation;
+
+    // Beyond a post counts as wide even when it is also high
+    if (x < 0) return 'wide_left';
+    if (x > GOAL_MOUTH_WIDTH) return 'wide_right';
+    if (y > GOAL_MOUTH_HEIGHT) return 'over';
+
+    const third = GOAL_MOUTH_WIDTH / 3;
+    const column = x < third ? 'left' : x <= third * 2 ? 'center' : 'right';
+    const row = y >= GOAL_MOUTH_HEIGHT / 2 ? 'top' : 'low';
+    return `${row}_${column}`;
+}
+
+export function getPlacementLabel(zone) {
+    return PLACEMENT_ZONES[zone] || zone;
+}
+
+// Shots and goals per placement zone for shots with an end location
+export function countPlacements(shots) {
+    const counts = {};
+    PLACEMENT_ZONE_KEYS.forEach(zone => {
+        counts[zone] = { shots: 0, goals: 0 };
+    });
+
+    shots.filter(hasEndLocation).forEach(shot => {
+        const zone = getPlacementZone(shot.endLocation);
+        counts[zone].shots++;
+        if (isGoal(shot)) counts[zone].goals++;
+    });
+
+    return counts;
+}
+
+// Non-empty placement zones as "Top Left 3 (1 goal)" for one team
+export function describePlacementCounts(shots) {
+    return Object.entries(countPlacements(shots))
+        .filter(([, count]) => count.shots > 0)
+        .map(([zone, count]) => `${getPlacementLabel(zone)} ${count.shots}${count.goals ? ` (${count.goals} goal${count.goals === 1 ? '' : 's'})` : ''}`)
+        .join(', ');
+}
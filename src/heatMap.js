@@ -0,0 +1,104 @@
+/**
+ * Heat Map
+ * Density grid shared by the live game and history heat maps.
+ * Rendering to canvas stays in index.html; this module only does the math.
+ */
+
+import {
+    FIELD_WIDTH,
+    FIELD_HEIGHT,
+    HALFWAY_X,
+    isInPenaltyBox,
+    isClusteredShot,
+    mirrorPosition,
+    normalizeToFirstHalf,
+    normalizeToAttackingRight
+} from './fieldGeometry.js';
+import { isOffTarget } from './shotTypes.js';
+
+// Minimum shots before a heat map is drawn
+export const HEAT_MAP_MIN_SHOTS = 10;
+
+export const HEAT_MAP_DEFAULTS = {
+    gridSize: 3,                // Size of each grid cell in field units
+    radius: 12,                 // Influence radius for each shot
+    clusterRadius: 9,           // Distance to consider shots as clustered (~9 yards)
+    isolatedShotMultiplier: 0.35, // Reduce isolated shots to 35% intensity
+    penaltyBoxMultiplier: 1.5,  // Boost for goals and on-target shots in the penalty box
+    offTargetWeight: 0.6        // Goals and shots on target have full weight
+};
+
+// Transform positions and drop off-target shots outside the attacking half (x > 52.5)
+// transform(shot) returns { x, y } in heat map orientation
+export function prepareHeatMapPoints(shots, transform = shot => shot.position) {
+    const points = [];
+    shots.forEach(shot => {
+        const { x, y } = transform(shot);
+        if (isOffTarget(shot) && x <= HALFWAY_X) return;
+        points.push({ x, y, type: shot.type });
+    });
+    return points;
+}
+
+// Live game: mirror everything when the field sides are flipped
+export function flippedTransform(flipped) {
+    return shot => (flipped ? mirrorPosition(shot.position.x, shot.position.y) : shot.position);
+}
+
+// History: mirror second-half shots so both halves face the same goal
+export function halfNormalizedTransform(shot) {
+    return normalizeToFirstHalf(shot.position, shot.half);
+}
+
+// Across games: mirror shots by a side attacking the left-hand goal so all
+// attack the right-hand one (shots tagged by tagAttackingDirection)
+export function attackingRightTransform(shot) {
+    return normalizeToAttackingRight(shot.position, shot.attackingRight);
+}
+
+export function getShotWeight(point, index, points, options = HEAT_MAP_DEFAULTS) {
+    const offTarget = isOffTarget(point);
+    let weight = offTarget ? options.offTargetWeight : 1.0;
+
+    if (!isClusteredShot(index, points, options.clusterRadius)) {
+        weight *= options.isolatedShotMultiplier;
+    }
+
+    // Off-target shots do not get the penalty box boost
+    if (!offTarget && isInPenaltyBox(point.x, point.y)) {
+        weight *= options.penaltyBoxMultiplier;
+    }
+
+    return weight;
+}
+
+// Build a rows x cols density grid with a Gaussian-like falloff around each shot
+export function buildHeatMapGrid(points, overrides = {}) {
+    const options = { ...HEAT_MAP_DEFAULTS, ...overrides };
+    const { gridSize, radius } = options;
+
+    const cols = Math.ceil(FIELD_WIDTH / gridSize);
+    const rows = Math.ceil(FIELD_HEIGHT / gridSize);
+    const grid = Array(rows).fill(null).map(() => Array(cols).fill(0));
+
+    points.forEach((point, index) => {
+        const weight = getShotWeight(point, index, points, options);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cellX = (col + 0.5) * gridSize;
+                const cellY = (row + 0.5) * gridSize;
+                const distance = Math.sqrt(Math.pow(cellX - point.x, 2) + Math.pow(cellY - point.y, 2));
+
+                if (distance < radius) {
+                    grid[row][col] += Math.exp(-Math.pow(distance / (radius / 2), 2)) * weight;
+                }
+            }
+        }
+    });
+
+    let maxDensity = 0;
+    grid.forEach(row => row.forEach(val => { if (val > maxDensity) maxDensity = val; }));
+
+    return { grid, rows, cols, gridSize, maxDensity };
+}
@@ -0,0 +1,157 @@
+/**
+ * Shared Live Games
+ * Several coaches can record the same live game, each on their own device.
+ * Every device keeps its own copy of the event stream and copies are merged
+ * by event id, so entries from one touchline never overwrite the other's.
+ *
+ * Events carry the device that recorded them (`by`) and a sequence number
+ * (`seq`, one past the highest the device has seen), which orders them the
+ * same way on every device and keeps an edit after the shot it edits. Undo
+ * and redo only touch the device's own events and leave a mark per event id
+ * in `removals` ({ undone, seq }); the latest mark wins a merge, so an undo
+ * is not brought back by another device's older copy.
+ */
+
+import { isUndoableEvent, toGameSnapshot } from './gameState.js';
+
+// Events from before shared games have no device and count as this device's
+function isOwnEvent(event, deviceId) {
+    return !event.by || event.by === deviceId;
+}
+
+// Sequence number, then time, then id; events from before shared games sort first
+export function compareEvents(a, b) {
+    const bySeq = (a.seq || 0) - (b.seq || 0);
+    if (bySeq !== 0) return bySeq;
+    if (a.at !== b.at) return a.at < b.at ? -1 : 1;
+    if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+    return 0;
+}
+
+// One past the highest sequence number in the stream, redo stack or marks
+export function getNextSeq(history) {
+    const seqs = [
+        ...history.events,
+        ...(history.redoStack || []),
+        ...Object.values(history.removals || {})
+    ].map(entry => entry.seq || 0);
+    return Math.max(0, ...seqs) + 1;
+}
+
+// The later mark for an event; an undo wins a tie
+function pickMark(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (a.seq !== b.seq) return a.seq > b.seq ? a : b;
+    return a.undone ? a : b;
+}
+
+export function mergeRemovals(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([id, mark]) => {
+        merged[id] = pickMark(merged[id], mark);
+    });
+    return merged;
+}
+
+// Both copies' events and marks combined: { events, removals }
+export function mergeLiveGame(local, remote) {
+    const removals = mergeRemovals(local.removals, remote?.removals);
+    const byId = new Map();
+    [...local.events, ...(remote?.events || [])].forEach(event => {
+        if (!byId.has(event.id)) byId.set(event.id, event);
+    });
+
+    const events = [...byId.values()]
+        .filter(event => !removals[event.id]?.undone)
+        .sort(compareEvents);
+    return { events, removals };
+}
+
+// Whether the stored copy is missing anything in the merged one, so this
+// device still has to send its copy
+export function needsLiveSync(remote, merged) {
+    const remoteEvents = remote?.events || [];
+    const remoteIds = new Set(remoteEvents.map(event => event.id));
+    if (merged.events.length !== remoteEvents.length || merged.events.some(event => !remoteIds.has(event.id))) {
+        return true;
+    }
+    return Object.entries(merged.removals).some(([id, mark]) => {
+        const stored = remote?.removals?.[id];
+        return !stored || stored.seq !== mark.seq || stored.undone !== mark.undone;
+    });
+}
+
+// The stored copy merged into this device's history; the redo stack stays
+export function mergeRemoteLiveGame(history, remote) {
+    return { ...history, ...mergeLiveGame(history, remote) };
+}
+
+// =====================================================
+// RECORDING (UNDO / REDO)
+// =====================================================
+
+// New undoable events clear the redo stack
+export function recordOwnEvent(history, event, deviceId) {
+    const stamped = { ...event, by: deviceId, seq: getNextSeq(history) };
+    return {
+        ...history,
+        events: [...history.events, stamped].sort(compareEvents),
+        redoStack: isUndoableEvent(event) ? [] : history.redoStack
+    };
+}
+
+function findLastOwnUndoableIndex(events, deviceId) {
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (isUndoableEvent(events[i]) && isOwnEvent(events[i], deviceId)) return i;
+    }
+    return -1;
+}
+
+export function canUndoOwn(history, deviceId) {
+    return findLastOwnUndoableIndex(history.events, deviceId) !== -1;
+}
+
+// Remove this device's latest undoable event and keep it for redo
+export function undoOwnEvent(history, deviceId) {
+    const index = findLastOwnUndoableIndex(history.events, deviceId);
+    if (index === -1) return history;
+
+    const event = history.events[index];
+    return {
+        ...history,
+        events: history.events.filter((_, i) => i !== index),
+        redoStack: [...history.redoStack, event],
+        removals: { ...history.removals, [event.id]: { undone: true, seq: getNextSeq(history) } }
+    };
+}
+
+// Put the most recently undone event back where it was in the stream
+export function redoOwnEvent(history) {
+    if (history.redoStack.length === 0) return history;
+
+    const event = history.redoStack[history.redoStack.length - 1];
+    return {
+        ...history,
+        events: [...history.events, event].sort(compareEvents),
+        redoStack: history.redoStack.slice(0, -1),
+        removals: { ...history.removals, [event.id]: { undone: false, seq: getNextSeq(history) } }
+    };
+}
+
+// =====================================================
+// ACTIVE GAME ROWS
+// =====================================================
+
+// game_state for active_games: the snapshot, the undo marks and which game
+// it is, so a newly started game replaces the stored one instead of merging
+export function toLiveGameState(history, { gameId = null, startedAt = null } = {}) {
+    return { ...toGameSnapshot(history), removals: history.removals || {}, gameId, startedAt };
+}
+
+// A stored game_state with the score, log and notes rebuilt from its
+// events, which may have been merged from several devices
+export function readLiveGameState(gameState) {
+    if (!gameState || !Array.isArray(gameState.events)) return gameState;
+    return toLiveGameState({ events: gameState.events, removals: gameState.removals }, gameState);
+}
@@ -0,0 +1,83 @@
+/**
+ * Local Store
+ * Small key-value wrapper around IndexedDB used to keep the in-progress
+ * game and the sync outbox on the device. Falls back to memory when
+ * IndexedDB is unavailable (private browsing, old browsers, tests).
+ */
+
+export const DB_NAME = 'soccer-shot-tracker';
+export const DB_VERSION = 1;
+export const STORE_NAME = 'keyval';
+
+// Keys used by the app
+export const STORE_KEYS = {
+    CURRENT_GAME: 'currentGame',
+    OUTBOX: 'outbox'
+};
+
+export function createMemoryStore() {
+    const data = new Map();
+
+    return {
+        persistent: false,
+        async get(key) {
+            return data.has(key) ? cloneValue(data.get(key)) : undefined;
+        },
+        async set(key, value) {
+            data.set(key, cloneValue(value));
+        },
+        async remove(key) {
+            data.delete(key);
+        }
+    };
+}
+
+// Copy values so callers can't mutate what is "on disk"
+function cloneValue(value) {
+    if (value === undefined) return undefined;
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createIndexedDbStore(db) {
+    const run = (mode, action) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        return requestToPromise(action(tx.objectStore(STORE_NAME)));
+    };
+
+    return {
+        persistent: true,
+        get: key => run('readonly', store => store.get(key)),
+        set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => undefined),
+        remove: key => run('readwrite', store => store.delete(key)).then(() => undefined)
+    };
+}
+
+// Open the IndexedDB store, or a memory store if that is not possible
+export async function openLocalStore(idbFactory = globalThis.indexedDB) {
+    if (!idbFactory) {
+        return createMemoryStore();
+    }
+
+    try {
+        const request = idbFactory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME);
+            }
+        };
+        const db = await requestToPromise(request);
+        return createIndexedDbStore(db);
+    } catch (err) {
+        console.error('IndexedDB unavailable, using memory store:', err);
+        return createMemoryStore();
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Match Clock
+ * The clock stores total match seconds plus the moment it was last started,
+ * and elapsed time is worked out from timestamps rather than counted tick by
+ * tick, so a backgrounded or sleeping tab never loses time. Each period's
+ * reading (count-up or countdown, stoppage time) comes from where that
+ * period started on the clock and the configured period length.
+ */
+
+import { getPeriods, getPeriod, PERIOD_TYPES } from './periods.js';
+
+export const CLOCK_MODES = {
+    COUNT_UP: 'up',
+    COUNT_DOWN: 'down'
+};
+
+// No period length means a plain running clock, as games had before
+export const DEFAULT_CLOCK_CONFIG = {
+    mode: CLOCK_MODES.COUNT_UP,
+    periodMinutes: null,
+    extraTimeMinutes: null
+};
+
+function positiveOrNull(value) {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+}
+
+export function normalizeClockConfig(config) {
+    const merged = { ...DEFAULT_CLOCK_CONFIG, ...(config || {}) };
+    return {
+        mode: merged.mode === CLOCK_MODES.COUNT_DOWN ? CLOCK_MODES.COUNT_DOWN : CLOCK_MODES.COUNT_UP,
+        periodMinutes: positiveOrNull(merged.periodMinutes),
+        extraTimeMinutes: positiveOrNull(merged.extraTimeMinutes)
+    };
+}
+
+// MM:SS (minutes keep counting past 99)
+export function formatClock(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Seconds on the clock at `now`. startedAt is the epoch ms of the last start.
+export function getElapsedSeconds(clock, now = Date.now()) {
+    if (!clock.isRunning || clock.startedAt == null) return clock.seconds;
+    return clock.seconds + Math.max(0, Math.floor((now - clock.startedAt) / 1000));
+}
+
+// Length of a period in seconds, or null when it has none (shootout, unset)
+export function getPeriodLength(periodConfig, clockConfig, number) {
+    const { periodMinutes, extraTimeMinutes } = normalizeClockConfig(clockConfig);
+    const period = getPeriod(periodConfig, number);
+
+    if (period.type === PERIOD_TYPES.SHOOTOUT) return null;
+    const minutes = period.type === PERIOD_TYPES.EXTRA_TIME ? extraTimeMinutes : periodMinutes;
+    return minutes ? minutes * 60 : null;
+}
+
+// Match time a period kicks off at (45:00 for a second half of 45 minutes),
+// or null when an earlier period has no length
+export function getPeriodStartTime(periodConfig, clockConfig, number) {
+    let start = 0;
+    for (const period of getPeriods(periodConfig)) {
+        if (period.number >= number) return start;
+        const length = getPeriodLength(periodConfig, clockConfig, period.number);
+        if (length === null) return null;
+        start += length;
+    }
+    return number === 1 ? 0 : null;
+}
+
+// Everything the clock face and shot times need for the current period.
+// `minute` is the match minute in the usual style: 23' or 45+2'.
+export function getClockReading(elapsedSeconds, { period = 1, periodStartSeconds = 0, periodConfig, clockConfig } = {}) {
+    const { mode } = normalizeClockConfig(clockConfig);
+    const length = getPeriodLength(periodConfig, clockConfig, period);
+    const start = getPeriodStartTime(periodConfig, clockConfig, period);
+    const periodSeconds = Math.max(0, elapsedSeconds - periodStartSeconds);
+
+    if (length === null || start === null) {
+        return {
+            periodSeconds,
+            length: null,
+            expired: false,
+            stoppageSeconds: 0,
+            display: formatClock(elapsedSeconds),
+            minute: `${Math.floor(elapsedSeconds / 60) + 1}'`
+        };
+    }
+
+    if (periodSeconds >= length) {
+        const stoppageSeconds = periodSeconds - length;
+        const endMinute = (start + length) / 60;
+        const stoppage = `${endMinute}+${Math.floor(stoppageSeconds / 60) + 1}`;
+        return {
+            periodSeconds,
+            length,
+            expired: true,
+            stoppageSeconds,
+            display: stoppage,
+            minute: `${stoppage}'`
+        };
+    }
+
+    return {
+        periodSeconds,
+        length,
+        expired: false,
+        stoppageSeconds: 0,
+        display: formatClock(mode === CLOCK_MODES.COUNT_DOWN ? length - periodSeconds : start + periodSeconds),
+        minute: `${Math.floor((start + periodSeconds) / 60) + 1}'`
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * Match Events
+ * Cards, substitutions, corners, fouls and offsides. They are recorded
+ * alongside shots but kept out of the shot stats; these helpers label and
+ * count them and merge them into the game log.
+ */
+
+export const MATCH_EVENT_TYPES = {
+    YELLOW_CARD: 'yellow_card',
+    RED_CARD: 'red_card',
+    SUBSTITUTION: 'substitution',
+    CORNER: 'corner',
+    FOUL: 'foul',
+    OFFSIDE: 'offside'
+};
+
+const MATCH_EVENT_LABELS = {
+    [MATCH_EVENT_TYPES.YELLOW_CARD]: 'Yellow Card',
+    [MATCH_EVENT_TYPES.RED_CARD]: 'Red Card',
+    [MATCH_EVENT_TYPES.SUBSTITUTION]: 'Substitution',
+    [MATCH_EVENT_TYPES.CORNER]: 'Corner',
+    [MATCH_EVENT_TYPES.FOUL]: 'Foul',
+    [MATCH_EVENT_TYPES.OFFSIDE]: 'Offside'
+};
+
+// Count keys in display order, used for stats blocks and reports
+export const MATCH_EVENT_COUNT_KEYS = {
+    [MATCH_EVENT_TYPES.CORNER]: 'corners',
+    [MATCH_EVENT_TYPES.FOUL]: 'fouls',
+    [MATCH_EVENT_TYPES.OFFSIDE]: 'offsides',
+    [MATCH_EVENT_TYPES.YELLOW_CARD]: 'yellowCards',
+    [MATCH_EVENT_TYPES.RED_CARD]: 'redCards',
+    [MATCH_EVENT_TYPES.SUBSTITUTION]: 'substitutions'
+};
+
+// Events that name a player (a substitution names two)
+const PLAYER_EVENTS = new Set([
+    MATCH_EVENT_TYPES.YELLOW_CARD,
+    MATCH_EVENT_TYPES.RED_CARD,
+    MATCH_EVENT_TYPES.SUBSTITUTION
+]);
+
+export function isMatchEventType(type) {
+    return type in MATCH_EVENT_LABELS;
+}
+
+export function getMatchEventLabel(type) {
+    return MATCH_EVENT_LABELS[type] || type;
+}
+
+// Plural label for a count key: 'yellowCards' -> 'Yellow Cards'
+export function getMatchEventCountLabel(countKey) {
+    const type = Object.keys(MATCH_EVENT_COUNT_KEYS).find(key => MATCH_EVENT_COUNT_KEYS[key] === countKey);
+    return type ? `${getMatchEventLabel(type)}s` : countKey;
+}
+
+export function namesPlayers(type) {
+    return PLAYER_EVENTS.has(type);
+}
+
+export function createMatchEventCounts() {
+    const counts = {};
+    Object.values(MATCH_EVENT_COUNT_KEYS).forEach(key => {
+        counts[key] = 0;
+    });
+    return counts;
+}
+
+// Totals per event type for one team
+export function countMatchEvents(events, team) {
+    const counts = createMatchEventCounts();
+    (events || []).forEach(event => {
+        if (event.team !== team) return;
+        const key = MATCH_EVENT_COUNT_KEYS[event.type];
+        if (key) counts[key]++;
+    });
+    return counts;
+}
+
+// Player part of an event: "J. Smith" or "Off: J. Smith, On: A. Jones"
+export function describeMatchEventPlayers(event) {
+    if (event.type === MATCH_EVENT_TYPES.SUBSTITUTION) {
+        const parts = [];
+        if (event.playerOffName) parts.push(`Off: ${event.playerOffName}`);
+        if (event.playerOnName) parts.push(`On: ${event.playerOnName}`);
+        return parts.join(', ');
+    }
+    return event.playerName || '';
+}
+
+// Cards and substitutions in clock order, for reports
+export function getNotableMatchEvents(events) {
+    return [...(events || [])]
+        .filter(event => namesPlayers(event.type))
+        .sort((a, b) => (a.clockSeconds ?? 0) - (b.clockSeconds ?? 0));
+}
+
+// Shots and match events in one newest-first list. Shots keep their index in
+// the shot log so edits and deletes still find them; entries without a clock
+// time sort as if recorded at kick-off.
+export function mergeGameLog(shots, events) {
+    const items = [
+        ...shots.map((entry, index) => ({ kind: 'shot', entry, index })),
+        ...(events || []).map((entry, index) => ({ kind: 'event', entry, index }))
+    ];
+    return items
+        .map((item, order) => ({ item, order }))
+        .sort((a, b) => ((b.item.entry.clockSeconds ?? 0) - (a.item.entry.clockSeconds ?? 0)) || (a.order - b.order))
+        .map(({ item }) => item);
+}
@@ -0,0 +1,105 @@
+/**
+ * Opponents
+ * Matching the opponent typed into game setup against a team's opponent
+ * directory (name plus aliases, so "Lions FC" and "Lions" are one team)
+ * and head-to-head records across every meeting.
+ */
+
+import { getTeamSide, getTotalShots, getMatchResult, summarizeTeamRecord } from './stats.js';
+
+// Case, punctuation and spacing don't distinguish opponents
+export function normalizeOpponentName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Aliases typed as a comma-separated list, trimmed and without repeats of
+// the name or each other
+export function parseAliases(text, name = '') {
+    const seen = new Set([normalizeOpponentName(name)]);
+    return String(text || '')
+        .split(',')
+        .map(alias => alias.trim())
+        .filter(alias => {
+            const key = normalizeOpponentName(alias);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+function opponentNames(opponent) {
+    return [opponent.name, ...(opponent.aliases || [])];
+}
+
+// The directory entry whose name or an alias matches, or null
+export function findOpponent(opponents, name) {
+    const key = normalizeOpponentName(name);
+    if (!key) return null;
+    return (opponents || []).find(opponent =>
+        opponentNames(opponent).some(candidate => normalizeOpponentName(candidate) === key)
+    ) || null;
+}
+
+// The other side's name in a saved game
+export function getGameOpponentName(game, teamName) {
+    return getTeamSide(game, teamName) === 'home' ? game.awayTeam : game.homeTeam;
+}
+
+// Meetings with an opponent: games linked to it, plus older games whose
+// opponent name matches its name or an alias
+export function getOpponentGames(games, opponent, teamName) {
+    return (games || []).filter(game => {
+        if (game.opponentId) return game.opponentId === opponent.id;
+        return findOpponent([opponent], getGameOpponentName(game, teamName)) !== null;
+    });
+}
+
+// Opponent names from saved games that match nobody in the directory, most
+// frequent first, so they can be added in one go
+export function getUnlistedOpponentNames(games, opponents, teamName) {
+    const counts = new Map();
+    (games || []).forEach(game => {
+        if (game.opponentId) return;
+        const name = getGameOpponentName(game, teamName);
+        if (!normalizeOpponentName(name) || findOpponent(opponents, name)) return;
+
+        const key = normalizeOpponentName(name);
+        const entry = counts.get(key) || { name, games: 0 };
+        entry.games++;
+        counts.set(key, entry);
+    });
+
+    return [...counts.values()].sort((a, b) => (b.games - a.games) || a.name.localeCompare(b.name));
+}
+
+const RESULT_CODES = { home: 'W', away: 'L', draw: 'D' };
+
+// Won / drawn / lost, goals and shots for and against across every meeting,
+// with one row per meeting in the order given
+export function getHeadToHead(games, opponent, teamName) {
+    const meetings = getOpponentGames(games, opponent, teamName);
+
+    return {
+        ...summarizeTeamRecord(meetings, teamName),
+        meetings: meetings.map(game => {
+            const side = getTeamSide(game, teamName);
+            const ours = game[side] || {};
+            const theirs = game[side === 'home' ? 'away' : 'home'] || {};
+
+            return {
+                gameId: game.id,
+                date: game.date,
+                venue: side,
+                goalsFor: ours.goals || 0,
+                goalsAgainst: theirs.goals || 0,
+                shotsFor: getTotalShots(ours),
+                shotsAgainst: getTotalShots(theirs),
+                result: RESULT_CODES[getMatchResult(ours.goals || 0, theirs.goals || 0)]
+            };
+        })
+    };
+}
@@ -0,0 +1,158 @@
+/**
+ * Sync Outbox
+ * Durable queue of Supabase writes (saved games and live active_games
+ * updates) that are replayed in order once the device is back online.
+ */
+
+import { STORE_KEYS } from './localStore.js';
+
+export const OUTBOX_OPERATIONS = {
+    INSERT_GAME: 'insert_game',
+    UPSERT_ACTIVE_GAME: 'upsert_active_game',
+    DELETE_ACTIVE_GAME: 'delete_active_game'
+};
+
+export function createEmptyOutbox() {
+    return { pending: [], failed: [] };
+}
+
+let operationCounter = 0;
+
+export function createOperation(type, payload, now = Date.now()) {
+    operationCounter++;
+    return {
+        id: `${now.toString(36)}-${operationCounter.toString(36)}`,
+        type,
+        payload,
+        createdAt: new Date(now).toISOString(),
+        attempts: 0,
+        lastError: null
+    };
+}
+
+function isActiveGameOperation(operation, teamId) {
+    return (operation.type === OUTBOX_OPERATIONS.UPSERT_ACTIVE_GAME ||
+        operation.type === OUTBOX_OPERATIONS.DELETE_ACTIVE_GAME) &&
+        operation.payload.teamId === teamId;
+}
+
+// Add an operation. Only the latest active_games write per team matters,
+// so earlier pending upserts/deletes for that team are replaced.
+export function enqueueOperation(outbox, operation) {
+    let pending = outbox.pending;
+
+    if (operation.type === OUTBOX_OPERATIONS.UPSERT_ACTIVE_GAME ||
+        operation.type === OUTBOX_OPERATIONS.DELETE_ACTIVE_GAME) {
+        pending = pending.filter(op => !isActiveGameOperation(op, operation.payload.teamId));
+    }
+
+    return { ...outbox, pending: [...pending, operation] };
+}
+
+// A Supabase/PostgREST error with a code means the server answered and
+// rejected the write; retrying will not help. Network failures have no code.
+export function isPermanentError(error) {
+    return Boolean(error && error.code);
+}
+
+// Send pending operations in order. Stops at the first network failure so
+// later writes never overtake earlier ones. Rejected writes move to failed.
+export async function flushOperations(outbox, send) {
+    const pending = [...outbox.pending];
+    const failed = [...outbox.failed];
+    let sent = 0;
+    let networkError = null;
+
+    while (pending.length > 0) {
+        const operation = pending[0];
+        try {
+            await send(operation);
+            pending.shift();
+            sent++;
+        } catch (err) {
+            const updated = {
+                ...operation,
+                attempts: operation.attempts + 1,
+                lastError: err?.message || String(err)
+            };
+
+            if (isPermanentError(err)) {
+                pending.shift();
+                failed.push(updated);
+            } else {
+                pending[0] = updated;
+                networkError = err;
+                break;
+            }
+        }
+    }
+
+    return { outbox: { pending, failed }, sent, networkError };
+}
+
+// Outbox bound to a local store; every change is written through
+export function createOutbox(store) {
+    let outbox = createEmptyOutbox();
+    let flushing = null;
+
+    const save = () => store.set(STORE_KEYS.OUTBOX, outbox);
+
+    return {
+        async load() {
+            outbox = { ...createEmptyOutbox(), ...(await store.get(STORE_KEYS.OUTBOX)) };
+            return outbox;
+        },
+
+        async enqueue(type, payload) {
+            const operation = createOperation(type, payload);
+            outbox = enqueueOperation(outbox, operation);
+            await save();
+            return operation;
+        },
+
+        // One run at a time; a call made during a run waits for it and then
+        // sends whatever was queued in the meantime
+        flush(send) {
+            if (flushing) {
+                return flushing.then(() => this.flush(send));
+            }
+
+            const inFlight = new Set(outbox.pending.map(op => op.id));
+            flushing = flushOperations(outbox, send)
+                .then(async result => {
+                    const queuedDuringFlush = outbox.pending.filter(op => !inFlight.has(op.id));
+                    outbox = queuedDuringFlush.reduce(enqueueOperation, result.outbox);
+                    await save();
+                    return result;
+                })
+                .finally(() => {
+                    flushing = null;
+                });
+            return flushing;
+        },
+
+        // 'pending' | 'failed' | 'sent'
+        getStatus(operationId) {
+            if (outbox.pending.some(op => op.id === operationId)) return 'pending';
+            const failed = outbox.failed.find(op => op.id === operationId);
+            return failed ? 'failed' : 'sent';
+        },
+
+        getFailed(operationId) {
+            return outbox.failed.find(op => op.id === operationId) || null;
+        },
+
+        async discardFailed(operationId) {
+            outbox = { ...outbox, failed: outbox.failed.filter(op => op.id !== operationId) };
+            await save();
+        },
+
+        get pendingCount() {
+            return outbox.pending.length;
+        },
+
+        get failedCount() {
+            return outbox.failed.length;
+        }
+    };
+}
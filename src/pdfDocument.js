@@ -0,0 +1,262 @@
+/**
+ * PDF Document
+ * Minimal PDF 1.4 writer for vector reports: pages, lines, rectangles,
+ * circles, arcs, polygons, clipping and text in the standard Helvetica
+ * fonts. No dependencies, so a report builds the same in the browser and
+ * in Node. Coordinates are points from the top-left corner of the page.
+ */
+
+import { hexToRgb } from './colors.js';
+
+export const PAGE_SIZES = {
+    LETTER: { width: 612, height: 792 }
+};
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ' ' through '~'
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_CHAR_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// Text as WinAnsi bytes, one char per byte; anything without a code becomes '?'
+function toWinAnsi(text) {
+    return Array.from(String(text ?? '')).map(char => {
+        if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        const code = char.charCodeAt(0);
+        return (code >= 32 && code < 127) || (code >= 160 && code < 256) ? char : '?';
+    }).join('');
+}
+
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+// Width of a line of text in points
+export function measureText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = Array.from(toWinAnsi(text)).reduce((total, char) => {
+        const code = char.charCodeAt(0);
+        return total + (code >= 32 && code < 127 ? widths[code - 32] : DEFAULT_CHAR_WIDTH);
+    }, 0);
+    return (units * size) / 1000;
+}
+
+// Lines of at most maxWidth points, breaking between words (a word longer
+// than a line gets a line of its own). Newlines always break.
+export function wrapText(text, maxWidth, size, bold = false) {
+    return String(text ?? '').split('\n').flatMap(paragraph => {
+        const lines = [];
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && measureText(candidate, size, bold) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+        return lines;
+    });
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function colorOperator(hex, operator) {
+    const { r, g, b } = hexToRgb(hex);
+    return `${[r, g, b].map(channel => formatNumber(channel / 255)).join(' ')} ${operator}`;
+}
+
+const FONTS = {
+    regular: { name: 'F1', baseFont: 'Helvetica' },
+    bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+    italic: { name: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+export function createPdfDocument({ width = PAGE_SIZES.LETTER.width, height = PAGE_SIZES.LETTER.height, title = '' } = {}) {
+    const pages = [];
+    const opacityStates = new Map(); // opacity -> graphics state name
+    let current = null;
+
+    const toPdfY = y => height - y;
+    const point = (x, y) => `${formatNumber(x)} ${formatNumber(toPdfY(y))}`;
+
+    function opacityState(opacity) {
+        const key = formatNumber(opacity);
+        if (!opacityStates.has(key)) opacityStates.set(key, `GS${opacityStates.size}`);
+        return opacityStates.get(key);
+    }
+
+    // Fill and/or stroke a path built from PDF path operators
+    function paint(pathOps, { fill = null, stroke = null, lineWidth = 1, opacity = 1, dash = null } = {}) {
+        const ops = ['q'];
+        if (opacity < 1) ops.push(`/${opacityState(opacity)} gs`);
+        if (fill) ops.push(colorOperator(fill, 'rg'));
+        if (stroke) ops.push(colorOperator(stroke, 'RG'), `${formatNumber(lineWidth)} w`);
+        if (dash) ops.push(`[${dash.map(formatNumber).join(' ')}] 0 d`);
+        ops.push(...pathOps);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : stroke ? 'S' : 'n');
+        ops.push('Q');
+        current.push(ops.join('\n'));
+    }
+
+    // Bezier segments for an arc, angles in degrees clockwise from 3 o'clock
+    function arcOps(cx, cy, r, startAngle, endAngle, moveToStart) {
+        const ops = [];
+        const segments = Math.max(1, Math.ceil(Math.abs(endAngle - startAngle) / 90));
+        const step = ((endAngle - startAngle) / segments) * (Math.PI / 180);
+        const k = (4 / 3) * Math.tan(step / 4);
+        let angle = startAngle * (Math.PI / 180);
+
+        if (moveToStart) ops.push(`${point(cx + r * Math.cos(angle), cy + r * Math.sin(angle))} m`);
+        for (let i = 0; i < segments; i++) {
+            const next = angle + step;
+            const [cos0, sin0, cos1, sin1] = [Math.cos(angle), Math.sin(angle), Math.cos(next), Math.sin(next)];
+            ops.push([
+                point(cx + r * (cos0 - k * sin0), cy + r * (sin0 + k * cos0)),
+                point(cx + r * (cos1 + k * sin1), cy + r * (sin1 - k * cos1)),
+                point(cx + r * cos1, cy + r * sin1),
+                'c'
+            ].join(' '));
+            angle = next;
+        }
+        return ops;
+    }
+
+    return {
+        width,
+        height,
+
+        get pageCount() {
+            return pages.length;
+        },
+
+        addPage() {
+            current = [];
+            pages.push(current);
+            return pages.length - 1;
+        },
+
+        // Go back to an earlier page, e.g. to number pages once all are laid out
+        setPage(index) {
+            current = pages[index];
+        },
+
+        line(x1, y1, x2, y2, style = {}) {
+            paint([`${point(x1, y1)} m`, `${point(x2, y2)} l`], { stroke: '#000000', ...style, fill: null });
+        },
+
+        rect(x, y, w, h, style) {
+            paint([`${formatNumber(x)} ${formatNumber(toPdfY(y + h))} ${formatNumber(w)} ${formatNumber(h)} re`], style);
+        },
+
+        polygon(points, style) {
+            const [first, ...rest] = points;
+            paint([`${point(first[0], first[1])} m`, ...rest.map(([x, y]) => `${point(x, y)} l`), 'h'], style);
+        },
+
+        circle(cx, cy, r, style) {
+            paint([...arcOps(cx, cy, r, 0, 360, true), 'h'], style);
+        },
+
+        arc(cx, cy, r, startAngle, endAngle, style = {}) {
+            paint(arcOps(cx, cy, r, startAngle, endAngle, true), { ...style, fill: null });
+        },
+
+        // Draws only inside the rectangle while draw() runs
+        clip(x, y, w, h, draw) {
+            current.push(`q\n${formatNumber(x)} ${formatNumber(toPdfY(y + h))} ${formatNumber(w)} ${formatNumber(h)} re W n`);
+            draw();
+            current.push('Q');
+        },
+
+        // One line of text; y is the baseline
+        text(text, x, y, { size = 10, bold = false, italic = false, color = '#000000', align = 'left', opacity = 1 } = {}) {
+            const textWidth = measureText(text, size, bold);
+            const left = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+            const font = bold ? FONTS.bold : italic ? FONTS.italic : FONTS.regular;
+            const ops = ['q'];
+            if (opacity < 1) ops.push(`/${opacityState(opacity)} gs`);
+            ops.push(
+                colorOperator(color, 'rg'),
+                'BT',
+                `/${font.name} ${formatNumber(size)} Tf`,
+                `${point(left, y)} Td`,
+                `(${escapePdfString(toWinAnsi(text))}) Tj`,
+                'ET',
+                'Q'
+            );
+            current.push(ops.join('\n'));
+        },
+
+        // The finished file
+        output() {
+            const objects = [];
+            const addObject = body => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null);
+            const pagesId = addObject(null);
+            const fontIds = Object.values(FONTS).map(font =>
+                addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+            );
+            const states = [...opacityStates.entries()]
+                .map(([opacity, name]) => `/${name} << /Type /ExtGState /ca ${opacity} /CA ${opacity} >>`)
+                .join(' ');
+            const resourcesId = addObject(
+                `<< /Font << ${Object.values(FONTS).map((font, i) => `/${font.name} ${fontIds[i]} 0 R`).join(' ')} >>` +
+                `${states ? ` /ExtGState << ${states} >>` : ''} >>`
+            );
+
+            const pageIds = pages.map(ops => {
+                const content = ops.join('\n');
+                const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                return addObject(
+                    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                    `/Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`
+                );
+            });
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+            const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (Soccer Shot Tracker) >>`);
+
+            let file = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = objects.map((body, i) => {
+                const offset = file.length;
+                file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = file.length;
+            file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            // Every char is below 256, so each is one byte
+            return Uint8Array.from(file, char => char.charCodeAt(0));
+        }
+    };
+}
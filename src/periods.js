@@ -0,0 +1,139 @@
+/**
+ * Match Periods
+ * Period structure chosen at game setup: two halves or four quarters,
+ * optionally followed by two extra-time periods and a penalty shootout.
+ * Periods are numbered from 1 in playing order. Each period also maps to
+ * the half (1 or 2) used for field orientation and the legacy
+ * firstHalf/secondHalf stats.
+ */
+
+export const PERIOD_FORMATS = {
+    HALVES: 'halves',
+    QUARTERS: 'quarters'
+};
+
+export const PERIOD_TYPES = {
+    REGULATION: 'regulation',
+    EXTRA_TIME: 'extra_time',
+    SHOOTOUT: 'shootout'
+};
+
+export const DEFAULT_PERIOD_CONFIG = {
+    format: PERIOD_FORMATS.HALVES,
+    extraTime: false,
+    shootout: false
+};
+
+// Fill in defaults for missing or unknown settings (older games have none)
+export function normalizePeriodConfig(config) {
+    const merged = { ...DEFAULT_PERIOD_CONFIG, ...(config || {}) };
+    return {
+        format: Object.values(PERIOD_FORMATS).includes(merged.format) ? merged.format : PERIOD_FORMATS.HALVES,
+        extraTime: Boolean(merged.extraTime),
+        shootout: Boolean(merged.shootout)
+    };
+}
+
+function ordinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${n}${suffixes[n] || 'th'}`;
+}
+
+export function getPeriods(config) {
+    const { format, extraTime, shootout } = normalizePeriodConfig(config);
+    const periods = [];
+
+    const regulationCount = format === PERIOD_FORMATS.QUARTERS ? 4 : 2;
+    for (let i = 1; i <= regulationCount; i++) {
+        periods.push({
+            number: i,
+            type: PERIOD_TYPES.REGULATION,
+            half: i <= regulationCount / 2 ? 1 : 2,
+            label: format === PERIOD_FORMATS.QUARTERS ? `${ordinal(i)} Quarter` : `${ordinal(i)} Half`,
+            shortLabel: format === PERIOD_FORMATS.QUARTERS ? `Q${i}` : ordinal(i)
+        });
+    }
+
+    if (extraTime) {
+        [1, 2].forEach(i => {
+            periods.push({
+                number: periods.length + 1,
+                type: PERIOD_TYPES.EXTRA_TIME,
+                half: i,
+                label: `Extra Time ${i}`,
+                shortLabel: `ET${i}`
+            });
+        });
+    }
+
+    if (shootout) {
+        periods.push({
+            number: periods.length + 1,
+            type: PERIOD_TYPES.SHOOTOUT,
+            half: null,
+            label: 'Penalty Shootout',
+            shortLabel: 'PKs'
+        });
+    }
+
+    return periods;
+}
+
+// Period details, with a generic fallback for numbers outside the config
+export function getPeriod(config, number) {
+    const period = getPeriods(config).find(p => p.number === number);
+    if (period) return period;
+
+    return {
+        number,
+        type: PERIOD_TYPES.REGULATION,
+        half: number === 1 ? 1 : 2,
+        label: `Period ${number}`,
+        shortLabel: `P${number}`
+    };
+}
+
+export function getNextPeriod(config, number) {
+    return getPeriods(config).find(p => p.number === number + 1) || null;
+}
+
+export function isShootoutPeriod(config, number) {
+    return getPeriod(config, number).type === PERIOD_TYPES.SHOOTOUT;
+}
+
+// Heading for per-period breakdowns
+export function getBreakdownTitle(config) {
+    const { format, extraTime } = normalizePeriodConfig(config);
+    if (extraTime) return 'By Period';
+    return format === PERIOD_FORMATS.QUARTERS ? 'By Quarter' : 'By Half';
+}
+
+// Period a log entry was recorded in (entries from before periods only have a half)
+export function getShotPeriod(shot) {
+    return shot.period ?? shot.half;
+}
+
+// Rows for a history/PDF breakdown from a stored stats block.
+// Uses teamStats.periods when present, otherwise the legacy half buckets.
+export function getPeriodBreakdown(teamStats, config) {
+    if (!teamStats) return [];
+
+    if (teamStats.periods) {
+        return Object.keys(teamStats.periods)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(number => getPeriod(config, number))
+            .filter(period => period.type !== PERIOD_TYPES.SHOOTOUT)
+            .map(period => ({ ...period, stats: teamStats.periods[period.number] }));
+    }
+
+    if (teamStats.firstHalf || teamStats.secondHalf) {
+        const empty = { goals: 0, onTarget: 0, offTarget: 0 };
+        return [
+            { ...getPeriod(DEFAULT_PERIOD_CONFIG, 1), stats: teamStats.firstHalf || empty },
+            { ...getPeriod(DEFAULT_PERIOD_CONFIG, 2), stats: teamStats.secondHalf || empty }
+        ];
+    }
+
+    return [];
+}
@@ -0,0 +1,108 @@
+/**
+ * Player Minutes
+ * Time on the pitch per player, replayed from the starting lineup and the
+ * substitutions and red cards recorded as match events. Times are match
+ * clock seconds, so stoppages while the clock is paused don't count.
+ */
+
+import { MATCH_EVENT_TYPES } from './matchEvents.js';
+
+function byClock(a, b) {
+    return (a.clockSeconds ?? 0) - (b.clockSeconds ?? 0);
+}
+
+function toMinutes(seconds) {
+    return Math.round(seconds / 60);
+}
+
+// Walk the team's substitutions and red cards in clock order, calling
+// onLeave(playerId, fromSeconds, toSeconds) for every spell that ends
+function replayLineup(lineup, matchEvents, team, onLeave = () => {}) {
+    const onSince = new Map((lineup || []).map(player => [player.id, 0]));
+    const names = new Map((lineup || []).map(player => [player.id, player]));
+
+    const leave = (playerId, at) => {
+        if (!onSince.has(playerId)) return;
+        onLeave(playerId, onSince.get(playerId), at);
+        onSince.delete(playerId);
+    };
+
+    (matchEvents || [])
+        .filter(event => event.team === team)
+        .slice()
+        .sort(byClock)
+        .forEach(event => {
+            const at = event.clockSeconds ?? 0;
+            if (event.type === MATCH_EVENT_TYPES.SUBSTITUTION) {
+                if (event.playerOffId) leave(event.playerOffId, at);
+                if (event.playerOnId && !onSince.has(event.playerOnId)) {
+                    onSince.set(event.playerOnId, at);
+                    if (!names.has(event.playerOnId)) {
+                        names.set(event.playerOnId, { id: event.playerOnId, name: event.playerOnName || null, number: null });
+                    }
+                }
+            } else if (event.type === MATCH_EVENT_TYPES.RED_CARD && event.playerId) {
+                leave(event.playerId, at);
+            }
+        });
+
+    return { onSince, names };
+}
+
+// Ids of the players on the pitch after the recorded substitutions and red cards
+export function getOnPitchPlayerIds(lineup, matchEvents, team) {
+    return [...replayLineup(lineup, matchEvents, team).onSince.keys()];
+}
+
+// Minutes played by everyone who started or came on, keyed by player id
+export function computePlayerMinutes(lineup, matchEvents, team, endSeconds) {
+    const totals = new Map();
+    const add = (playerId, from, to) => {
+        totals.set(playerId, (totals.get(playerId) || 0) + Math.max(0, to - from));
+    };
+
+    const { onSince, names } = replayLineup(lineup, matchEvents, team, add);
+    onSince.forEach((from, playerId) => add(playerId, from, Math.max(from, endSeconds || 0)));
+
+    const starters = new Set((lineup || []).map(player => player.id));
+    const minutes = {};
+    names.forEach((player, playerId) => {
+        const seconds = totals.get(playerId) || 0;
+        minutes[playerId] = {
+            playerId,
+            name: player.name,
+            number: player.number ?? null,
+            started: starters.has(playerId),
+            seconds,
+            minutes: toMinutes(seconds)
+        };
+    });
+    return minutes;
+}
+
+// Season totals from each saved game's minutes, most minutes first
+export function aggregatePlayerMinutes(games) {
+    const players = new Map();
+
+    games.forEach(game => {
+        Object.values(game.playerMinutes || {}).forEach(entry => {
+            const total = players.get(entry.playerId) || {
+                playerId: entry.playerId,
+                name: entry.name,
+                number: entry.number,
+                seconds: 0,
+                games: 0,
+                starts: 0
+            };
+            total.seconds += entry.seconds || 0;
+            total.games += 1;
+            if (entry.started) total.starts += 1;
+            if (entry.name) total.name = entry.name;
+            players.set(entry.playerId, total);
+        });
+    });
+
+    return [...players.values()]
+        .map(player => ({ ...player, minutes: toMinutes(player.seconds) }))
+        .sort((a, b) => b.seconds - a.seconds || String(a.name).localeCompare(String(b.name)));
+}
@@ -0,0 +1,114 @@
+/**
+ * Player Stats
+ * Shooting numbers per player from the shots attributed to them and the
+ * goals they assisted, totalled over one or more saved games. Only shots
+ * with a playerId (or assistPlayerId) are counted.
+ */
+
+import { isGoal, isOnTarget } from './shotTypes.js';
+import { calculateAccuracy } from './stats.js';
+import { getShotXg } from './xg.js';
+import { tagAttackingDirection } from './fieldGeometry.js';
+
+function createPlayerStats(playerId, name) {
+    return {
+        playerId,
+        name: name || null,
+        games: 0,
+        shots: 0,
+        onTarget: 0,
+        goals: 0,
+        assists: 0,
+        xg: null
+    };
+}
+
+// Per-player totals across games ({ log }), most goals first, then assists and shots.
+// xG stays null for players none of whose shots could be valued.
+export function aggregatePlayerShotStats(games) {
+    const players = new Map();
+    const getPlayer = (playerId, name) => {
+        if (!players.has(playerId)) players.set(playerId, createPlayerStats(playerId, name));
+        const player = players.get(playerId);
+        if (name) player.name = name;
+        return player;
+    };
+
+    (games || []).forEach(game => {
+        const appeared = new Set();
+
+        (game.log || []).forEach(shot => {
+            if (shot.playerId) {
+                const player = getPlayer(shot.playerId, shot.playerName);
+                player.shots++;
+                if (isOnTarget(shot)) player.onTarget++;
+                if (isGoal(shot)) player.goals++;
+
+                const xg = getShotXg(shot);
+                if (xg !== null) player.xg = (player.xg || 0) + xg;
+                appeared.add(shot.playerId);
+            }
+
+            if (shot.assistPlayerId && isGoal(shot)) {
+                getPlayer(shot.assistPlayerId, shot.assistPlayerName).assists++;
+                appeared.add(shot.assistPlayerId);
+            }
+        });
+
+        appeared.forEach(playerId => {
+            players.get(playerId).games++;
+        });
+    });
+
+    return [...players.values()]
+        .map(player => ({
+            ...player,
+            xg: player.xg === null ? null : Math.round(player.xg * 100) / 100,
+            accuracy: calculateAccuracy(player.onTarget, player.shots)
+        }))
+        .sort((a, b) => (b.goals - a.goals) ||
+            (b.assists - a.assists) ||
+            (b.shots - a.shots) ||
+            String(a.name).localeCompare(String(b.name)));
+}
+
+// Leaderboard orderings; ties fall back to goals, then shots, then name
+export const PLAYER_SORT_KEYS = ['goals', 'shots', 'accuracy'];
+
+export function sortPlayerStats(players, key = 'goals') {
+    const sortKey = PLAYER_SORT_KEYS.includes(key) ? key : 'goals';
+    return [...players].sort((a, b) => (b[sortKey] - a[sortKey]) ||
+        (b.goals - a.goals) ||
+        (b.shots - a.shots) ||
+        String(a.name).localeCompare(String(b.name)));
+}
+
+// Shots a player took across games, for their personal shot map, tagged
+// with their attacking direction
+export function getPlayerShots(games, playerId) {
+    return (games || []).flatMap(game => tagAttackingDirection(game.log).filter(shot => shot.playerId === playerId));
+}
+
+// One row per game the player shot or assisted in, in the order given, with
+// the opponent taken from the side the player's shots were recorded for
+export function getPlayerGameLog(games, playerId) {
+    return (games || []).flatMap(game => {
+        const stats = aggregatePlayerShotStats([game]).find(player => player.playerId === playerId);
+        if (!stats) return [];
+
+        const involved = (game.log || []).find(shot => shot.playerId === playerId || shot.assistPlayerId === playerId);
+        const opponent = involved.team === 'away' ? game.homeTeam : game.awayTeam;
+
+        return [{
+            gameId: game.id,
+            date: game.date,
+            opponent: opponent || null,
+            shots: stats.shots,
+            onTarget: stats.onTarget,
+            goals: stats.goals,
+            assists: stats.assists,
+            accuracy: stats.accuracy,
+            xg: stats.xg
+        }];
+    });
+}
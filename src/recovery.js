@@ -0,0 +1,72 @@
+/**
+ * Game Recovery
+ * Finds an unsaved in-progress game after a reload, either in the copy kept
+ * on the device or in the coach's own active_games row, and works out the
+ * clock to resume from. Records also keep which live game they belong to
+ * and its undo marks, so a resumed game rejoins the game other coaches may
+ * still be recording.
+ */
+
+import { deriveGameState } from './gameState.js';
+import { getElapsedSeconds } from './matchClock.js';
+
+// Record saved on the device after every change to the game in progress
+export function createRecoveryRecord({ events, removals = {}, liveGame = null, metadata, setup, teamId, userId }, now = Date.now()) {
+    return {
+        events,
+        removals,
+        liveGame,
+        metadata,
+        setup,
+        teamId,
+        userId,
+        savedAt: new Date(now).toISOString()
+    };
+}
+
+// Same shape from an active_games row (setup travels inside game_metadata)
+export function fromActiveGameRow(row) {
+    if (!row) return null;
+
+    const { setup = null, ...metadata } = row.game_metadata || {};
+    const state = row.game_state || {};
+    return {
+        events: state.events || [],
+        removals: state.removals || {},
+        liveGame: state.gameId ? { gameId: state.gameId, startedAt: state.startedAt || null } : null,
+        metadata,
+        setup,
+        teamId: row.team_id,
+        userId: row.started_by,
+        savedAt: row.updated_at
+    };
+}
+
+// Has events and, when it says who recorded it, belongs to this user
+export function isRecoverable(record, userId) {
+    if (!record || !Array.isArray(record.events) || record.events.length === 0) {
+        return false;
+    }
+    return !record.userId || record.userId === userId;
+}
+
+// Prefer whichever copy was written last; the device copy wins a tie
+export function pickRecoveryRecord(local, remote, userId) {
+    const candidates = [local, remote].filter(record => isRecoverable(record, userId));
+    if (candidates.length === 0) return null;
+
+    return candidates.reduce((best, record) =>
+        (Date.parse(record.savedAt) || 0) > (Date.parse(best.savedAt) || 0) ? record : best
+    );
+}
+
+// Clock at `now`. A running clock keeps counting from the moment it was
+// last started, so the time the page was closed is not lost.
+export function getRecoveredClock(events, now = Date.now()) {
+    const { clock } = deriveGameState(events);
+    if (!clock.isRunning) {
+        return { isRunning: false, seconds: clock.seconds };
+    }
+
+    return { isRunning: true, seconds: getElapsedSeconds(clock, now) };
+}
@@ -0,0 +1,219 @@
+/**
+ * Report Layout
+ * Page furniture and drawings shared by the PDF reports: a top-to-bottom
+ * layout cursor that starts new pages as sections fill them, section
+ * titles, stat rows, legends, page numbers, the pitch, shot markers and
+ * the heat map.
+ */
+
+import { measureText, wrapText } from './pdfDocument.js';
+import { rgbToHex, getHeatMapColor } from './colors.js';
+import { FIELD_WIDTH, FIELD_HEIGHT } from './fieldGeometry.js';
+import { buildHeatMapGrid } from './heatMap.js';
+import { SHOT_TYPES } from './shotTypes.js';
+
+export const MARGIN = 36;
+const FOOTER_HEIGHT = 28;
+
+export const REPORT_COLORS = {
+    text: '#111827',
+    muted: '#6b7280',
+    faint: '#9ca3af',
+    rule: '#e5e7eb',
+    panel: '#f9fafb',
+    pitch: '#2d8a4e',
+    stripe: '#3d9a5e',
+    legend: '#6b7280'
+};
+
+// "Eagles vs City" -> "eagles-vs-city", for file names
+export function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Pitch markings with field unit (fx, fy) drawn at left + fx * scale, top + fy * scale
+export function drawPitch(doc, left, top, scale, { background = true } = {}) {
+    const at = (fx, fy) => [left + fx * scale, top + fy * scale];
+    const lineStyle = { stroke: '#ffffff', lineWidth: 0.6 };
+
+    if (background) {
+        doc.rect(left, top, FIELD_WIDTH * scale, FIELD_HEIGHT * scale, { fill: REPORT_COLORS.pitch });
+        [0, 21, 42, 63, 84].forEach(fx => {
+            doc.rect(...at(fx, 0), 10.5 * scale, FIELD_HEIGHT * scale, { fill: REPORT_COLORS.stripe, opacity: 0.5 });
+        });
+    }
+
+    doc.rect(...at(0.5, 0.5), 104 * scale, 67 * scale, lineStyle);
+    doc.line(...at(52.5, 0.5), ...at(52.5, 67.5), lineStyle);
+    doc.circle(...at(52.5, 34), 9.15 * scale, lineStyle);
+    doc.circle(...at(52.5, 34), 0.5 * scale, { fill: '#ffffff' });
+    doc.rect(...at(0.5, 13.84), 16.5 * scale, 40.32 * scale, lineStyle);
+    doc.rect(...at(0.5, 24.84), 5.5 * scale, 18.32 * scale, lineStyle);
+    doc.circle(...at(11, 34), 0.5 * scale, { fill: '#ffffff' });
+    doc.arc(...at(11, 34), 9.15 * scale, -53, 53, lineStyle);
+    doc.rect(...at(88, 13.84), 16.5 * scale, 40.32 * scale, lineStyle);
+    doc.rect(...at(99, 24.84), 5.5 * scale, 18.32 * scale, lineStyle);
+    doc.circle(...at(94, 34), 0.5 * scale, { fill: '#ffffff' });
+    doc.arc(...at(94, 34), 9.15 * scale, 127, 233, lineStyle);
+}
+
+function starPoints(cx, cy, outer) {
+    return Array.from({ length: 10 }, (_, i) => {
+        const radius = i % 2 === 0 ? outer : outer * 0.45;
+        const angle = (Math.PI / 5) * i - Math.PI / 2;
+        return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+}
+
+// Goal: star in a circle, saved: square, anything else: triangle (as on screen)
+export function drawShotMarker(doc, type, x, y, size, color, stroke) {
+    const style = { fill: color, stroke, lineWidth: 0.5, opacity: 0.9 };
+    if (type === SHOT_TYPES.GOAL) {
+        doc.circle(x, y, 2.5 * size, style);
+        doc.polygon(starPoints(x, y, 1.6 * size), { fill: '#ffffff' });
+    } else if (type === SHOT_TYPES.ON_TARGET) {
+        doc.rect(x - 1.5 * size, y - 1.5 * size, 3 * size, 3 * size, style);
+    } else {
+        doc.polygon([[x, y - 2 * size], [x - 2 * size, y + 2 * size], [x + 2 * size, y + 2 * size]], style);
+    }
+}
+
+// Heat map cells over a pitch drawn at the same left, top and scale. A finer
+// grid than on screen stands in for the canvas blur.
+export function drawHeatMap(doc, left, top, scale, points) {
+    const { grid, rows, cols, gridSize, maxDensity } = buildHeatMapGrid(points, { gridSize: 1.5 });
+    if (maxDensity === 0) return;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const density = grid[row][col];
+            if (density <= 0.01) continue;
+
+            const [r, g, b, alpha] = getHeatMapColor(Math.min(density / maxDensity, 1)).match(/[\d.]+/g).map(Number);
+            const width = Math.min(gridSize, FIELD_WIDTH - col * gridSize);
+            const height = Math.min(gridSize, FIELD_HEIGHT - row * gridSize);
+            doc.rect(left + col * gridSize * scale, top + row * gridSize * scale, width * scale, height * scale, {
+                fill: rgbToHex(r, g, b),
+                opacity: Math.round(alpha * 10) / 10
+            });
+        }
+    }
+}
+
+// Cursor that lays sections out down the page, plus the pieces every report uses
+export function createReportLayout(doc) {
+    const layout = {
+        y: MARGIN,
+        contentWidth: doc.width - 2 * MARGIN,
+        bottom: doc.height - MARGIN - FOOTER_HEIGHT,
+
+        // Starts a new page unless `height` more points fit on this one
+        ensureSpace(height) {
+            if (layout.y + height > layout.bottom) {
+                doc.addPage();
+                layout.y = MARGIN;
+            }
+        },
+
+        // Report title with one or two lines under it
+        header(title, ...subtitles) {
+            doc.text(title, doc.width / 2, layout.y + 16, { size: 16, bold: true, color: REPORT_COLORS.muted, align: 'center' });
+            subtitles.forEach((subtitle, i) => {
+                doc.text(subtitle, doc.width / 2, layout.y + 32 + i * 13, { size: 10, color: REPORT_COLORS.faint, align: 'center' });
+            });
+            const ruleY = layout.y + 42 + Math.max(0, subtitles.length - 1) * 13;
+            doc.line(MARGIN, ruleY, MARGIN + layout.contentWidth, ruleY, { stroke: REPORT_COLORS.rule, lineWidth: 1.5 });
+            layout.y = ruleY + 12;
+        },
+
+        sectionTitle(title) {
+            doc.text(title, MARGIN, layout.y + 12, { size: 12, bold: true, color: REPORT_COLORS.text });
+            doc.line(MARGIN, layout.y + 18, MARGIN + layout.contentWidth, layout.y + 18, { stroke: REPORT_COLORS.rule, lineWidth: 0.75 });
+            layout.y += 28;
+        },
+
+        // Label on the left, value on the right, with a hairline under it
+        statRow(label, value, left, width) {
+            doc.text(label, left, layout.y + 10, { size: 9, color: REPORT_COLORS.muted });
+            doc.text(String(value), left + width, layout.y + 10, { size: 9, bold: true, color: REPORT_COLORS.text, align: 'right' });
+            doc.line(left, layout.y + 14, left + width, layout.y + 14, { stroke: REPORT_COLORS.rule, lineWidth: 0.5 });
+        },
+
+        // Centered row of color dots ({ label, color }) and marker shapes ({ label, type })
+        legend(items) {
+            const widths = items.map(item => 14 + measureText(item.label, 8));
+            const total = widths.reduce((sum, width) => sum + width, 0) + 14 * (items.length - 1);
+            let x = doc.width / 2 - total / 2;
+            items.forEach((item, i) => {
+                if (item.color) {
+                    doc.circle(x + 4, layout.y + 5, 4, { fill: item.color, stroke: REPORT_COLORS.rule, lineWidth: 0.5 });
+                } else {
+                    drawShotMarker(doc, item.type, x + 4, layout.y + 5, 1.6, REPORT_COLORS.legend, '#ffffff');
+                }
+                doc.text(item.label, x + 12, layout.y + 8, { size: 8, color: REPORT_COLORS.muted });
+                x += widths[i] + 14;
+            });
+            layout.y += 18;
+        },
+
+        // One line per row under a header row, repeating the header on each new
+        // page. Columns are { label, width, align }; a cell is text or { text, color, bold }.
+        table(columns, rows) {
+            const cellX = (column, x) => (column.align === 'right' ? x + column.width - 4 : column.align === 'center' ? x + column.width / 2 : x + 4);
+            const drawHeaderRow = () => {
+                let x = MARGIN;
+                columns.forEach(column => {
+                    doc.text(column.label, cellX(column, x), layout.y + 10, { size: 8, bold: true, color: REPORT_COLORS.muted, align: column.align || 'left' });
+                    x += column.width;
+                });
+                doc.line(MARGIN, layout.y + 15, MARGIN + layout.contentWidth, layout.y + 15, { stroke: REPORT_COLORS.rule, lineWidth: 0.75 });
+                layout.y += 18;
+            };
+
+            drawHeaderRow();
+            rows.forEach((row, rowIndex) => {
+                if (layout.y + 15 > layout.bottom) {
+                    layout.ensureSpace(15);
+                    drawHeaderRow();
+                }
+                if (rowIndex % 2 === 1) doc.rect(MARGIN, layout.y, layout.contentWidth, 15, { fill: REPORT_COLORS.panel });
+                let x = MARGIN;
+                row.forEach((cell, i) => {
+                    const column = columns[i];
+                    const { text, color = REPORT_COLORS.text, bold = false } = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+                    doc.text(String(text ?? ''), cellX(column, x), layout.y + 10.5, { size: 9, bold, color, align: column.align || 'left' });
+                    x += column.width;
+                });
+                layout.y += 15;
+            });
+            layout.y += 10;
+        },
+
+        // Time in a narrow column, text wrapped beside it, on a light panel
+        timedLine(time, text) {
+            const lines = wrapText(text, layout.contentWidth - 70, 9);
+            const height = lines.length * 12 + 10;
+            layout.ensureSpace(height + 4);
+            doc.rect(MARGIN, layout.y, layout.contentWidth, height, { fill: REPORT_COLORS.panel });
+            doc.text(time, MARGIN + 8, layout.y + 14, { size: 8, color: REPORT_COLORS.faint });
+            lines.forEach((line, i) => {
+                doc.text(line, MARGIN + 58, layout.y + 14 + i * 12, { size: 9, color: REPORT_COLORS.text });
+            });
+            layout.y += height + 4;
+        },
+
+        // Footer with "Page n of N" on every page, once all are laid out
+        numberPages() {
+            const total = doc.pageCount;
+            for (let page = 0; page < total; page++) {
+                doc.setPage(page);
+                const top = doc.height - MARGIN - FOOTER_HEIGHT + 8;
+                doc.line(MARGIN, top, MARGIN + layout.contentWidth, top, { stroke: REPORT_COLORS.rule, lineWidth: 0.5 });
+                doc.text('Generated by Soccer Shot Tracker', doc.width / 2, top + 11, { size: 7, color: REPORT_COLORS.faint, align: 'center' });
+                doc.text('This app inspired by Coach Adolpho', doc.width / 2, top + 20, { size: 7, italic: true, color: REPORT_COLORS.faint, align: 'center' });
+                doc.text(`Page ${page + 1} of ${total}`, MARGIN + layout.contentWidth, top + 11, { size: 7, color: REPORT_COLORS.faint, align: 'right' });
+            }
+        }
+    };
+    return layout;
+}
@@ -0,0 +1,222 @@
+/**
+ * Season Report
+ * Lays out a team's games over a season or date range as a PDF file:
+ * record, goals and shots for and against, goals per player, the season
+ * shot map and heat map, and one line per game with its result.
+ */
+
+import { createPdfDocument } from './pdfDocument.js';
+import { MARGIN, REPORT_COLORS, drawPitch, drawShotMarker, drawHeatMap, createReportLayout, slugify } from './reportLayout.js';
+import { adjustColorForContrast, getShotMarkerStroke } from './colors.js';
+import { summarizeTeamRecord, getTeamSide, getTotalShots, getMatchResult } from './stats.js';
+import { aggregatePlayerShotStats } from './playerStats.js';
+import { collectGameShots } from './shotFilters.js';
+import { normalizeToAttackingRight, FIELD_WIDTH, FIELD_HEIGHT } from './fieldGeometry.js';
+import { prepareHeatMapPoints, attackingRightTransform, HEAT_MAP_MIN_SHOTS } from './heatMap.js';
+import { getGameOpponentName } from './opponents.js';
+import { SHOT_TYPES } from './shotTypes.js';
+
+const PITCH_WIDTH = 440;
+const RESULT_COLORS = { W: '#059669', D: '#6b7280', L: '#dc2626' };
+
+// "eagles-spring-2026-season-report.pdf"
+export function getSeasonReportFileName(teamName, periodLabel) {
+    return `${[slugify(teamName), slugify(periodLabel), 'season-report'].filter(Boolean).join('-')}.pdf`;
+}
+
+// One row per game, oldest first, from the team's side
+export function getSeasonResults(games, teamName) {
+    return [...(games || [])]
+        .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')))
+        .map(game => {
+            const side = getTeamSide(game, teamName);
+            const ours = game[side] || {};
+            const theirs = game[side === 'home' ? 'away' : 'home'] || {};
+            const outcome = getMatchResult(ours.goals || 0, theirs.goals || 0);
+            return {
+                gameId: game.id,
+                date: game.date,
+                opponent: getGameOpponentName(game, teamName) || '',
+                venue: side,
+                goalsFor: ours.goals || 0,
+                goalsAgainst: theirs.goals || 0,
+                shotsFor: getTotalShots(ours),
+                shotsAgainst: getTotalShots(theirs),
+                result: outcome === 'home' ? 'W' : outcome === 'away' ? 'L' : 'D'
+            };
+        });
+}
+
+function formatShortDate(date) {
+    return date ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+}
+
+// "Spring 2026 · Apr 1, 2026 – May 31, 2026"; "All games" when nothing narrows it
+export function getSeasonReportPeriodLabel({ seasonName = '', from = '', to = '' } = {}) {
+    const range = from && to
+        ? `${formatShortDate(from)} – ${formatShortDate(to)}`
+        : from ? `From ${formatShortDate(from)}` : to ? `Until ${formatShortDate(to)}` : '';
+    return [seasonName, range].filter(Boolean).join(' · ') || 'All games';
+}
+
+// periodLabel names the season or date range, e.g. "Spring 2026"
+export function buildSeasonReport(games, { teamName, teamColor = '#10b981', periodLabel = 'All games' } = {}) {
+    const doc = createPdfDocument({ title: `Season Report - ${teamName} - ${periodLabel}` });
+    const layout = createReportLayout(doc);
+    const { contentWidth } = layout;
+    // White paper, so the color is adjusted as for light mode
+    const color = adjustColorForContrast(teamColor, false);
+    const record = summarizeTeamRecord(games, teamName);
+    const shots = collectGameShots(games, teamName).filter(shot => shot.side === 'for');
+    const scale = PITCH_WIDTH / FIELD_WIDTH;
+    const pitchLeft = MARGIN + (contentWidth - PITCH_WIDTH) / 2;
+
+    function drawHeader() {
+        layout.header('Season Report', `${teamName} · ${periodLabel}`, `${record.games} ${record.games === 1 ? 'game' : 'games'}`);
+    }
+
+    function drawRecord() {
+        const columnWidth = (contentWidth - 15) / 2;
+        const goalDifference = record.goalsFor - record.goalsAgainst;
+        const columns = [
+            [
+                ['Won', record.wins],
+                ['Drawn', record.draws],
+                ['Lost', record.losses],
+                ['Goals For', record.goalsFor],
+                ['Goals Against', record.goalsAgainst],
+                ['Goal Difference', `${goalDifference > 0 ? '+' : ''}${goalDifference}`]
+            ],
+            [
+                ['Shots For', record.shotsFor],
+                ['Shots Against', record.shotsAgainst],
+                ['Shot Accuracy', `${record.accuracy}%`],
+                ['Goals For per Game', record.avgGoalsFor],
+                ['Goals Against per Game', record.avgGoalsAgainst],
+                ['Shots For per Game', record.avgShotsFor]
+            ]
+        ];
+
+        layout.ensureSpace(28 + 60 + 6 * 16 + 14);
+        layout.sectionTitle('Record');
+        doc.rect(MARGIN, layout.y, contentWidth, 52, { fill: REPORT_COLORS.panel });
+        doc.text(`${record.wins}W  ${record.draws}D  ${record.losses}L`, doc.width / 2, layout.y + 26, { size: 20, bold: true, color, align: 'center' });
+        doc.text(`Goals ${record.goalsFor} - ${record.goalsAgainst} · Shots ${record.shotsFor} - ${record.shotsAgainst}`, doc.width / 2, layout.y + 42, { size: 9, color: REPORT_COLORS.muted, align: 'center' });
+        layout.y += 60;
+
+        const top = layout.y;
+        columns.forEach((rows, i) => {
+            layout.y = top;
+            rows.forEach(([label, value]) => {
+                layout.statRow(label, value, MARGIN + i * (columnWidth + 15), columnWidth);
+                layout.y += 16;
+            });
+        });
+        layout.y = top + 6 * 16 + 14;
+    }
+
+    function drawPlayerGoals() {
+        const players = aggregatePlayerShotStats(games);
+        layout.ensureSpace(28 + 18 + 15 * Math.min(players.length || 1, 5));
+        layout.sectionTitle('Player Goals');
+        if (players.length === 0) {
+            doc.text('No shots were credited to players', MARGIN, layout.y + 10, { size: 9, color: REPORT_COLORS.faint });
+            layout.y += 24;
+            return;
+        }
+
+        layout.table([
+            { label: 'Player', width: contentWidth - 5 * 60 },
+            { label: 'Games', width: 60, align: 'right' },
+            { label: 'Goals', width: 60, align: 'right' },
+            { label: 'Assists', width: 60, align: 'right' },
+            { label: 'Shots', width: 60, align: 'right' },
+            { label: 'On Target', width: 60, align: 'right' }
+        ], players.map(player => [
+            player.name || 'Unknown player',
+            player.games,
+            { text: player.goals, bold: true },
+            player.assists,
+            player.shots,
+            player.onTarget
+        ]));
+    }
+
+    // Every shot the team took, turned to attack the right-hand goal
+    function drawShotMap() {
+        if (shots.length === 0) return;
+
+        layout.ensureSpace(28 + FIELD_HEIGHT * scale + 8 + 18 + 14);
+        layout.sectionTitle('Shot Map');
+        const top = layout.y;
+        drawPitch(doc, pitchLeft, top, scale);
+        shots.forEach(shot => {
+            const { x, y } = normalizeToAttackingRight(shot.position, shot.attackingRight);
+            drawShotMarker(doc, shot.type, pitchLeft + x * scale, top + y * scale, scale, color, getShotMarkerStroke(teamColor));
+        });
+        layout.y = top + FIELD_HEIGHT * scale + 8;
+
+        layout.legend([
+            { label: `${shots.length} ${shots.length === 1 ? 'shot' : 'shots'}, attacking right`, color },
+            { label: 'Goal', type: SHOT_TYPES.GOAL },
+            { label: 'On Target', type: SHOT_TYPES.ON_TARGET },
+            { label: 'Off Target', type: SHOT_TYPES.OFF_TARGET }
+        ]);
+        layout.y += 14;
+    }
+
+    function drawHeatMapSection() {
+        if (shots.length === 0) return;
+
+        if (shots.length < HEAT_MAP_MIN_SHOTS) {
+            layout.ensureSpace(28 + 24);
+            layout.sectionTitle('Heat Map');
+            doc.text(`Needs at least ${HEAT_MAP_MIN_SHOTS} shots (${shots.length} so far)`, MARGIN, layout.y + 10, { size: 9, color: REPORT_COLORS.faint });
+            layout.y += 24;
+            return;
+        }
+
+        layout.ensureSpace(28 + FIELD_HEIGHT * scale + 14);
+        layout.sectionTitle('Heat Map');
+        const top = layout.y;
+        drawPitch(doc, pitchLeft, top, scale);
+        drawHeatMap(doc, pitchLeft, top, scale, prepareHeatMapPoints(shots, attackingRightTransform));
+        // Markings again on top of the heat
+        drawPitch(doc, pitchLeft, top, scale, { background: false });
+        layout.y = top + FIELD_HEIGHT * scale + 14;
+    }
+
+    function drawResults() {
+        const results = getSeasonResults(games, teamName);
+        if (results.length === 0) return;
+
+        layout.ensureSpace(28 + 18 + 15 * Math.min(results.length, 5));
+        layout.sectionTitle('Results');
+        layout.table([
+            { label: 'Date', width: 90 },
+            { label: 'Opponent', width: contentWidth - 90 - 4 * 65 },
+            { label: 'Venue', width: 65, align: 'center' },
+            { label: 'Score', width: 65, align: 'center' },
+            { label: 'Result', width: 65, align: 'center' },
+            { label: 'Shots', width: 65, align: 'center' }
+        ], results.map(row => [
+            formatShortDate(row.date),
+            row.opponent,
+            row.venue === 'home' ? 'Home' : 'Away',
+            `${row.goalsFor} - ${row.goalsAgainst}`,
+            { text: row.result, color: RESULT_COLORS[row.result], bold: true },
+            `${row.shotsFor} - ${row.shotsAgainst}`
+        ]));
+    }
+
+    doc.addPage();
+    drawHeader();
+    drawRecord();
+    drawPlayerGoals();
+    drawShotMap();
+    drawHeatMapSection();
+    drawResults();
+    layout.numberPages();
+
+    return doc.output();
+}
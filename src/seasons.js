@@ -0,0 +1,93 @@
+/**
+ * Seasons and Competitions
+ * Grouping a team's saved games into seasons (date ranges) and competitions
+ * (league, cup, friendly or tournament), filtering the dashboard by them
+ * and comparing the team's record season over season.
+ */
+
+import { summarizeTeamRecord } from './stats.js';
+
+export const COMPETITION_TYPES = {
+    league: 'League',
+    cup: 'Cup',
+    friendly: 'Friendly',
+    tournament: 'Tournament'
+};
+
+// Filter values for games without a season or competition, and the prefix
+// for matching every competition of a type ('type:cup')
+export const NO_SEASON = 'none';
+export const NO_COMPETITION = 'none';
+const TYPE_PREFIX = 'type:';
+
+export function getCompetitionTypeLabel(type) {
+    return COMPETITION_TYPES[type] || type;
+}
+
+export function getCompetitionTypeFilter(type) {
+    return TYPE_PREFIX + type;
+}
+
+// The season whose start and end dates (inclusive, 'YYYY-MM-DD') cover the
+// date, or null. Open-ended seasons have no end_date.
+export function findSeasonForDate(seasons, date) {
+    if (!date) return null;
+    return (seasons || []).find(season =>
+        (!season.start_date || season.start_date <= date) &&
+        (!season.end_date || date <= season.end_date)
+    ) || null;
+}
+
+function matchesSeason(game, seasonId) {
+    if (!seasonId || seasonId === 'all') return true;
+    if (seasonId === NO_SEASON) return !game.seasonId;
+    return game.seasonId === seasonId;
+}
+
+function matchesCompetition(game, competition, competitionTypes) {
+    if (!competition || competition === 'all') return true;
+    if (competition === NO_COMPETITION) return !game.competitionId;
+    if (competition.startsWith(TYPE_PREFIX)) {
+        return competitionTypes.get(game.competitionId) === competition.slice(TYPE_PREFIX.length);
+    }
+    return game.competitionId === competition;
+}
+
+// Games in a season and competition. Each filter is 'all', 'none' or an id;
+// competition can also be a type filter, which needs the competition records.
+export function filterGames(games, { seasonId = 'all', competition = 'all' } = {}, competitions = []) {
+    const competitionTypes = new Map((competitions || []).map(c => [c.id, c.type]));
+    return (games || []).filter(game =>
+        matchesSeason(game, seasonId) && matchesCompetition(game, competition, competitionTypes)
+    );
+}
+
+function roundChange(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// One row per season that has games, oldest first, with the team record and
+// the change in averages from the season before
+export function compareSeasons(games, seasons, teamName) {
+    const rows = [...(seasons || [])]
+        .sort((a, b) => String(a.start_date || '').localeCompare(String(b.start_date || '')))
+        .map(season => ({
+            seasonId: season.id,
+            name: season.name,
+            ...summarizeTeamRecord((games || []).filter(game => game.seasonId === season.id), teamName)
+        }))
+        .filter(row => row.games > 0);
+
+    return rows.map((row, index) => {
+        const previous = rows[index - 1];
+        return {
+            ...row,
+            change: previous ? {
+                avgGoalsFor: roundChange(row.avgGoalsFor - previous.avgGoalsFor),
+                avgGoalsAgainst: roundChange(row.avgGoalsAgainst - previous.avgGoalsAgainst),
+                avgShotsFor: roundChange(row.avgShotsFor - previous.avgShotsFor),
+                accuracy: row.accuracy - previous.accuracy
+            } : null
+        };
+    });
+}
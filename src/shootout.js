@@ -0,0 +1,66 @@
+/**
+ * Penalty Shootout
+ * Kicks are recorded separately from shots so a shootout never changes the
+ * shot counters. Kicks alternate between the teams; after the regulation
+ * rounds it is sudden death.
+ */
+
+export const SHOOTOUT_RESULTS = {
+    SCORED: 'scored',
+    SAVED: 'saved',
+    MISSED: 'missed'
+};
+
+export const SHOOTOUT_ROUNDS = 5;
+
+export function getShootoutResultLabel(result) {
+    if (result === SHOOTOUT_RESULTS.SCORED) return 'Scored';
+    if (result === SHOOTOUT_RESULTS.SAVED) return 'Saved';
+    return 'Missed';
+}
+
+// Team to kick next: the first kicker's team, then alternating
+export function getNextKickingTeam(kicks, firstTeam = 'home') {
+    if (kicks.length === 0) return firstTeam;
+    return kicks[kicks.length - 1].team === 'home' ? 'away' : 'home';
+}
+
+// Score, kicks taken and whether the shootout is decided
+export function getShootoutStatus(kicks, rounds = SHOOTOUT_ROUNDS) {
+    const status = {
+        home: 0,
+        away: 0,
+        homeTaken: 0,
+        awayTaken: 0,
+        suddenDeath: false,
+        decided: false,
+        winner: null
+    };
+
+    kicks.forEach(kick => {
+        if (kick.team !== 'home' && kick.team !== 'away') return;
+        status[`${kick.team}Taken`]++;
+        if (kick.result === SHOOTOUT_RESULTS.SCORED) status[kick.team]++;
+    });
+
+    const { home, away, homeTaken, awayTaken } = status;
+    status.suddenDeath = Math.min(homeTaken, awayTaken) >= rounds;
+
+    if (!status.suddenDeath) {
+        // A team is out when it can't catch up with the kicks it has left
+        if (home + Math.max(0, rounds - homeTaken) < away) status.winner = 'away';
+        if (away + Math.max(0, rounds - awayTaken) < home) status.winner = 'home';
+    } else if (homeTaken === awayTaken && home !== away) {
+        status.winner = home > away ? 'home' : 'away';
+    }
+
+    status.decided = status.winner !== null;
+    return status;
+}
+
+// Shootout score as "4-3 pens", or '' without kicks
+export function getShootoutSummary(kicks) {
+    if (!kicks || kicks.length === 0) return '';
+    const status = getShootoutStatus(kicks);
+    return `${status.home}-${status.away} pens`;
+}
@@ -0,0 +1,83 @@
+/**
+ * Shot Filters
+ * Filtering helpers used by the heat maps and shot maps
+ */
+
+import { hasValidPosition, tagAttackingDirection } from './fieldGeometry.js';
+import { getTeamSide } from './stats.js';
+
+export function filterByTeam(shots, team) {
+    if (team === 'all') return shots;
+    return shots.filter(s => s.team === team);
+}
+
+export function filterByType(shots, type) {
+    if (type === 'all') return shots;
+    return shots.filter(s => s.type === type);
+}
+
+export function filterByHalf(shots, half) {
+    if (half === 'all') return shots;
+    return shots.filter(s => s.half === half);
+}
+
+// Multi-game shots tagged by side: 'for' (the tracked team) or 'against'
+export function filterBySide(shots, side) {
+    if (side === 'all') return shots;
+    return shots.filter(s => s.side === side);
+}
+
+// Optional shot tags (bodyPart, situation, assistType)
+export function filterByAttribute(shots, attribute, value) {
+    if (value === 'all') return shots;
+    return shots.filter(s => s[attribute] === value);
+}
+
+export function filterShots(shots, {
+    team = 'all',
+    type = 'all',
+    half = 'all',
+    bodyPart = 'all',
+    situation = 'all',
+    assistType = 'all',
+    side = 'all'
+} = {}) {
+    let filtered = shots;
+
+    filtered = filterByTeam(filtered, team);
+    filtered = filterBySide(filtered, side);
+    filtered = filterByType(filtered, type);
+    filtered = filterByHalf(filtered, half);
+    filtered = filterByAttribute(filtered, 'bodyPart', bodyPart);
+    filtered = filterByAttribute(filtered, 'situation', situation);
+    filtered = filterByAttribute(filtered, 'assistType', assistType);
+
+    return filtered;
+}
+
+// Shots with numeric x/y coordinates (recorded on the shot map)
+export function getPositionedShots(shots) {
+    return shots.filter(hasValidPosition);
+}
+
+// Positioned shots from several saved games, each tagged with its game, its
+// attacking direction and whether the tracked team took it ('for') or faced
+// it ('against')
+export function collectGameShots(games, teamName) {
+    return (games || []).flatMap(game => {
+        const side = getTeamSide(game, teamName);
+        return getPositionedShots(tagAttackingDirection(game.log)).map(shot => ({
+            ...shot,
+            gameId: game.id,
+            side: shot.team === side ? 'for' : 'against'
+        }));
+    });
+}
+
+export function getFilterOptions(shots) {
+    const teams = [...new Set(shots.map(s => s.team))];
+    const types = [...new Set(shots.map(s => s.type))];
+    const halves = [...new Set(shots.map(s => s.half))];
+
+    return { teams, types, halves };
+}
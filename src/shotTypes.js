@@ -0,0 +1,118 @@
+/**
+ * Shot Types
+ * Labels stored in shot_log entries and the raw types used by the record
+ * buttons, plus the optional attributes a shot can be tagged with (body
+ * part, situation, assist). Blocked shots and shots off the woodwork count
+ * as off target in the totals; a shot on target that isn't a goal is a save.
+ */
+
+export const SHOT_TYPES = {
+    GOAL: 'GOAL!',
+    ON_TARGET: 'Shot On Target',
+    OFF_TARGET: 'Shot Off Target',
+    BLOCKED: 'Shot Blocked',
+    WOODWORK: 'Hit Woodwork'
+};
+
+// Raw button type ('goal' | 'on-target' | 'off-target' | 'blocked' | 'woodwork') -> stored label
+const RAW_TYPE_LABELS = {
+    'goal': SHOT_TYPES.GOAL,
+    'on-target': SHOT_TYPES.ON_TARGET,
+    'off-target': SHOT_TYPES.OFF_TARGET,
+    'blocked': SHOT_TYPES.BLOCKED,
+    'woodwork': SHOT_TYPES.WOODWORK
+};
+
+const OFF_TARGET_TYPES = new Set([SHOT_TYPES.OFF_TARGET, SHOT_TYPES.BLOCKED, SHOT_TYPES.WOODWORK]);
+
+export function getShotTypeLabel(rawType) {
+    return RAW_TYPE_LABELS[rawType] || SHOT_TYPES.OFF_TARGET;
+}
+
+export function isGoal(shot) {
+    return shot.type === SHOT_TYPES.GOAL;
+}
+
+// Goals count as shots on target
+export function isOnTarget(shot) {
+    return shot.type === SHOT_TYPES.GOAL || shot.type === SHOT_TYPES.ON_TARGET;
+}
+
+export function isOffTarget(shot) {
+    return OFF_TARGET_TYPES.has(shot.type);
+}
+
+// On target but kept out
+export function isSaved(shot) {
+    return shot.type === SHOT_TYPES.ON_TARGET;
+}
+
+export function isBlocked(shot) {
+    return shot.type === SHOT_TYPES.BLOCKED;
+}
+
+export function isWoodwork(shot) {
+    return shot.type === SHOT_TYPES.WOODWORK;
+}
+
+// =====================================================
+// SHOT ATTRIBUTES
+// =====================================================
+
+// Optional tags stored on shot_log entries, keyed by entry field
+export const SHOT_ATTRIBUTES = {
+    bodyPart: {
+        label: 'Body Part',
+        options: {
+            left_foot: 'Left Foot',
+            right_foot: 'Right Foot',
+            head: 'Head',
+            other: 'Other'
+        }
+    },
+    situation: {
+        label: 'Situation',
+        options: {
+            open_play: 'Open Play',
+            counter: 'Counter',
+            corner: 'Corner',
+            free_kick: 'Free Kick',
+            penalty: 'Penalty'
+        }
+    },
+    assistType: {
+        label: 'Assist',
+        options: {
+            pass: 'Pass',
+            cross: 'Cross',
+            through_ball: 'Through Ball',
+            cutback: 'Cutback',
+            rebound: 'Rebound',
+            individual: 'Individual'
+        }
+    }
+};
+
+export const SHOT_ATTRIBUTE_KEYS = Object.keys(SHOT_ATTRIBUTES);
+
+export function getShotAttributeLabel(attribute, value) {
+    return SHOT_ATTRIBUTES[attribute]?.options[value] || '';
+}
+
+// Known attribute values only; anything else (including unset) becomes null
+export function normalizeShotAttributes(attributes = {}) {
+    const normalized = {};
+    SHOT_ATTRIBUTE_KEYS.forEach(key => {
+        const value = attributes[key];
+        normalized[key] = value && SHOT_ATTRIBUTES[key].options[value] ? value : null;
+    });
+    return normalized;
+}
+
+// "Right Foot · Corner · Cross" for the tags set on a shot
+export function describeShotAttributes(shot) {
+    return SHOT_ATTRIBUTE_KEYS
+        .map(key => getShotAttributeLabel(key, shot[key]))
+        .filter(Boolean)
+        .join(' · ');
+}
@@ -0,0 +1,84 @@
+/**
+ * Shot Zones
+ * Zone grids over the attacking half (6-yard box, penalty spot area, edge of
+ * box, wide areas, long range) and per-zone shots, goals and conversion rate.
+ * Zones are rectangles in shot map coordinates for a team attacking the
+ * right-hand goal; the first zone a shot falls in wins.
+ */
+
+import { HALFWAY_X, FIELD_WIDTH, FIELD_HEIGHT, PENALTY_BOX_DEPTH_RIGHT, PENALTY_BOX_Y_MIN, PENALTY_BOX_Y_MAX, hasValidPosition, normalizeToAttackingRight } from './fieldGeometry.js';
+import { SHOT_TYPES } from './shotTypes.js';
+import { calculateConversionRate } from './stats.js';
+
+const GOAL_AREA_X = 99;
+const GOAL_AREA_Y_MIN = 24.84;
+const GOAL_AREA_Y_MAX = 43.16;
+const EDGE_OF_BOX_X = 77; // About 11 yards out from the penalty box
+
+export const ZONE_GRIDS = {
+    detailed: {
+        label: 'Detailed',
+        zones: [
+            { id: 'six-yard', label: '6-yard box', x: [GOAL_AREA_X, FIELD_WIDTH], y: [GOAL_AREA_Y_MIN, GOAL_AREA_Y_MAX] },
+            { id: 'penalty-spot', label: 'Penalty spot area', x: [PENALTY_BOX_DEPTH_RIGHT, GOAL_AREA_X], y: [GOAL_AREA_Y_MIN, GOAL_AREA_Y_MAX] },
+            { id: 'box-left', label: 'Box, left side', x: [PENALTY_BOX_DEPTH_RIGHT, FIELD_WIDTH], y: [PENALTY_BOX_Y_MIN, GOAL_AREA_Y_MIN] },
+            { id: 'box-right', label: 'Box, right side', x: [PENALTY_BOX_DEPTH_RIGHT, FIELD_WIDTH], y: [GOAL_AREA_Y_MAX, PENALTY_BOX_Y_MAX] },
+            { id: 'edge', label: 'Edge of box', x: [EDGE_OF_BOX_X, PENALTY_BOX_DEPTH_RIGHT], y: [PENALTY_BOX_Y_MIN, PENALTY_BOX_Y_MAX] },
+            { id: 'wide-left', label: 'Left wide', x: [EDGE_OF_BOX_X, FIELD_WIDTH], y: [0, PENALTY_BOX_Y_MIN] },
+            { id: 'wide-right', label: 'Right wide', x: [EDGE_OF_BOX_X, FIELD_WIDTH], y: [PENALTY_BOX_Y_MAX, FIELD_HEIGHT] },
+            { id: 'long-range', label: 'Long range', x: [HALFWAY_X, EDGE_OF_BOX_X], y: [0, FIELD_HEIGHT] }
+        ]
+    },
+    simple: {
+        label: 'Inside / outside the box',
+        zones: [
+            { id: 'six-yard', label: '6-yard box', x: [GOAL_AREA_X, FIELD_WIDTH], y: [GOAL_AREA_Y_MIN, GOAL_AREA_Y_MAX] },
+            { id: 'box', label: 'Penalty area', x: [PENALTY_BOX_DEPTH_RIGHT, FIELD_WIDTH], y: [PENALTY_BOX_Y_MIN, PENALTY_BOX_Y_MAX] },
+            { id: 'outside', label: 'Outside the box', x: [HALFWAY_X, FIELD_WIDTH], y: [0, FIELD_HEIGHT] }
+        ]
+    }
+};
+
+export const DEFAULT_ZONE_GRID = 'detailed';
+
+// Grid by id, falling back to the default for unknown or stale ids
+export function getZoneGrid(id) {
+    return ZONE_GRIDS[id] || ZONE_GRIDS[DEFAULT_ZONE_GRID];
+}
+
+function inRange(value, [min, max]) {
+    return value >= min && value <= max;
+}
+
+// Zone a shot position falls in once turned toward the right-hand goal, or
+// null; attackingRight is false for a side attacking the left-hand goal
+export function findShotZone(position, zones, attackingRight = true) {
+    const { x, y } = normalizeToAttackingRight(position, attackingRight);
+    return zones.find(zone => inRange(x, zone.x) && inRange(y, zone.y)) || null;
+}
+
+// One row per zone, in grid order, with shots, goals and conversion rate
+// from the positioned shots given (shots without a position are skipped).
+// Shots are tagged with their attacking direction by tagAttackingDirection.
+export function getZoneStats(shots, zones) {
+    const rows = zones.map(zone => ({ ...zone, shots: 0, goals: 0, conversion: 0 }));
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    (shots || []).filter(hasValidPosition).forEach(shot => {
+        const zone = findShotZone(shot.position, zones, shot.attackingRight);
+        if (!zone) return;
+        const row = rowsById.get(zone.id);
+        row.shots++;
+        if (shot.type === SHOT_TYPES.GOAL) row.goals++;
+    });
+
+    rows.forEach(row => {
+        row.conversion = calculateConversionRate(row.goals, row.shots);
+    });
+    return rows;
+}
+
+// "5 shots · 2 goals · 40%"
+export function describeZoneRow(row) {
+    return `${row.shots} ${row.shots === 1 ? 'shot' : 'shots'} · ${row.goals} ${row.goals === 1 ? 'goal' : 'goals'} · ${row.conversion}%`;
+}
@@ -0,0 +1,170 @@
+/**
+ * Stats Calculation
+ * Shot totals, accuracy and multi-game summaries shared by the game,
+ * history and team views
+ */
+
+import { isGoal, isOnTarget, isOffTarget, isSaved, isBlocked, isWoodwork, SHOT_ATTRIBUTES } from './shotTypes.js';
+
+// Percentage of shots on target, rounded to a whole number
+export function calculateAccuracy(onTarget, totalShots) {
+    return totalShots > 0 ? Math.round((onTarget / totalShots) * 100) : 0;
+}
+
+// Percentage of shots converted into goals, rounded to a whole number
+export function calculateConversionRate(goals, totalShots) {
+    return totalShots > 0 ? Math.round((goals / totalShots) * 100) : 0;
+}
+
+// Total shots for a stored stats block ({ goals, onTarget, offTarget })
+export function getTotalShots(teamStats) {
+    if (!teamStats) return 0;
+    return (teamStats.onTarget || 0) + (teamStats.offTarget || 0);
+}
+
+export function createEmptyStats() {
+    return { goals: 0, onTarget: 0, offTarget: 0 };
+}
+
+// Count goals / on target / off target for a list of shots
+// onTarget includes goals, matching the counters stored in home_stats/away_stats
+export function countShots(shots) {
+    const stats = createEmptyStats();
+    shots.forEach(shot => {
+        if (isGoal(shot)) stats.goals++;
+        if (isOnTarget(shot)) stats.onTarget++;
+        if (isOffTarget(shot)) stats.offTarget++;
+    });
+    return stats;
+}
+
+// Saves, blocks and woodwork hits (already included in onTarget/offTarget)
+export function countShotOutcomes(shots) {
+    return {
+        saved: shots.filter(isSaved).length,
+        blocked: shots.filter(isBlocked).length,
+        woodwork: shots.filter(isWoodwork).length
+    };
+}
+
+// Shots and goals per value of an optional attribute (bodyPart, situation,
+// assistType). Untagged shots are left out.
+export function countByAttribute(shots, attribute) {
+    const counts = {};
+    Object.keys(SHOT_ATTRIBUTES[attribute].options).forEach(value => {
+        counts[value] = { shots: 0, goals: 0 };
+    });
+    shots.forEach(shot => {
+        const bucket = counts[shot[attribute]];
+        if (!bucket) return;
+        bucket.shots++;
+        if (isGoal(shot)) bucket.goals++;
+    });
+    return counts;
+}
+
+export function calculateTeamStats(shots, team) {
+    const teamShots = shots.filter(s => s.team === team);
+    return {
+        ...countShots(teamShots),
+        total: teamShots.length
+    };
+}
+
+export function calculateHalfStats(shots, team, half) {
+    return countShots(shots.filter(s => s.team === team && s.half === half));
+}
+
+export function calculateTotalStats(shots) {
+    return {
+        home: calculateTeamStats(shots, 'home'),
+        away: calculateTeamStats(shots, 'away'),
+        total: shots.length
+    };
+}
+
+// 'home' | 'away' | 'draw'
+export function getMatchResult(homeGoals, awayGoals) {
+    if (homeGoals > awayGoals) return 'home';
+    if (awayGoals > homeGoals) return 'away';
+    return 'draw';
+}
+
+// Dashboard totals across saved games (history and team views)
+export function summarizeGames(games) {
+    if (games.length === 0) {
+        return { totalGames: 0, avgGoals: '0', totalShots: 0, avgAccuracy: 0 };
+    }
+
+    let totalGoals = 0;
+    let totalShots = 0;
+    let totalOnTarget = 0;
+
+    games.forEach(game => {
+        totalGoals += game.home.goals + game.away.goals;
+        totalShots += getTotalShots(game.home) + getTotalShots(game.away);
+        totalOnTarget += game.home.onTarget + game.away.onTarget;
+    });
+
+    return {
+        totalGames: games.length,
+        avgGoals: (totalGoals / games.length).toFixed(1),
+        totalShots,
+        avgAccuracy: calculateAccuracy(totalOnTarget, totalShots)
+    };
+}
+
+// Side the tracked team played on: saved with the game, else the lineup's
+// team, else whichever side carries the team's name (home when unknown)
+export function getTeamSide(game, teamName) {
+    if (game.teamSide === 'home' || game.teamSide === 'away') return game.teamSide;
+    if (game.lineup?.team) return game.lineup.team;
+    if (teamName && game.awayTeam === teamName && game.homeTeam !== teamName) return 'away';
+    return 'home';
+}
+
+function averagePerGame(total, games) {
+    return games > 0 ? Math.round((total / games) * 10) / 10 : 0;
+}
+
+// Won / drawn / lost and goals and shots for and against, from the tracked
+// team's side of each saved game. Shootouts don't decide the result.
+export function summarizeTeamRecord(games, teamName) {
+    const record = {
+        games: games.length,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+        shotsFor: 0,
+        shotsAgainst: 0,
+        onTargetFor: 0
+    };
+
+    games.forEach(game => {
+        const side = getTeamSide(game, teamName);
+        const ours = game[side] || createEmptyStats();
+        const theirs = game[side === 'home' ? 'away' : 'home'] || createEmptyStats();
+
+        const result = getMatchResult(ours.goals || 0, theirs.goals || 0);
+        if (result === 'home') record.wins++;
+        else if (result === 'away') record.losses++;
+        else record.draws++;
+
+        record.goalsFor += ours.goals || 0;
+        record.goalsAgainst += theirs.goals || 0;
+        record.shotsFor += getTotalShots(ours);
+        record.shotsAgainst += getTotalShots(theirs);
+        record.onTargetFor += ours.onTarget || 0;
+    });
+
+    return {
+        ...record,
+        avgGoalsFor: averagePerGame(record.goalsFor, record.games),
+        avgGoalsAgainst: averagePerGame(record.goalsAgainst, record.games),
+        avgShotsFor: averagePerGame(record.shotsFor, record.games),
+        avgShotsAgainst: averagePerGame(record.shotsAgainst, record.games),
+        accuracy: calculateAccuracy(record.onTargetFor, record.shotsFor)
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Expected Goals (xG)
+ * A logistic model on the distance and angle to goal from where the shot was
+ * taken, scaled for the situation and body part. Coordinates follow the shot
+ * map SVG viewBox (105 x 68), one unit per metre.
+ */
+
+import { FIELD_WIDTH, FIELD_HEIGHT, HALFWAY_X, hasValidPosition } from './fieldGeometry.js';
+import { isGoal } from './shotTypes.js';
+
+export const GOAL_WIDTH = 7.32;
+
+// Conversion rate of penalties, used whatever the recorded position
+export const PENALTY_XG = 0.76;
+
+// Fitted on open-play shots: logit = intercept + distance * d + angle * a
+const XG_INTERCEPT = -1.1;
+const XG_DISTANCE_WEIGHT = -0.12;
+const XG_ANGLE_WEIGHT = 1.6;
+const MAX_XG = 0.95;
+
+// Multipliers on the open-play value
+const SITUATION_FACTORS = {
+    counter: 1.15,
+    corner: 0.85,
+    free_kick: 0.75
+};
+
+const BODY_PART_FACTORS = {
+    head: 0.65,
+    other: 0.8
+};
+
+// Distance (metres) and angle (radians between the posts) to the nearer goal.
+// Shots are almost always taken in the attacking half, so the nearer goal is
+// the one aimed at regardless of which way the team was kicking.
+export function getShotGeometry(position) {
+    const goalX = position.x < HALFWAY_X ? 0 : FIELD_WIDTH;
+    const dx = Math.abs(position.x - goalX);
+    const dy = Math.abs(position.y - FIELD_HEIGHT / 2);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Angle subtended by the goal mouth; on the goal line between the posts it is a straight angle
+    let angle = Math.atan2(GOAL_WIDTH * dx, dx * dx + dy * dy - (GOAL_WIDTH / 2) ** 2);
+    if (angle < 0) angle += Math.PI;
+
+    return { distance, angle };
+}
+
+// Open-play xG for a position
+export function getPositionXg(position) {
+    const { distance, angle } = getShotGeometry(position);
+    const logit = XG_INTERCEPT + XG_DISTANCE_WEIGHT * distance + XG_ANGLE_WEIGHT * angle;
+    return 1 / (1 + Math.exp(-logit));
+}
+
+// xG for a shot, or null when it has no position to judge it by
+export function getShotXg(shot) {
+    if (shot.situation === 'penalty') return PENALTY_XG;
+    if (!hasValidPosition(shot)) return null;
+
+    const factor = (SITUATION_FACTORS[shot.situation] || 1) * (BODY_PART_FACTORS[shot.bodyPart] || 1);
+    return Math.min(MAX_XG, getPositionXg(shot.position) * factor);
+}
+
+function roundXg(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Total xG of the shots that can be valued, to two decimals
+export function sumXg(shots) {
+    return roundXg(shots.reduce((total, shot) => total + (getShotXg(shot) ?? 0), 0));
+}
+
+// A saved team's xG: the total stored with the game, else summed from its shots
+export function getSavedGameXg(game, team) {
+    return game[team].xg ?? sumXg((game.log || []).filter(shot => shot.team === team));
+}
+
+export function formatXg(value) {
+    return (value || 0).toFixed(2);
+}
+
+// Running xG per team after each valued shot, oldest first. Logs are stored
+// newest first, so the shots are replayed in reverse, or by clock time when
+// every shot has one. `index` is the shot's position in the log.
+export function getXgTimeline(log) {
+    const totals = { home: 0, away: 0 };
+    const timeline = [];
+    const ordered = log.map((shot, index) => ({ shot, index })).reverse();
+    if (ordered.every(({ shot }) => typeof shot.clockSeconds === 'number')) {
+        ordered.sort((a, b) => a.shot.clockSeconds - b.shot.clockSeconds);
+    }
+
+    ordered.forEach(({ shot, index }) => {
+        const xg = getShotXg(shot);
+        if (xg === null || !(shot.team in totals)) return;
+
+        totals[shot.team] += xg;
+        timeline.push({
+            index,
+            team: shot.team,
+            time: shot.displayTime || shot.gameTime || '',
+            seconds: typeof shot.clockSeconds === 'number' ? shot.clockSeconds : null,
+            xg: roundXg(xg),
+            isGoal: isGoal(shot),
+            home: roundXg(totals.home),
+            away: roundXg(totals.away)
+        });
+    });
+
+    return timeline;
+}
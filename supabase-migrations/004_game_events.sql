@@ -0,0 +1,10 @@
+-- Migration: Store the game event stream on saved games
+-- Run this in your Supabase SQL Editor
+--
+-- Games are recorded as an append-only list of events (shots, edits,
+-- deletes, notes, half and clock changes). home_stats, away_stats,
+-- shot_log and game_notes are still written so existing readers keep
+-- working; game_events is the canonical record they are derived from.
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS game_events JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,13 @@
+-- Migration: Store match period settings and penalty shootouts on saved games
+-- Run this in your Supabase SQL Editor
+--
+-- period_config records the format chosen at setup (halves or quarters,
+-- extra time, shootout). Games saved before this migration have no
+-- config and are read as two halves. shootout holds the kicks in the
+-- order they were taken; they are kept out of the shot stats.
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS period_config JSONB;
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS shootout JSONB NOT NULL DEFAULT '[]'::jsonb;
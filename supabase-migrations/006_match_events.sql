@@ -0,0 +1,10 @@
+-- Migration: Store cards, substitutions, corners, fouls and offsides on saved games
+-- Run this in your Supabase SQL Editor
+--
+-- match_events holds the non-shot events newest first, each with its team,
+-- period, clock time and (for cards and substitutions) the players named
+-- from the roster. They are kept out of the shot stats; history and the
+-- PDF report count them from this list.
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS match_events JSONB NOT NULL DEFAULT '[]'::jsonb;
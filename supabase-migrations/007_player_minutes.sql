@@ -0,0 +1,11 @@
+-- Migration: Store starting lineups and minutes played on saved games
+-- Run this in your Supabase SQL Editor
+--
+-- lineup holds the tracked team and its starters ({ team, players }), or
+-- null when no lineup was picked. player_minutes is keyed by player id and
+-- replayed from the lineup, substitutions and red cards against the match
+-- clock when the game is saved; the team dashboard totals it per season.
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS lineup JSONB,
+    ADD COLUMN IF NOT EXISTS player_minutes JSONB NOT NULL DEFAULT '{}'::jsonb;
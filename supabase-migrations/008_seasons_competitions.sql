@@ -0,0 +1,107 @@
+-- Migration: Seasons and competitions per team, linked from saved games
+-- Run this in your Supabase SQL Editor
+--
+-- A season is a named date range; a competition is a league, cup, friendly
+-- or tournament. Games point at one of each (cleared if the record is
+-- deleted). team_side records whether the team played home or away so the
+-- dashboard can total wins, draws, losses and goals for and against.
+
+-- =====================================================
+-- SEASONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS seasons (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    start_date DATE,
+    end_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS seasons_team_id_idx ON seasons(team_id);
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+
+-- Coaches manage their teams' seasons
+CREATE POLICY "Coaches can manage team seasons"
+    ON seasons FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = seasons.team_id
+            AND tc.user_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = seasons.team_id
+            AND tc.user_id = auth.uid()
+        )
+    );
+
+-- Fans can view their team's seasons
+CREATE POLICY "Fans can view team seasons"
+    ON seasons FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_fans tf
+            WHERE tf.team_id = seasons.team_id
+            AND tf.fan_id = auth.uid()
+        )
+    );
+
+-- =====================================================
+-- COMPETITIONS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS competitions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'league' CHECK (type IN ('league', 'cup', 'friendly', 'tournament')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS competitions_team_id_idx ON competitions(team_id);
+
+ALTER TABLE competitions ENABLE ROW LEVEL SECURITY;
+
+-- Coaches manage their teams' competitions
+CREATE POLICY "Coaches can manage team competitions"
+    ON competitions FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = competitions.team_id
+            AND tc.user_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = competitions.team_id
+            AND tc.user_id = auth.uid()
+        )
+    );
+
+-- Fans can view their team's competitions
+CREATE POLICY "Fans can view team competitions"
+    ON competitions FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_fans tf
+            WHERE tf.team_id = competitions.team_id
+            AND tf.fan_id = auth.uid()
+        )
+    );
+
+-- =====================================================
+-- GAMES
+-- =====================================================
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS season_id UUID REFERENCES seasons(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS competition_id UUID REFERENCES competitions(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS team_side TEXT CHECK (team_side IN ('home', 'away'));
+
+CREATE INDEX IF NOT EXISTS games_season_id_idx ON games(season_id);
+CREATE INDEX IF NOT EXISTS games_competition_id_idx ON games(competition_id);
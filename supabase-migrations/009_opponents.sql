@@ -0,0 +1,53 @@
+-- Migration: Opponent directory per team, linked from saved games
+-- Run this in your Supabase SQL Editor
+--
+-- Each opponent has a display name, a kit color used to pre-fill game setup
+-- and aliases for other spellings ("Lions" for "Lions FC"). Games started
+-- against a listed opponent store its id; older games are matched by name.
+
+CREATE TABLE IF NOT EXISTS opponents (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    color TEXT DEFAULT '#3b82f6',
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS opponents_team_id_idx ON opponents(team_id);
+
+ALTER TABLE opponents ENABLE ROW LEVEL SECURITY;
+
+-- Coaches manage their teams' opponents
+CREATE POLICY "Coaches can manage team opponents"
+    ON opponents FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = opponents.team_id
+            AND tc.user_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = opponents.team_id
+            AND tc.user_id = auth.uid()
+        )
+    );
+
+-- Fans can view their team's opponents
+CREATE POLICY "Fans can view team opponents"
+    ON opponents FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM team_fans tf
+            WHERE tf.team_id = opponents.team_id
+            AND tf.fan_id = auth.uid()
+        )
+    );
+
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS opponent_id UUID REFERENCES opponents(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS games_opponent_id_idx ON games(opponent_id);
@@ -0,0 +1,122 @@
+-- Migration: Audit log for games, players and rosters, and soft-deleted games
+-- Run this in your Supabase SQL Editor
+--
+-- Every insert, update and delete on games, players and rosters is written
+-- to audit_log by a trigger, with who made it, when, and the columns that
+-- changed ({ "column": { "before": ..., "after": ... } }). Inserts hold the
+-- whole new row and deletes the whole old row. The log is append-only: rows
+-- are only written by the trigger and nobody can change or remove them.
+--
+-- Deleting a game from the app now sets games.deleted_at instead, which
+-- keeps it in a "recently deleted" bin until it is restored (deleted_at
+-- cleared) or deleted forever (the row removed).
+
+-- =====================================================
+-- SOFT DELETE FOR GAMES
+-- =====================================================
+ALTER TABLE games
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS games_deleted_at_idx ON games(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- =====================================================
+-- AUDIT LOG TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    table_name TEXT NOT NULL CHECK (table_name IN ('games', 'players', 'rosters')),
+    record_id UUID NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    -- Owner of the changed row and the team it belongs to, for access
+    owner_id UUID,
+    team_id UUID,
+    actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    actor_email TEXT,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_record_idx ON audit_log(table_name, record_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_team_id_idx ON audit_log(team_id);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Owners see the history of their own games, players and rosters
+CREATE POLICY "Users can view audit log for their records"
+    ON audit_log FOR SELECT
+    USING (auth.uid() = owner_id OR auth.uid() = actor_id);
+
+-- Coaches see the history of everything on their teams
+CREATE POLICY "Coaches can view team audit log"
+    ON audit_log FOR SELECT
+    USING (
+        team_id IS NOT NULL AND
+        EXISTS (
+            SELECT 1 FROM team_coaches tc
+            WHERE tc.team_id = audit_log.team_id
+            AND tc.user_id = auth.uid()
+        )
+    );
+
+-- =====================================================
+-- AUDIT TRIGGER
+-- =====================================================
+-- SECURITY DEFINER so the trigger can write the log (no insert policy
+-- exists) and read the actor's email from auth.users.
+CREATE OR REPLACE FUNCTION record_audit_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_row JSONB := CASE WHEN TG_OP = 'INSERT' THEN '{}'::jsonb ELSE to_jsonb(OLD) END;
+    new_row JSONB := CASE WHEN TG_OP = 'DELETE' THEN '{}'::jsonb ELSE to_jsonb(NEW) END;
+    row_data JSONB := CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END;
+    row_team_id UUID := (row_data ->> 'team_id')::uuid;
+    diff JSONB;
+BEGIN
+    SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('before', old_row -> key, 'after', new_row -> key)), '{}'::jsonb)
+    INTO diff
+    FROM jsonb_object_keys(old_row || new_row) AS key
+    WHERE key <> 'updated_at'
+    AND (old_row -> key) IS DISTINCT FROM (new_row -> key);
+
+    -- Saves that change nothing (only updated_at) aren't worth a row
+    IF TG_OP = 'UPDATE' AND diff = '{}'::jsonb THEN
+        RETURN NULL;
+    END IF;
+
+    -- Players belong to a team through their roster
+    IF TG_TABLE_NAME = 'players' AND row_data ->> 'roster_id' IS NOT NULL THEN
+        SELECT r.team_id INTO row_team_id FROM rosters r WHERE r.id = (row_data ->> 'roster_id')::uuid;
+    END IF;
+
+    INSERT INTO audit_log (table_name, record_id, action, owner_id, team_id, actor_id, actor_email, changes)
+    VALUES (
+        TG_TABLE_NAME,
+        (row_data ->> 'id')::uuid,
+        lower(TG_OP),
+        (row_data ->> 'user_id')::uuid,
+        row_team_id,
+        auth.uid(),
+        (SELECT u.email FROM auth.users u WHERE u.id = auth.uid()),
+        diff
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS audit_games ON games;
+CREATE TRIGGER audit_games
+    AFTER INSERT OR UPDATE OR DELETE ON games
+    FOR EACH ROW
+    EXECUTE FUNCTION record_audit_log();
+
+DROP TRIGGER IF EXISTS audit_players ON players;
+CREATE TRIGGER audit_players
+    AFTER INSERT OR UPDATE OR DELETE ON players
+    FOR EACH ROW
+    EXECUTE FUNCTION record_audit_log();
+
+DROP TRIGGER IF EXISTS audit_rosters ON rosters;
+CREATE TRIGGER audit_rosters
+    AFTER INSERT OR UPDATE OR DELETE ON rosters
+    FOR EACH ROW
+    EXECUTE FUNCTION record_audit_log();
@@ -0,0 +1,96 @@
+-- Migration: Shared live games recorded by several coaches at once
+-- Run this in your Supabase SQL Editor
+--
+-- Coaches of a team can join the team's active game and record it from
+-- their own devices. Upserting the whole game_state let the last writer win,
+-- so shots from the other touchline disappeared. Devices now call
+-- merge_active_game, which merges what they send into the stored game under
+-- a row lock:
+--   * events are combined by id and ordered by their sequence number (seq),
+--     then time, then id - the same order the app uses
+--   * removals ({ "<event id>": { "undone": bool, "seq": n } }) keep the
+--     latest mark per event, so an undone event stays out of the stream
+--     even when another device still has it
+-- The other game_state fields (score, log, notes) are the caller's view;
+-- readers rebuild them from the merged events. started_by stays the coach
+-- who started the game.
+--
+-- game_state.gameId tells games apart: a game started after the stored one
+-- replaces it, and writes from a device still on an older game are ignored.
+-- A row deleted while a write is on its way is inserted again, so no write
+-- is lost.
+
+-- =====================================================
+-- MERGE FUNCTION
+-- =====================================================
+-- Runs with the caller's rights, so the coach policy on active_games applies
+CREATE OR REPLACE FUNCTION merge_active_game(p_team_id UUID, p_game_state JSONB, p_game_metadata JSONB)
+RETURNS VOID AS $$
+DECLARE
+    stored JSONB;
+    merged_removals JSONB;
+    merged_events JSONB;
+BEGIN
+    LOOP
+        -- The first device to write starts the game
+        INSERT INTO active_games (team_id, game_state, game_metadata, started_by)
+        VALUES (p_team_id, p_game_state, p_game_metadata, auth.uid())
+        ON CONFLICT (team_id) DO NOTHING;
+
+        IF FOUND THEN
+            RETURN;
+        END IF;
+
+        SELECT game_state INTO stored FROM active_games WHERE team_id = p_team_id FOR UPDATE;
+
+        -- The row was deleted between the two statements: insert again
+        EXIT WHEN FOUND;
+    END LOOP;
+
+    -- A different game: the newer one is kept whole
+    IF stored ->> 'gameId' IS DISTINCT FROM p_game_state ->> 'gameId' THEN
+        IF COALESCE(p_game_state ->> 'startedAt', '') COLLATE "C" >= COALESCE(stored ->> 'startedAt', '') COLLATE "C" THEN
+            UPDATE active_games
+            SET game_state = p_game_state,
+                game_metadata = p_game_metadata,
+                started_by = auth.uid(),
+                started_at = NOW()
+            WHERE team_id = p_team_id;
+        END IF;
+        RETURN;
+    END IF;
+
+    -- Latest mark per event; an undo wins a tie
+    SELECT COALESCE(jsonb_object_agg(event_id, mark), '{}'::jsonb)
+    INTO merged_removals
+    FROM (
+        SELECT DISTINCT ON (event_id) event_id, mark
+        FROM (
+            SELECT key AS event_id, value AS mark FROM jsonb_each(COALESCE(stored -> 'removals', '{}'::jsonb))
+            UNION ALL
+            SELECT key, value FROM jsonb_each(COALESCE(p_game_state -> 'removals', '{}'::jsonb))
+        ) marks
+        ORDER BY event_id, COALESCE((mark ->> 'seq')::int, 0) DESC, COALESCE((mark ->> 'undone')::boolean, false) DESC
+    ) latest;
+
+    -- Every event either side has, minus the undone ones
+    SELECT COALESCE(jsonb_agg(event ORDER BY
+        COALESCE((event ->> 'seq')::int, 0),
+        event ->> 'at' COLLATE "C",
+        event ->> 'id' COLLATE "C"), '[]'::jsonb)
+    INTO merged_events
+    FROM (
+        SELECT DISTINCT ON (event ->> 'id') event
+        FROM jsonb_array_elements(COALESCE(stored -> 'events', '[]'::jsonb) || COALESCE(p_game_state -> 'events', '[]'::jsonb)) AS elements(event)
+        ORDER BY event ->> 'id'
+    ) unique_events
+    WHERE NOT COALESCE((merged_removals -> (event ->> 'id') ->> 'undone')::boolean, false);
+
+    UPDATE active_games
+    SET game_state = p_game_state || jsonb_build_object('events', merged_events, 'removals', merged_removals),
+        game_metadata = p_game_metadata
+    WHERE team_id = p_team_id;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION merge_active_game(UUID, JSONB, JSONB) TO authenticated;
@@ -1,6 +1,6 @@
 /**
  * Filtering Integration Tests
- * Tests for shot filtering by team, type, and half
+ * Tests for shot filtering by team, type, and half (src/shotFilters.js)
  */
 
 import '@testing-library/jest-dom';
@@ -10,46 +10,21 @@ import {
     mediumDataset,
     homeTeamOnly,
     awayTeamOnly,
-    emptyShots
+    emptyShots,
+    invalidShots
 } from '../fixtures/mockShots.js';
 
-// =====================================================
-// FILTERING HELPER FUNCTIONS
-// These simulate the app's filtering logic
-// =====================================================
-
-function filterByTeam(shots, team) {
-    if (team === 'all') return shots;
-    return shots.filter(s => s.team === team);
-}
-
-function filterByType(shots, type) {
-    if (type === 'all') return shots;
-    return shots.filter(s => s.type === type);
-}
-
-function filterByHalf(shots, half) {
-    if (half === 'all') return shots;
-    return shots.filter(s => s.half === half);
-}
-
-function filterShots(shots, { team = 'all', type = 'all', half = 'all' } = {}) {
-    let filtered = shots;
-
-    filtered = filterByTeam(filtered, team);
-    filtered = filterByType(filtered, type);
-    filtered = filterByHalf(filtered, half);
-
-    return filtered;
-}
-
-function getFilterOptions(shots) {
-    const teams = [...new Set(shots.map(s => s.team))];
-    const types = [...new Set(shots.map(s => s.type))];
-    const halves = [...new Set(shots.map(s => s.half))];
-
-    return { teams, types, halves };
-}
+import {
+    filterByTeam,
+    filterByType,
+    filterByHalf,
+    filterByAttribute,
+    filterShots,
+    filterBySide,
+    getFilterOptions,
+    getPositionedShots,
+    collectGameShots
+} from '@/shotFilters.js';
 
 // =====================================================
 // DOM SETUP HELPERS
@@ -248,6 +223,81 @@ describe('Filtering Integration', () => {
         });
     });
 
+    // =====================================================
+    // SHOT TAG FILTERING
+    // =====================================================
+
+    describe('Shot Tag Filtering', () => {
+        const taggedShots = [
+            { ...createShot({ type: 'GOAL!' }), bodyPart: 'head', situation: 'corner' },
+            { ...createShot({ team: 'away' }), bodyPart: 'head', situation: 'open_play' },
+            { ...createShot({ type: 'Shot Blocked' }), bodyPart: 'right_foot', situation: 'corner', assistType: 'cross' },
+            createShot()
+        ];
+
+        it('should filter by a single tag', () => {
+            expect(filterByAttribute(taggedShots, 'bodyPart', 'head')).toHaveLength(2);
+            expect(filterByAttribute(taggedShots, 'situation', 'all')).toHaveLength(4);
+        });
+
+        it('should combine tags with team and type filters', () => {
+            expect(filterShots(taggedShots, { team: 'home', bodyPart: 'head' })).toHaveLength(1);
+            expect(filterShots(taggedShots, { situation: 'corner', type: 'Shot Blocked' })).toHaveLength(1);
+            expect(filterShots(taggedShots, { assistType: 'cross', bodyPart: 'head' })).toHaveLength(0);
+        });
+    });
+
+    // =====================================================
+    // MULTI-GAME SHOTS
+    // =====================================================
+
+    describe('Multi-Game Shots', () => {
+        const games = [
+            {
+                id: 'g1',
+                homeTeam: 'Eagles',
+                awayTeam: 'City',
+                log: [
+                    createShot({ team: 'home', type: 'GOAL!' }),
+                    createShot({ team: 'away' }),
+                    { ...createShot({ team: 'home' }), position: null }
+                ]
+            },
+            {
+                id: 'g2',
+                homeTeam: 'Rovers',
+                awayTeam: 'Eagles',
+                teamSide: 'away',
+                log: [createShot({ team: 'away', half: 2 })]
+            },
+            { id: 'g3' }
+        ];
+
+        it('should collect positioned shots from every game tagged by side', () => {
+            const shots = collectGameShots(games, 'Eagles');
+
+            expect(shots.map(shot => [shot.gameId, shot.side])).toEqual([
+                ['g1', 'for'],
+                ['g1', 'against'],
+                ['g2', 'for']
+            ]);
+            expect(collectGameShots(undefined, 'Eagles')).toEqual([]);
+        });
+
+        it('should tag shots with the goal their side attacked in that game', () => {
+            const shots = collectGameShots(games, 'Eagles');
+            expect(shots.map(shot => shot.attackingRight)).toEqual([true, false, true]);
+        });
+
+        it('should filter by side alongside the other filters', () => {
+            const shots = collectGameShots(games, 'Eagles');
+
+            expect(filterBySide(shots, 'against')).toHaveLength(1);
+            expect(filterShots(shots, { side: 'for', half: 2 })).toHaveLength(1);
+            expect(filterShots(shots, { side: 'for', type: 'GOAL!' }).map(shot => shot.gameId)).toEqual(['g1']);
+        });
+    });
+
     // =====================================================
     // FILTER OPTIONS EXTRACTION
     // =====================================================
@@ -475,5 +525,12 @@ describe('Filtering Integration', () => {
             const filtered = filterByTeam(mediumDataset, 'invalid_team');
             expect(filtered).toHaveLength(0);
         });
+
+        it('should keep only shots with numeric positions for the maps', () => {
+            // Null, non-numeric and NaN positions are dropped; out-of-bounds values are kept
+            expect(getPositionedShots(invalidShots)).toHaveLength(3);
+            expect(getPositionedShots(mediumDataset)).toHaveLength(mediumDataset.length);
+            expect(getPositionedShots(emptyShots)).toHaveLength(0);
+        });
     });
 });
@@ -0,0 +1,108 @@
+/**
+ * Analytics Tests
+ * Tests for per-game trends, rolling averages and half splits (src/analytics.js)
+ */
+
+import {
+    ROLLING_WINDOW,
+    getGameTrends,
+    rollingAverage,
+    getHalfSplits,
+    filterAnalyticsGames
+} from '@/analytics.js';
+import { PENALTY_XG } from '@/xg.js';
+
+function shot(team, type, extra = {}) {
+    return { team, type, half: 1, period: 1, ...extra };
+}
+
+const GAMES = [
+    {
+        id: 'g2',
+        date: '2026-04-12',
+        homeTeam: 'Rovers',
+        awayTeam: 'Eagles',
+        teamSide: 'away',
+        home: { goals: 1, onTarget: 2, offTarget: 1 },
+        away: { goals: 2, onTarget: 3, offTarget: 1 },
+        log: [
+            shot('away', 'GOAL!', { situation: 'penalty' }),
+            shot('home', 'GOAL!', { half: 2, period: 2 })
+        ]
+    },
+    {
+        id: 'g1',
+        date: '2026-04-05',
+        homeTeam: 'Eagles',
+        awayTeam: 'City',
+        teamSide: 'home',
+        home: { goals: 0, onTarget: 1, offTarget: 3 },
+        away: { goals: 1, onTarget: 1, offTarget: 0 },
+        log: [shot('home', 'Shot Off Target')]
+    }
+];
+
+describe('Analytics', () => {
+    it('should chart each game from the team\'s side, oldest first', () => {
+        const trends = getGameTrends(GAMES, 'Eagles');
+
+        expect(trends.map(point => point.gameId)).toEqual(['g1', 'g2']);
+        expect(trends[0]).toEqual({
+            gameId: 'g1',
+            date: '2026-04-05',
+            opponent: 'City',
+            venue: 'home',
+            goalsFor: 0,
+            goalsAgainst: 1,
+            shotsFor: 4,
+            shotsAgainst: 1,
+            onTargetPct: 25,
+            xgFor: null,
+            xgAgainst: null
+        });
+        expect(trends[1]).toMatchObject({ opponent: 'Rovers', venue: 'away', goalsFor: 2, shotsAgainst: 3, onTargetPct: 75 });
+    });
+
+    it('should value xG only for games with shots that can be valued', () => {
+        const [, withXg] = getGameTrends(GAMES, 'Eagles');
+
+        expect(withXg.xgFor).toBe(PENALTY_XG);
+        expect(withXg.xgAgainst).toBe(0);
+        expect(getGameTrends([{ ...GAMES[0], away: { ...GAMES[0].away, xg: 1.2 } }], 'Eagles')[0].xgFor).toBe(1.2);
+    });
+
+    it('should average over the last few games, skipping gaps', () => {
+        expect(ROLLING_WINDOW).toBe(5);
+        expect(rollingAverage([1, 2, 3, 4], 2)).toEqual([1, 1.5, 2.5, 3.5]);
+        expect(rollingAverage([null, 1, null, 2], 3)).toEqual([null, 1, 1, 1.5]);
+        expect(rollingAverage([1, 1, 2], 3)).toEqual([1, 1, 1.33]);
+        expect(rollingAverage([])).toEqual([]);
+    });
+
+    it('should split goals and shots by half of regulation time', () => {
+        const splits = getHalfSplits([
+            ...GAMES,
+            {
+                homeTeam: 'Eagles',
+                periodConfig: { format: 'quarters', extraTime: true },
+                log: [
+                    shot('home', 'GOAL!', { period: 2 }),
+                    shot('home', 'Shot On Target', { period: 3, half: 2 }),
+                    shot('away', 'GOAL!', { period: 5, half: 1 })
+                ]
+            }
+        ], 'Eagles');
+
+        expect(splits.firstHalf).toEqual({ goalsFor: 2, goalsAgainst: 0, shotsFor: 3, shotsAgainst: 0, onTargetFor: 2, accuracy: 67 });
+        expect(splits.secondHalf).toEqual({ goalsFor: 0, goalsAgainst: 1, shotsFor: 1, shotsAgainst: 1, onTargetFor: 1, accuracy: 100 });
+    });
+
+    it('should filter by date range, opponent and venue', () => {
+        expect(filterAnalyticsGames(GAMES, { from: '2026-04-06' }, 'Eagles').map(g => g.id)).toEqual(['g2']);
+        expect(filterAnalyticsGames(GAMES, { to: '2026-04-05' }, 'Eagles').map(g => g.id)).toEqual(['g1']);
+        expect(filterAnalyticsGames(GAMES, { venue: 'away' }, 'Eagles').map(g => g.id)).toEqual(['g2']);
+        expect(filterAnalyticsGames(GAMES, { opponent: { id: null, name: 'city', aliases: [] } }, 'Eagles').map(g => g.id))
+            .toEqual(['g1']);
+        expect(filterAnalyticsGames(GAMES, {}, 'Eagles')).toHaveLength(2);
+    });
+});
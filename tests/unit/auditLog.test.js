@@ -0,0 +1,89 @@
+/**
+ * Audit Log Tests
+ * Tests for describing change history rows (src/auditLog.js)
+ */
+
+import {
+    AUDIT_ACTIONS,
+    describeListChange,
+    describeAuditChanges,
+    describeAuditEntry,
+    getAuditActorLabel
+} from '@/auditLog.js';
+
+function entry(action, changes, tableName = 'games') {
+    return { table_name: tableName, record_id: 'g1', action, changes, actor_id: 'u2', actor_email: 'coach@example.com' };
+}
+
+const SHOTS = [
+    { id: 's1', team: 'home', type: 'GOAL!' },
+    { id: 's2', team: 'away', type: 'Shot Off Target' }
+];
+
+describe('Audit Log', () => {
+    it('should count added, edited and removed entries by id', () => {
+        const after = [{ ...SHOTS[0], type: 'Shot On Target' }, { id: 's3', team: 'home', type: 'GOAL!' }, { id: 's4', team: 'home', type: 'GOAL!' }];
+
+        expect(describeListChange('Shots', 'shot', SHOTS, after)).toBe('Shots: 2 shots added, 1 edited, 1 removed');
+        expect(describeListChange('Notes', 'note', [], [{ id: 'n1', content: 'Rain' }])).toBe('Notes: 1 note added');
+        expect(describeListChange('Shots', 'shot', SHOTS, SHOTS)).toBeNull();
+    });
+
+    it('should compare counts for older logs without ids', () => {
+        expect(describeListChange('Shots', 'shot', [{ type: 'GOAL!' }], [])).toBe('Shots: 1 shot → 0 shots');
+        expect(describeListChange('Shots', 'shot', null, [{ type: 'GOAL!' }])).toBe('Shots: 0 shots → 1 shot');
+    });
+
+    it('should describe the game details, goals, shots and other changes', () => {
+        const lines = describeAuditChanges('games', {
+            game_date: { before: '2026-04-05', after: '2026-04-06' },
+            home_team: { before: 'Eagles', after: 'Eagles U12' },
+            home_stats: { before: { goals: 1, onTarget: 2 }, after: { goals: 2, onTarget: 2 } },
+            away_stats: { before: { goals: 0, offTarget: 1 }, after: { goals: 0, offTarget: 2 } },
+            shot_log: { before: SHOTS, after: [...SHOTS, { id: 's3', team: 'home', type: 'GOAL!' }] },
+            game_events: { before: [], after: [{ id: 's3' }] },
+            season_id: { before: null, after: 'season-1' },
+            updated_at: { before: 'a', after: 'b' }
+        });
+
+        expect(lines).toEqual([
+            'Date: 2026-04-05 → 2026-04-06',
+            'Home team: Eagles → Eagles U12',
+            'Home goals: 1 → 2',
+            'Shots: 1 shot added',
+            'Season changed'
+        ]);
+    });
+
+    it('should describe player changes with empty values as none', () => {
+        expect(describeAuditChanges('players', { number: { before: null, after: 9 }, roster_id: { before: 'r1', after: 'r2' } }))
+            .toEqual(['Number: none → 9']);
+    });
+
+    it('should title creation, edits, soft deletes, restores and permanent deletes', () => {
+        const created = describeAuditEntry(entry(AUDIT_ACTIONS.INSERT, {
+            home_team: { before: null, after: 'Eagles' },
+            away_team: { before: null, after: 'City' },
+            home_stats: { before: null, after: { goals: 2 } },
+            away_stats: { before: null, after: { goals: 1 } }
+        }));
+
+        expect(created).toEqual({ title: 'Game created', details: ['Eagles 2-1 City'] });
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.UPDATE, { away_team: { before: 'City', after: 'City FC' } })))
+            .toEqual({ title: 'Game edited', details: ['Away team: City → City FC'] });
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.UPDATE, { deleted_at: { before: null, after: '2026-10-19T08:00:00Z' } })).title)
+            .toBe('Game moved to Recently Deleted');
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.UPDATE, { deleted_at: { before: '2026-10-19T08:00:00Z', after: null } })).title)
+            .toBe('Game restored');
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.DELETE, { id: { before: 'g1', after: null } })).title).toBe('Game deleted forever');
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.INSERT, { name: { before: null, after: 'Ava Cole' } }, 'players')))
+            .toEqual({ title: 'Player created', details: ['Ava Cole'] });
+        expect(describeAuditEntry(entry(AUDIT_ACTIONS.DELETE, {}, 'rosters')).title).toBe('Roster deleted');
+    });
+
+    it('should name the signed-in user as you', () => {
+        expect(getAuditActorLabel(entry(AUDIT_ACTIONS.UPDATE, {}), 'u2')).toBe('You');
+        expect(getAuditActorLabel(entry(AUDIT_ACTIONS.UPDATE, {}), 'u1')).toBe('coach@example.com');
+        expect(getAuditActorLabel({ actor_id: null }, 'u1')).toBe('Someone');
+    });
+});
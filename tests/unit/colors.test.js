@@ -0,0 +1,98 @@
+/**
+ * Color Utility Tests
+ * Tests for team color conversion and contrast helpers (src/colors.js)
+ */
+
+import {
+    hexToRgb,
+    hexToRgba,
+    rgbToHex,
+    getColorLuminance,
+    lightenColor,
+    darkenColor,
+    adjustColorForContrast,
+    needsContrastBorder,
+    getShotMarkerStroke,
+    getHeatMapColor
+} from '@/colors.js';
+
+describe('Color Utilities', () => {
+    // =====================================================
+    // CONVERSION
+    // =====================================================
+
+    describe('Conversion', () => {
+        it('should convert hex to rgb and back', () => {
+            expect(hexToRgb('#10b981')).toEqual({ r: 16, g: 185, b: 129 });
+            expect(rgbToHex(16, 185, 129)).toBe('#10b981');
+        });
+
+        it('should clamp and round rgb values', () => {
+            expect(rgbToHex(-20, 300, 15.6)).toBe('#00ff10');
+        });
+
+        it('should build rgba strings', () => {
+            expect(hexToRgba('#3b82f6', 0.2)).toBe('rgba(59, 130, 246, 0.2)');
+        });
+    });
+
+    // =====================================================
+    // LUMINANCE
+    // =====================================================
+
+    describe('Luminance', () => {
+        it('should return 0 for black and 1 for white', () => {
+            expect(getColorLuminance('#000000')).toBe(0);
+            expect(getColorLuminance('#ffffff')).toBeCloseTo(1);
+        });
+
+        it('should lighten and darken by percentage', () => {
+            expect(lightenColor('#000000', 50)).toBe('#808080');
+            expect(darkenColor('#ffffff', 50)).toBe('#808080');
+        });
+    });
+
+    // =====================================================
+    // CONTRAST ADJUSTMENT
+    // =====================================================
+
+    describe('Contrast Adjustment', () => {
+        it('should darken very light colors in light mode', () => {
+            expect(adjustColorForContrast('#ffffff', false)).toBe(darkenColor('#ffffff', 30));
+            expect(adjustColorForContrast('#dddddd', false)).toBe(darkenColor('#dddddd', 20));
+        });
+
+        it('should lighten very dark colors in dark mode', () => {
+            expect(adjustColorForContrast('#000000', true)).toBe(lightenColor('#000000', 35));
+            expect(adjustColorForContrast('#444444', true)).toBe(lightenColor('#444444', 25));
+        });
+
+        it('should leave mid-range colors unchanged', () => {
+            expect(adjustColorForContrast('#10b981', false)).toBe('#10b981');
+            expect(adjustColorForContrast('#10b981', true)).toBe('#10b981');
+        });
+
+        it('should add borders and dark strokes only for light colors', () => {
+            expect(needsContrastBorder('#ffffff')).toBe(true);
+            expect(needsContrastBorder('#3b82f6')).toBe(false);
+            expect(getShotMarkerStroke('#ffffff')).toBe(darkenColor('#ffffff', 40));
+            expect(getShotMarkerStroke('#3b82f6')).toBe('white');
+        });
+    });
+
+    // =====================================================
+    // HEAT MAP GRADIENT
+    // =====================================================
+
+    describe('Heat Map Gradient', () => {
+        it('should start light blue and end red', () => {
+            expect(getHeatMapColor(0)).toBe('rgba(0, 150, 255, 0.3)');
+            expect(getHeatMapColor(1)).toBe('rgba(255, 0, 0, 0.8)');
+        });
+
+        it('should interpolate between gradient stops', () => {
+            // Halfway between yellow (0.45) and yellow-orange (0.6)
+            expect(getHeatMapColor(0.525)).toBe('rgba(255, 218, 0, 0.5625)');
+        });
+    });
+});
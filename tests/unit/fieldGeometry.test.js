@@ -0,0 +1,177 @@
+/**
+ * Field Geometry Tests
+ * Tests for field coordinates, penalty boxes and zone names (src/fieldGeometry.js)
+ */
+
+import {
+    FIELD_WIDTH,
+    FIELD_HEIGHT,
+    hasValidPosition,
+    isInPenaltyBox,
+    isClusteredShot,
+    mirrorPosition,
+    normalizeToFirstHalf,
+    normalizeToAttackingRight,
+    isAttackingRight,
+    getHomeAttackingRight,
+    tagAttackingDirection,
+    clampToField,
+    getFieldZone
+} from '@/fieldGeometry.js';
+import { invalidShots, createShot } from '../fixtures/mockShots.js';
+
+describe('Field Geometry', () => {
+    // =====================================================
+    // POSITION VALIDATION
+    // =====================================================
+
+    describe('Position Validation', () => {
+        it('should accept numeric positions', () => {
+            expect(hasValidPosition(createShot({ x: 90, y: 34 }))).toBe(true);
+        });
+
+        it('should reject missing, non-numeric and NaN positions', () => {
+            expect(hasValidPosition(invalidShots[0])).toBe(false);
+            expect(hasValidPosition(invalidShots[1])).toBe(false);
+            expect(hasValidPosition(invalidShots[2])).toBe(false);
+            expect(hasValidPosition(null)).toBe(false);
+        });
+    });
+
+    // =====================================================
+    // PENALTY BOX
+    // =====================================================
+
+    describe('Penalty Box', () => {
+        it('should detect shots inside either penalty box', () => {
+            expect(isInPenaltyBox(10, 34)).toBe(true);
+            expect(isInPenaltyBox(95, 34)).toBe(true);
+            expect(isInPenaltyBox(17, 13.84)).toBe(true);
+            expect(isInPenaltyBox(88, 54.16)).toBe(true);
+        });
+
+        it('should reject shots outside the penalty boxes', () => {
+            expect(isInPenaltyBox(52.5, 34)).toBe(false);
+            expect(isInPenaltyBox(95, 5)).toBe(false);
+            expect(isInPenaltyBox(10, 60)).toBe(false);
+        });
+    });
+
+    // =====================================================
+    // CLUSTERING
+    // =====================================================
+
+    describe('Clustering', () => {
+        const points = [
+            { x: 90, y: 34 },
+            { x: 95, y: 36 },
+            { x: 60, y: 10 }
+        ];
+
+        it('should treat shots within the cluster radius as clustered', () => {
+            expect(isClusteredShot(0, points)).toBe(true);
+            expect(isClusteredShot(1, points)).toBe(true);
+        });
+
+        it('should treat distant shots as isolated', () => {
+            expect(isClusteredShot(2, points)).toBe(false);
+        });
+
+        it('should respect a custom cluster radius', () => {
+            expect(isClusteredShot(0, points, 2)).toBe(false);
+        });
+    });
+
+    // =====================================================
+    // ORIENTATION
+    // =====================================================
+
+    describe('Orientation', () => {
+        it('should mirror a position around the centre spot', () => {
+            expect(mirrorPosition(90, 20)).toEqual({ x: 15, y: 48 });
+            expect(mirrorPosition(FIELD_WIDTH / 2, FIELD_HEIGHT / 2)).toEqual({ x: 52.5, y: 34 });
+        });
+
+        it('should mirror only second-half positions', () => {
+            expect(normalizeToFirstHalf({ x: 10, y: 30 }, 1)).toEqual({ x: 10, y: 30 });
+            expect(normalizeToFirstHalf({ x: 10, y: 30 }, 2)).toEqual({ x: 95, y: 38 });
+        });
+
+        it('should turn every shot toward the right-hand goal', () => {
+            expect(normalizeToAttackingRight({ x: 10, y: 30 }, false)).toEqual({ x: 95, y: 38 });
+            expect(normalizeToAttackingRight({ x: 90, y: 30 }, true)).toEqual({ x: 90, y: 30 });
+        });
+
+        it('should switch each side\'s attacking goal at half time', () => {
+            expect(isAttackingRight({ team: 'home', half: 1 }, true)).toBe(true);
+            expect(isAttackingRight({ team: 'home', half: 2 }, true)).toBe(false);
+            expect(isAttackingRight({ team: 'away', half: 1 }, true)).toBe(false);
+            expect(isAttackingRight({ team: 'away', half: 2 }, false)).toBe(false);
+        });
+
+        it('should read the home side\'s first-half direction from where the shots were taken', () => {
+            const homeLeft = [
+                { ...createShot({ team: 'home', x: 10, y: 30 }), half: 1 },
+                { ...createShot({ team: 'away', x: 95, y: 30 }), half: 1 },
+                { ...createShot({ team: 'home', x: 90, y: 40 }), half: 2 }
+            ];
+
+            expect(getHomeAttackingRight(homeLeft)).toBe(false);
+            expect(getHomeAttackingRight([{ ...createShot({ team: 'home', x: 90, y: 30 }), half: 1 }])).toBe(true);
+            expect(getHomeAttackingRight([])).toBe(true);
+        });
+
+        it('should keep a shot from the side\'s own half in its own half', () => {
+            const log = [
+                { ...createShot({ team: 'home', x: 12, y: 30 }), half: 1 },
+                { ...createShot({ team: 'home', x: 8, y: 40 }), half: 1 },
+                { ...createShot({ team: 'home', x: 70, y: 20 }), half: 1 },
+                { ...createShot({ team: 'home', x: 95, y: 34 }), half: 2 }
+            ];
+            const [first, , ownHalf, secondHalf] = tagAttackingDirection(log)
+                .map(shot => normalizeToAttackingRight(shot.position, shot.attackingRight));
+
+            expect(first).toEqual({ x: 93, y: 38 });
+            expect(ownHalf).toEqual({ x: 35, y: 48 });
+            expect(secondHalf).toEqual({ x: 95, y: 34 });
+        });
+    });
+
+    // =====================================================
+    // CLAMPING
+    // =====================================================
+
+    describe('Clamping', () => {
+        it('should keep positions half a unit inside the field', () => {
+            expect(clampToField(-5, 80)).toEqual({ x: 0.5, y: 67.5 });
+            expect(clampToField(200, -1)).toEqual({ x: 104.5, y: 0.5 });
+        });
+
+        it('should leave in-bounds positions unchanged', () => {
+            const clamped = clampToField(40, 20);
+            expect(clamped).toEqual({ x: 40, y: 20 });
+            expect({ position: clamped }).toBeWithinFieldBounds();
+        });
+    });
+
+    // =====================================================
+    // ZONE NAMES
+    // =====================================================
+
+    describe('Zone Names', () => {
+        it.each([
+            [3, 34, 'Left 6-yard box'],
+            [102, 34, 'Right 6-yard box'],
+            [12, 20, 'Left penalty area'],
+            [92, 50, 'Right penalty area'],
+            [10, 5, 'Left wing (deep)'],
+            [95, 60, 'Right wing (deep)'],
+            [30, 34, 'Left center'],
+            [30, 5, 'Left wing'],
+            [70, 34, 'Right center'],
+            [70, 62, 'Right wing']
+        ])('should name (%d, %d) as %s', (x, y, zone) => {
+            expect(getFieldZone(x, y)).toBe(zone);
+        });
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Game Edit Tests
+ * Tests for editing saved games after the fact (src/gameEdit.js)
+ */
+
+import {
+    createGameDraft,
+    addDraftShot,
+    retypeDraftShot,
+    getDraftPeriods,
+    setDraftShotPeriod,
+    addDraftNote,
+    validateGameDraft,
+    getGameEditUpdate
+} from '@/gameEdit.js';
+import { GAME_EVENTS, createEvent, deriveGameState, toGameSnapshot, createGameHistory } from '@/gameState.js';
+
+function shotEvent(shot) {
+    return createEvent(GAME_EVENTS.SHOT_RECORDED, {
+        shot: { teamName: shot.team === 'home' ? 'Eagles' : 'City', half: 1, gameTime: '10:00', clockSeconds: 600, position: { x: 90, y: 34 }, ...shot }
+    });
+}
+
+// A saved game in the UI shape, recorded with an event stream
+function savedGame(events) {
+    const snapshot = toGameSnapshot(createGameHistory(events));
+    return {
+        id: 'g1',
+        date: '2026-04-05',
+        homeTeam: 'Eagles',
+        awayTeam: 'City',
+        homeColor: '#10b981',
+        awayColor: '#3b82f6',
+        home: snapshot.home,
+        away: snapshot.away,
+        log: snapshot.log,
+        notes: snapshot.notes,
+        events
+    };
+}
+
+const EVENTS = [
+    shotEvent({ team: 'home', type: 'GOAL!', assistPlayerId: 'p2', assistPlayerName: 'Ben Diaz' }),
+    shotEvent({ team: 'away', type: 'Shot Off Target', half: 2 }),
+    createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Windy' } })
+];
+
+describe('Game Edit', () => {
+    it('should copy the game so edits leave it untouched', () => {
+        const game = savedGame(EVENTS);
+        const draft = createGameDraft({ ...game, date: '2026-04-05T15:00:00.000Z' });
+        draft.log[0].type = 'GOAL!';
+
+        expect(draft).toMatchObject({ date: '2026-04-05', homeTeam: 'Eagles', awayTeam: 'City', homeColor: '#10b981' });
+        expect(game.log[0].type).toBe('Shot Off Target');
+    });
+
+    it('should edit older notes stored as text', () => {
+        const draft = createGameDraft({ ...savedGame([]), notes: [{ text: 'Rain', timestamp: '12:00' }] });
+        expect(draft.notes).toEqual([{ text: 'Rain', content: 'Rain', timestamp: '12:00' }]);
+    });
+
+    it('should add shots and notes at the top of the draft', () => {
+        const draft = createGameDraft(savedGame(EVENTS));
+        const shot = addDraftShot(draft, 'away');
+        const note = addDraftNote(draft, 'Keeper injured');
+
+        expect(draft.log[0]).toBe(shot);
+        expect(shot).toMatchObject({ team: 'away', teamName: 'City', type: 'Shot On Target', half: 1, position: null });
+        expect(draft.notes[0]).toBe(note);
+    });
+
+    it('should drop the assisting player when a goal is retyped', () => {
+        const shot = { type: 'GOAL!', assistPlayerId: 'p2', assistPlayerName: 'Ben Diaz', assistType: 'cross' };
+
+        expect(retypeDraftShot({ ...shot }, 'GOAL!')).toEqual(shot);
+        expect(retypeDraftShot({ ...shot }, 'Shot Blocked')).toEqual({ type: 'Shot Blocked', assistType: 'cross' });
+    });
+
+    it('should move shots between halves and set the half from the period', () => {
+        const draft = createGameDraft(savedGame(EVENTS));
+
+        expect(getDraftPeriods(draft).map(period => period.label)).toEqual(['1st Half', '2nd Half']);
+        expect(setDraftShotPeriod({ half: 1, period: 1 }, 2, draft.periodConfig)).toEqual({ half: 2, period: 2 });
+        expect(setDraftShotPeriod({ half: 1 }, 2, draft.periodConfig)).toEqual({ half: 2, period: 2 });
+    });
+
+    it('should move shots between the quarters of a quarters game', () => {
+        const draft = createGameDraft({ ...savedGame(EVENTS), periodConfig: { format: 'quarters', shootout: true } });
+
+        expect(getDraftPeriods(draft).map(period => period.shortLabel)).toEqual(['Q1', 'Q2', 'Q3', 'Q4']);
+        expect(setDraftShotPeriod({ half: 1, period: 2 }, 3, draft.periodConfig)).toEqual({ half: 2, period: 3 });
+        expect(setDraftShotPeriod({ half: 2, period: 3 }, 2, draft.periodConfig)).toEqual({ half: 1, period: 2 });
+    });
+
+    it('should move shots into and out of extra time', () => {
+        const draft = createGameDraft({ ...savedGame(EVENTS), periodConfig: { format: 'halves', extraTime: true } });
+
+        expect(getDraftPeriods(draft).map(period => period.shortLabel)).toEqual(['1st', '2nd', 'ET1', 'ET2']);
+        expect(setDraftShotPeriod({ half: 2, period: 2 }, 3, draft.periodConfig)).toEqual({ half: 1, period: 3 });
+        expect(setDraftShotPeriod({ half: 1, period: 3 }, 4, draft.periodConfig)).toEqual({ half: 2, period: 4 });
+        expect(setDraftShotPeriod({ half: 2, period: 4 }, 1, draft.periodConfig)).toEqual({ half: 1, period: 1 });
+    });
+
+    it('should offer a period a shot was logged in outside the game\'s periods', () => {
+        const draft = createGameDraft({ ...savedGame(EVENTS), log: [{ team: 'home', type: 'GOAL!', half: 2, period: 3 }] });
+        expect(getDraftPeriods(draft).map(period => period.number)).toEqual([1, 2, 3]);
+    });
+
+    it('should not save a draft without a date, team names or valid shots', () => {
+        const draft = createGameDraft(savedGame(EVENTS));
+        expect(validateGameDraft(draft)).toEqual([]);
+
+        draft.date = '';
+        draft.awayTeam = ' ';
+        draft.log[1].position = { x: 120, y: 34 };
+        expect(validateGameDraft(draft)).toEqual([
+            'Pick a date for the game',
+            'Both teams need a name',
+            'Shot 2: position (120, 34) is off the 105 x 68 field'
+        ]);
+    });
+
+    it('should rebuild the stats from the edited shots', () => {
+        const game = savedGame(EVENTS);
+        const draft = createGameDraft(game);
+        retypeDraftShot(draft.log.find(shot => shot.team === 'home'), 'Shot Off Target');
+        addDraftShot(draft, 'away').type = 'GOAL!';
+
+        const update = getGameEditUpdate(game, draft);
+
+        expect(update.home_stats).toMatchObject({ goals: 0, onTarget: 0, offTarget: 1 });
+        expect(update.away_stats).toMatchObject({ goals: 1, onTarget: 1, offTarget: 1 });
+    });
+
+    it('should keep periods without shots in the rebuilt stats', () => {
+        const game = { ...savedGame(EVENTS), periodConfig: { format: 'quarters' } };
+        game.home = { ...game.home, periods: { 1: game.home.periods[1], 2: { goals: 0, onTarget: 0, offTarget: 0 } } };
+        game.away = { ...game.away, periods: { 2: game.away.periods[2], 4: { goals: 0, onTarget: 0, offTarget: 0 } } };
+        const draft = createGameDraft(game);
+        draft.log = draft.log.filter(shot => shot.team === 'home');
+
+        const update = getGameEditUpdate(game, draft);
+
+        expect(Object.keys(update.home_stats.periods)).toEqual(['1', '2', '4']);
+        expect(update.away_stats.periods).toEqual({
+            1: { goals: 0, onTarget: 0, offTarget: 0 },
+            2: { goals: 0, onTarget: 0, offTarget: 0 },
+            4: { goals: 0, onTarget: 0, offTarget: 0 }
+        });
+        expect(getGameEditUpdate({ ...game, home: {}, away: {} }, draft).away_stats.periods).toEqual({
+            1: { goals: 0, onTarget: 0, offTarget: 0 },
+            2: { goals: 0, onTarget: 0, offTarget: 0 },
+            3: { goals: 0, onTarget: 0, offTarget: 0 },
+            4: { goals: 0, onTarget: 0, offTarget: 0 }
+        });
+    });
+
+    it('should rename shots with their team and update the game details', () => {
+        const game = savedGame(EVENTS);
+        const draft = createGameDraft(game);
+        Object.assign(draft, { date: '2026-04-06', homeTeam: ' Eagles U12 ', awayColor: '#ef4444' });
+
+        const update = getGameEditUpdate(game, draft);
+
+        expect(update).toMatchObject({ game_date: '2026-04-06', home_team: 'Eagles U12', away_team: 'City', away_color: '#ef4444' });
+        expect(update.shot_log.map(shot => shot.teamName)).toEqual(['City', 'Eagles U12']);
+    });
+
+    it('should record events that replay to the edited game', () => {
+        const game = savedGame(EVENTS);
+        const draft = createGameDraft(game);
+        draft.log = draft.log.filter(shot => shot.team !== 'away');
+        draft.log[0].position = { x: 95, y: 30 };
+        setDraftShotPeriod(draft.log[0], 2, draft.periodConfig);
+        addDraftShot(draft, 'home');
+        addDraftShot(draft, 'away').position = { x: 12, y: 40 };
+        draft.notes[0].content = 'Very windy';
+        addDraftNote(draft, 'Late kick off');
+
+        const update = getGameEditUpdate(game, draft);
+        const replayed = deriveGameState(update.game_events);
+        const added = update.game_events.slice(EVENTS.length).map(event => event.type);
+
+        expect(added).toEqual([
+            GAME_EVENTS.SHOT_DELETED,
+            GAME_EVENTS.SHOT_EDITED,
+            GAME_EVENTS.SHOT_RECORDED,
+            GAME_EVENTS.SHOT_RECORDED,
+            GAME_EVENTS.NOTE_EDITED,
+            GAME_EVENTS.NOTE_ADDED
+        ]);
+        expect(replayed.log).toEqual(update.shot_log);
+        expect(replayed.notes).toEqual(update.game_notes);
+    });
+
+    it('should leave the event stream alone when nothing changed', () => {
+        const game = savedGame(EVENTS);
+        expect(getGameEditUpdate(game, createGameDraft(game)).game_events).toEqual(EVENTS);
+    });
+
+    it('should only write the shot log for games saved without events', () => {
+        const game = { ...savedGame([]), log: [{ team: 'home', type: 'GOAL!', half: 1 }], notes: [], events: [] };
+        const draft = createGameDraft(game);
+        retypeDraftShot(draft.log[0], 'Shot On Target');
+
+        const update = getGameEditUpdate(game, draft);
+
+        expect(update).not.toHaveProperty('game_events');
+        expect(update.home_stats).toMatchObject({ goals: 0, onTarget: 1 });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Game Export Tests
+ * Tests for the shots CSV and games JSON bundle (src/gameExport.js)
+ */
+
+import {
+    GAMES_BUNDLE_FORMAT,
+    SHOT_CSV_COLUMNS,
+    toCsvField,
+    toCsv,
+    getShotCsvRows,
+    buildShotsCsv,
+    buildGamesBundle,
+    getGameExportFileName,
+    getBulkExportFileName
+} from '@/gameExport.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+const GAME = {
+    id: 'g1',
+    date: '2026-04-05',
+    homeTeam: 'Eagles',
+    awayTeam: 'City, "The Blues"',
+    log: [
+        {
+            ...createShot({ team: 'home', type: 'GOAL!', half: 2, x: 100, y: 34 }),
+            teamName: 'Eagles',
+            gameTime: '52:10',
+            clockSeconds: 3130,
+            playerName: 'Ava Cole',
+            assistPlayerName: 'Ben Diaz',
+            situation: 'open_play'
+        },
+        { team: 'away', type: 'Shot Off Target', half: 1, period: 1, position: null, gameTime: '10:00', clockSeconds: 600 }
+    ]
+};
+
+describe('Game Export', () => {
+    it('should quote CSV fields only when they need it', () => {
+        expect(toCsvField('Eagles')).toBe('Eagles');
+        expect(toCsvField(12.5)).toBe('12.5');
+        expect(toCsvField(null)).toBe('');
+        expect(toCsvField('City, "The Blues"')).toBe('"City, ""The Blues"""');
+        expect(toCsvField('two\nlines')).toBe('"two\nlines"');
+        expect(toCsv(['a', 'b'], [{ a: 1, b: 'x,y' }])).toBe('a,b\r\n1,"x,y"\r\n');
+    });
+
+    it('should give each shot a row with its game, timing, position, zone and player', () => {
+        const [goal, miss] = getShotCsvRows([GAME]);
+
+        expect(Object.keys(goal)).toEqual(SHOT_CSV_COLUMNS);
+        expect(goal).toMatchObject({
+            gameId: 'g1',
+            date: '2026-04-05',
+            team: 'home',
+            teamName: 'Eagles',
+            type: 'GOAL!',
+            half: 2,
+            gameTime: '52:10',
+            clockSeconds: 3130,
+            x: 100,
+            y: 34,
+            zone: '6-yard box',
+            player: 'Ava Cole',
+            assist: 'Ben Diaz',
+            situation: 'open_play'
+        });
+        expect(miss).toMatchObject({ teamName: 'City, "The Blues"', x: null, y: null, zone: null, player: undefined });
+    });
+
+    it('should use the zone grid asked for', () => {
+        expect(getShotCsvRows([GAME], { zoneGridId: 'simple' })[0].zone).toBe('6-yard box');
+        expect(getShotCsvRows([{ ...GAME, log: [createShot({ x: 60, y: 34 })] }], { zoneGridId: 'simple' })[0].zone)
+            .toBe('Outside the box');
+    });
+
+    it('should write the shots CSV with a header row for spreadsheets', () => {
+        const csv = buildShotsCsv([GAME]);
+        const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+
+        expect(csv.startsWith('\uFEFF')).toBe(true);
+        expect(lines[0]).toBe(SHOT_CSV_COLUMNS.join(','));
+        expect(lines).toHaveLength(3);
+        expect(lines[2]).toContain('"City, ""The Blues"""');
+    });
+
+    it('should bundle game rows as stored', () => {
+        const rows = [{ id: 'g1', game_date: '2026-04-05', shot_log: [{ team: 'home' }], extra_column: { kept: true } }];
+        const bundle = JSON.parse(buildGamesBundle(rows, '2026-10-19T08:00:00.000Z'));
+
+        expect(bundle).toEqual({ format: GAMES_BUNDLE_FORMAT, version: 1, exportedAt: '2026-10-19T08:00:00.000Z', games: rows });
+    });
+
+    it('should name files after the game or the export', () => {
+        expect(getGameExportFileName(GAME, 'shots', 'csv')).toBe('2026-04-05-eagles-vs-city-the-blues-shots.csv');
+        expect(getBulkExportFileName('Eagles', 'games', 'json', '2026-10-19T08:00:00.000Z')).toBe('eagles-games-2026-10-19.json');
+        expect(getBulkExportFileName('', 'shots', 'csv', '2026-10-19T08:00:00.000Z')).toBe('shots-2026-10-19.csv');
+    });
+});
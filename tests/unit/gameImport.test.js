@@ -0,0 +1,163 @@
+/**
+ * Game Import Tests
+ * Tests for reading games from a JSON bundle or shots CSV (src/gameImport.js)
+ */
+
+import {
+    IMPORT_STATUS,
+    validateShot,
+    validateShotLog,
+    parseCsv,
+    parseShotsCsv,
+    parseGamesBundle,
+    parseImportFile,
+    planImport,
+    getImportTeamSide
+} from '@/gameImport.js';
+import { buildShotsCsv, buildGamesBundle } from '@/gameExport.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+function shot(overrides = {}) {
+    return { ...createShot({ half: 1 }), ...overrides };
+}
+
+const GAME = {
+    id: 'g1',
+    date: '2026-04-05',
+    homeTeam: 'Eagles',
+    awayTeam: 'City',
+    home: { goals: 1, onTarget: 1, offTarget: 0 },
+    away: { goals: 0, onTarget: 0, offTarget: 1 },
+    log: [
+        { ...shot({ team: 'home', type: 'GOAL!', half: 2, position: { x: 100, y: 34 } }), playerName: 'Ava Cole', situation: 'penalty' },
+        shot({ team: 'away', type: 'Shot Off Target', position: null })
+    ]
+};
+
+describe('Game Import', () => {
+    it('should accept shots that follow the shot rules', () => {
+        expect(validateShot(shot())).toEqual([]);
+        expect(validateShot(shot({ half: 2, position: { x: 105, y: 68 } }))).toEqual([]);
+        expect(validateShot(shot({ type: 'Hit Woodwork', position: null }))).toEqual([]);
+    });
+
+    it('should reject a bad team, type, half or position', () => {
+        expect(validateShot(shot({ team: 'visitors' }))).toEqual(['team must be home or away, not "visitors"']);
+        expect(validateShot(shot({ type: 'Header' }))).toEqual(['"Header" is not a shot type']);
+        expect(validateShot(shot({ half: '1st Half' }))).toEqual(['half must be 1 or 2, not "1st Half"']);
+        expect(validateShot(shot({ position: { x: 110, y: 34 } }))).toHaveLength(1);
+        expect(validateShot(shot({ position: { x: 50, y: -5 } }))).toHaveLength(1);
+        expect(validateShot(shot({ position: { x: NaN, y: 34 } }))).toHaveLength(1);
+        expect(validateShotLog([shot(), shot({ half: 3 })])).toEqual(['Shot 2: half must be 1 or 2, not "3"']);
+    });
+
+    it('should reject a period or clock time that isn\'t a number', () => {
+        expect(validateShot(shot({ period: 3, clockSeconds: 2750 }))).toEqual([]);
+        expect(validateShot(shot({ period: 'abc' }))).toEqual(['period must be a period number, not "abc"']);
+        expect(validateShot(shot({ clockSeconds: 'ten' }))).toEqual(['clock time must be a number of seconds, not "ten"']);
+
+        const [row] = parseShotsCsv([
+            'date,homeTeam,awayTeam,team,type,half,period,clockSeconds,x,y',
+            '2026-04-05,Eagles,City,home,GOAL!,1,abc,ten,95,30',
+            '2026-04-05,Eagles,City,home,GOAL!,first,,,far,30'
+        ].join('\n'));
+        expect(validateShotLog(row.shot_log)).toEqual([
+            'Shot 1: period must be a period number, not "abc"',
+            'Shot 1: clock time must be a number of seconds, not "ten"',
+            'Shot 2: half must be 1 or 2, not "first"',
+            'Shot 2: period must be a period number, not "first"',
+            'Shot 2: position (far, 30) is off the 105 x 68 field'
+        ]);
+    });
+
+    it('should parse quoted CSV fields, line breaks and a byte order mark', () => {
+        expect(parseCsv('\uFEFFa,b\r\n"x, ""y""","two\nlines"\n\n1,\n')).toEqual([
+            ['a', 'b'],
+            ['x, "y"', 'two\nlines'],
+            ['1', '']
+        ]);
+    });
+
+    it('should read back games from an exported shots CSV', () => {
+        const [row] = parseShotsCsv(buildShotsCsv([GAME]));
+
+        expect(row).toMatchObject({ game_date: '2026-04-05', home_team: 'Eagles', away_team: 'City', shootout: [] });
+        expect(row.home_stats).toMatchObject({ goals: 1, onTarget: 1, offTarget: 0 });
+        expect(row.away_stats).toMatchObject({ goals: 0, offTarget: 1 });
+        expect(row.shot_log[0]).toMatchObject({
+            team: 'home',
+            type: 'GOAL!',
+            half: 2,
+            position: { x: 100, y: 34 },
+            playerName: 'Ava Cole',
+            situation: 'penalty'
+        });
+        expect(row.shot_log[1].position).toBeNull();
+    });
+
+    it('should group CSV rows into games by date and teams without a game id', () => {
+        const csv = [
+            'date,homeTeam,awayTeam,team,type,half,x,y',
+            '2026-04-05,Eagles,City,home,GOAL!,1,95,30',
+            '2026-04-12,Rovers,Eagles,away,Shot On Target,2,,',
+            '2026-04-05,Eagles,City,away,Shot Off Target,2,20,40'
+        ].join('\n');
+        const rows = parseShotsCsv(csv);
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0].shot_log).toHaveLength(2);
+        expect(rows[1].away_stats.onTarget).toBe(1);
+    });
+
+    it('should explain a CSV without the columns it needs', () => {
+        expect(() => parseShotsCsv('date,team\n2026-04-05,home')).toThrow('missing the homeTeam, awayTeam, type, half columns');
+    });
+
+    it('should read the JSON bundle without the old owner and ids', () => {
+        const rows = [{ id: 'g1', user_id: 'u1', team_id: 't1', created_at: 'x', game_date: '2026-04-05', shot_log: [], lineup: { team: 'home' } }];
+        expect(parseGamesBundle(buildGamesBundle(rows))).toEqual([{ game_date: '2026-04-05', shot_log: [], lineup: { team: 'home' } }]);
+
+        expect(() => parseGamesBundle('{ nope')).toThrow('not valid JSON');
+        expect(() => parseGamesBundle('{"games": []}')).toThrow('not a Soccer Shot Tracker games export');
+    });
+
+    it('should import a game deleted before the export as a live game', () => {
+        const rows = [{ id: 'g1', game_date: '2026-04-05', shot_log: [], deleted_at: '2026-04-06T10:00:00.000Z' }];
+        expect(parseGamesBundle(buildGamesBundle(rows))).toEqual([{ game_date: '2026-04-05', shot_log: [] }]);
+    });
+
+    it('should tell JSON and CSV files apart', () => {
+        expect(parseImportFile(buildGamesBundle([{ game_date: '2026-04-05' }]))).toEqual([{ game_date: '2026-04-05' }]);
+        expect(parseImportFile(buildShotsCsv([GAME]))).toHaveLength(1);
+        expect(() => parseImportFile('  ')).toThrow('empty');
+    });
+
+    it('should mark invalid games and games already saved or repeated in the file', () => {
+        const [row] = parseShotsCsv(buildShotsCsv([GAME]));
+        const other = { ...row, game_date: '2026-05-01' };
+        const broken = { ...other, game_date: '2026-05-02', shot_log: [shot({ team: 'nobody' })] };
+        const plan = planImport([row, other, { ...other, home_team: ' eagles ' }, broken], [GAME]);
+
+        expect(plan.map(entry => entry.status)).toEqual([
+            IMPORT_STATUS.DUPLICATE,
+            IMPORT_STATUS.READY,
+            IMPORT_STATUS.DUPLICATE,
+            IMPORT_STATUS.INVALID
+        ]);
+        expect(plan[0].duplicateOf).toBe(GAME);
+        expect(plan[2].duplicateOf).toBeNull();
+        expect(plan[3].errors).toEqual(['Shot 1: team must be home or away, not "nobody"']);
+        expect(planImport([{ game_date: 'soon' }], [])[0].errors).toEqual(
+            expect.arrayContaining(['Missing or invalid date', 'Missing team names', 'Missing team stats', 'Missing shot log'])
+        );
+    });
+
+    it('should pick the importing team\'s side by name, then by the file', () => {
+        const row = { home_team: 'Eagles', away_team: 'City', team_side: 'away' };
+
+        expect(getImportTeamSide(row, 'eagles')).toBe('home');
+        expect(getImportTeamSide(row, 'City')).toBe('away');
+        expect(getImportTeamSide(row, 'Rovers')).toBe('away');
+        expect(getImportTeamSide({ ...row, team_side: null }, 'Rovers')).toBeNull();
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Game Report Tests
+ * Tests for the PDF game report layout (src/gameReport.js)
+ */
+
+import { buildGameReport, getGameReportFileName } from '@/gameReport.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+function toText(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+function pageCount(file) {
+    return Number(file.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+}
+
+const GAME = {
+    id: 'g1',
+    date: '2026-04-05T15:00:00.000Z',
+    homeTeam: 'Eagles',
+    awayTeam: 'City (U12)',
+    homeColor: '#10b981',
+    awayColor: '#3b82f6',
+    home: { goals: 2, onTarget: 4, offTarget: 3 },
+    away: { goals: 1, onTarget: 2, offTarget: 1 },
+    log: [
+        createShot({ type: 'GOAL!', x: 100, y: 34 }),
+        createShot({ type: 'Shot Off Target', x: 70, y: 20 }),
+        { ...createShot({ team: 'away', type: 'GOAL!', x: 5, y: 30 }), endLocation: { x: 0.5, y: 2 } }
+    ],
+    shootout: [],
+    matchEvents: [{ type: 'yellow_card', team: 'away', teamName: 'City (U12)', playerName: 'Sam Lee', gameTime: '12:00', clockSeconds: 720 }],
+    notes: [{ gameTime: '30:00', content: 'Switch to a back four' }]
+};
+
+describe('Game Report', () => {
+    it('should name the file after the date and teams', () => {
+        expect(getGameReportFileName(GAME)).toBe('2026-04-05-eagles-vs-city-u12.pdf');
+        expect(getGameReportFileName({ homeTeam: 'A', awayTeam: 'B' })).toBe('a-vs-b.pdf');
+    });
+
+    it('should lay out every section of a game', () => {
+        const file = toText(buildGameReport(GAME));
+
+        expect(file.startsWith('%PDF-1.4')).toBe(true);
+        ['(Game Report)', '(Statistics)', '(Shot Map)', '(Shot Placement)', '(Shooting Zones)', '(Match Events)', '(Game Notes)']
+            .forEach(title => expect(file).toContain(title));
+        expect(file).toContain('(City \\(U12\\))');
+        expect(file).toContain('(Switch to a back four)');
+        expect(file).toContain(`(Page 1 of ${pageCount(file)})`);
+    });
+
+    it('should leave out sections the game has no data for', () => {
+        const file = toText(buildGameReport({ ...GAME, log: [], matchEvents: [], notes: [] }));
+
+        expect(file).toContain('(Statistics)');
+        expect(file).not.toContain('(Shot Map)');
+        expect(file).not.toContain('(Shooting Zones)');
+        expect(file).not.toContain('(Match Events)');
+        expect(file).not.toContain('(Game Notes)');
+    });
+
+    it('should draw the goal mouth with a dot for each placed shot', () => {
+        const saved = { ...createShot({ type: 'Shot Saved' }), endLocation: { x: 6, y: 1 } };
+        const file = toText(buildGameReport({ ...GAME, log: [...GAME.log, saved] }));
+
+        // Net background, then a filled dot for the goal and a hollow one for the save
+        expect(file).toContain('0.88 0.95 1 rg');
+        expect(file).toMatch(/ rg\n1 1 1 RG\n1 w\n[\d. ]+ m\n[\d. ]+ c\n/);
+        expect(file).toMatch(/1 1 1 rg\n[\d. ]+ RG\n1\.5 w\n[\d. ]+ m\n[\d. ]+ c\n/);
+        expect(toText(buildGameReport({ ...GAME, log: GAME.log.slice(0, 2) }))).not.toContain('0.88 0.95 1 rg');
+    });
+
+    it('should show a shootout result under the score', () => {
+        const shootout = [{ team: 'home', result: 'scored' }, { team: 'away', result: 'missed' }];
+        expect(toText(buildGameReport({ ...GAME, shootout }))).toContain('(1-0 pens)');
+    });
+
+    it('should continue on new pages and number them all', () => {
+        const notes = Array.from({ length: 60 }, (_, i) => ({ gameTime: `${i}:00`, content: `Note ${i}` }));
+        const file = toText(buildGameReport({ ...GAME, notes }));
+        const pages = pageCount(file);
+
+        expect(pages).toBeGreaterThan(1);
+        expect(file).toContain(`(Page ${pages} of ${pages})`);
+        expect(file).toContain('(Note 59)');
+    });
+
+    it('should use the zone grid asked for', () => {
+        expect(toText(buildGameReport(GAME, { zoneGridId: 'simple' }))).toContain('(Outside the box)');
+        expect(toText(buildGameReport(GAME))).toContain('(Long range)');
+    });
+});
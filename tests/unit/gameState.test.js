@@ -0,0 +1,512 @@
+/**
+ * Game State Tests
+ * Tests for the event-sourced game state and undo/redo history (src/gameState.js)
+ */
+
+import {
+    GAME_EVENTS,
+    createEvent,
+    createEventId,
+    createGameState,
+    createLogEntry,
+    deriveGameState,
+    createGameHistory,
+    appendEvent,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    isUndoableEvent,
+    toGameSnapshot
+} from '@/gameState.js';
+
+function pendingShot(overrides = {}) {
+    return {
+        team: 'home',
+        teamName: 'Eagles FC',
+        rawType: 'goal',
+        type: 'GOAL!',
+        half: 1,
+        gameTime: '10:00',
+        clockSeconds: 600,
+        position: { x: 95, y: 34 },
+        ...overrides
+    };
+}
+
+let nextId = 0;
+
+function shotEvent(overrides) {
+    nextId++;
+    return createEvent(GAME_EVENTS.SHOT_RECORDED, { shot: pendingShot(overrides) }, { id: `e${nextId}` });
+}
+
+function historyOf(...events) {
+    return events.reduce(appendEvent, createGameHistory());
+}
+
+function getTotalShotsOf(state) {
+    return state.home.onTarget + state.home.offTarget + state.away.onTarget + state.away.offTarget;
+}
+
+describe('Game State', () => {
+    // =====================================================
+    // EVENTS
+    // =====================================================
+
+    describe('Events', () => {
+        it('should create events with id, type, timestamp and payload', () => {
+            const event = createEvent(GAME_EVENTS.HALF_CHANGED, { half: 2 });
+
+            expect(event.id).toEqual(expect.any(String));
+            expect(event.type).toBe('half_changed');
+            expect(new Date(event.at).toString()).not.toBe('Invalid Date');
+            expect(event.payload).toEqual({ half: 2 });
+        });
+
+        it('should generate distinct ids', () => {
+            const ids = new Set(Array.from({ length: 50 }, () => createEventId()));
+
+            expect(ids.size).toBe(50);
+        });
+
+        it('should only allow undoing scoring, note and shootout events', () => {
+            expect(isUndoableEvent(shotEvent())).toBe(true);
+            expect(isUndoableEvent(createEvent(GAME_EVENTS.NOTE_ADDED, { note: {} }))).toBe(true);
+            expect(isUndoableEvent(createEvent(GAME_EVENTS.SHOOTOUT_KICK_RECORDED, { kick: {} }))).toBe(true);
+            expect(isUndoableEvent(createEvent(GAME_EVENTS.HALF_CHANGED, { half: 2 }))).toBe(false);
+            expect(isUndoableEvent(createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2 }))).toBe(false);
+            expect(isUndoableEvent(createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }))).toBe(false);
+        });
+    });
+
+    // =====================================================
+    // DERIVED STATE
+    // =====================================================
+
+    describe('Derived State', () => {
+        it('should start with zeroed counters and empty log', () => {
+            const state = deriveGameState([]);
+
+            expect(state).toEqual(createGameState());
+            expect(state.home).toEqual({
+                goals: 0, onTarget: 0, offTarget: 0,
+                saved: 0, blocked: 0, woodwork: 0,
+                xg: 0,
+                firstHalf: { goals: 0, onTarget: 0, offTarget: 0 },
+                secondHalf: { goals: 0, onTarget: 0, offTarget: 0 },
+                periods: { 1: { goals: 0, onTarget: 0, offTarget: 0 } }
+            });
+            expect(state.currentHalf).toBe(1);
+            expect(state.currentPeriod).toBe(1);
+        });
+
+        it('should count a goal as a goal and a shot on target', () => {
+            const state = deriveGameState([shotEvent()]);
+
+            expect(state.home.goals).toBe(1);
+            expect(state.home.onTarget).toBe(1);
+            expect(state.home.firstHalf).toEqual({ goals: 1, onTarget: 1, offTarget: 0 });
+            expect(state.away.goals).toBe(0);
+        });
+
+        it('should count blocks and woodwork as off target and keep them apart', () => {
+            const state = deriveGameState([
+                shotEvent({ type: 'Shot Blocked' }),
+                shotEvent({ type: 'Hit Woodwork' }),
+                shotEvent({ type: 'Shot On Target' })
+            ]);
+
+            expect(state.home).toMatchObject({ goals: 0, onTarget: 1, offTarget: 2, saved: 1, blocked: 1, woodwork: 1 });
+        });
+
+        it('should total expected goals per team', () => {
+            const state = deriveGameState([
+                shotEvent({ situation: 'penalty' }),
+                shotEvent({ type: 'Shot Off Target', position: null }),
+                shotEvent({ team: 'away', type: 'Shot Off Target', position: { x: 11, y: 34 } })
+            ]);
+
+            expect(state.home.xg).toBe(0.76);
+            expect(state.away.xg).toBe(0.2);
+        });
+
+        it('should store only the shot tags that were set', () => {
+            const state = deriveGameState([
+                shotEvent({ bodyPart: 'head', situation: 'corner', assistType: 'sideways' })
+            ]);
+
+            expect(state.log[0]).toMatchObject({ bodyPart: 'head', situation: 'corner' });
+            expect(state.log[0]).not.toHaveProperty('assistType');
+        });
+
+        it('should store where the shot ended up only when it was placed', () => {
+            const state = deriveGameState([
+                shotEvent({ endLocation: { x: 0.5, y: 2.2 } }),
+                shotEvent({ type: 'Shot Off Target' })
+            ]);
+
+            expect(state.log[1].endLocation).toEqual({ x: 0.5, y: 2.2 });
+            expect(state.log[0]).not.toHaveProperty('endLocation');
+        });
+
+        it('should update shot tags when a shot is edited', () => {
+            const recorded = shotEvent({ bodyPart: 'head' });
+            const state = deriveGameState([
+                recorded,
+                createEvent(GAME_EVENTS.SHOT_EDITED, {
+                    shotId: recorded.id,
+                    changes: { type: 'Hit Woodwork', bodyPart: 'left_foot', situation: 'free_kick' }
+                })
+            ]);
+
+            expect(state.log[0]).toMatchObject({ type: 'Hit Woodwork', bodyPart: 'left_foot', situation: 'free_kick' });
+            expect(state.home).toMatchObject({ goals: 0, offTarget: 1, woodwork: 1 });
+        });
+
+        it('should split counters by half', () => {
+            const state = deriveGameState([
+                shotEvent({ team: 'away', type: 'Shot On Target', half: 2 }),
+                shotEvent({ team: 'away', type: 'Shot Off Target', half: 2 }),
+                shotEvent({ team: 'away', type: 'Shot Off Target', half: 1 })
+            ]);
+
+            expect(state.away.onTarget).toBe(1);
+            expect(state.away.offTarget).toBe(2);
+            expect(state.away.secondHalf).toEqual({ goals: 0, onTarget: 1, offTarget: 1 });
+            expect(state.away.firstHalf).toEqual({ goals: 0, onTarget: 0, offTarget: 1 });
+        });
+
+        it('should list shots newest first with the event id', () => {
+            const first = shotEvent({ gameTime: '05:00' });
+            const second = shotEvent({ gameTime: '12:00' });
+            const state = deriveGameState([first, second]);
+
+            expect(state.log.map(e => e.gameTime)).toEqual(['12:00', '05:00']);
+            expect(state.log[0].id).toBe(second.id);
+        });
+
+        it('should keep the scorer on goal entries', () => {
+            const state = deriveGameState([shotEvent({ playerId: 'p1', playerName: 'Alex Smith' })]);
+
+            expect(state.log[0].playerId).toBe('p1');
+            expect(state.log[0].playerName).toBe('Alex Smith');
+        });
+
+        it('should recount after a shot type is edited', () => {
+            const shot = shotEvent({ type: 'GOAL!' });
+            const state = deriveGameState([
+                shot,
+                createEvent(GAME_EVENTS.SHOT_EDITED, { shotId: shot.id, changes: { type: 'Shot On Target' } })
+            ]);
+
+            expect(state.home.goals).toBe(0);
+            expect(state.home.onTarget).toBe(1);
+            expect(state.log[0].id).toBe(shot.id);
+        });
+
+        it('should drop deleted shots from the log and counters', () => {
+            const kept = shotEvent({ type: 'Shot Off Target' });
+            const deleted = shotEvent();
+            const state = deriveGameState([
+                kept,
+                deleted,
+                createEvent(GAME_EVENTS.SHOT_DELETED, { shotId: deleted.id })
+            ]);
+
+            expect(state.log).toHaveLength(1);
+            expect(state.log[0].id).toBe(kept.id);
+            expect(state.home.goals).toBe(0);
+            expect(state.home.offTarget).toBe(1);
+        });
+
+        it('should add notes newest first', () => {
+            const state = deriveGameState([
+                createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Kick off' } }),
+                createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Sub on' } })
+            ]);
+
+            expect(state.notes.map(n => n.content)).toEqual(['Sub on', 'Kick off']);
+        });
+
+        it('should apply note edits and deletions', () => {
+            const kickOff = createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Kick off', half: 1 } });
+            const subOn = createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Sub on' } });
+            const state = deriveGameState([
+                kickOff,
+                subOn,
+                createEvent(GAME_EVENTS.NOTE_EDITED, { noteId: kickOff.id, changes: { content: 'Kick off, wind behind us' } }),
+                createEvent(GAME_EVENTS.NOTE_DELETED, { noteId: subOn.id })
+            ]);
+
+            expect(state.notes).toEqual([{ id: kickOff.id, content: 'Kick off, wind behind us', half: 1 }]);
+        });
+
+        it('should record match events newest first and keep them out of the shot stats', () => {
+            const state = deriveGameState([
+                createEvent(GAME_EVENTS.MATCH_EVENT_RECORDED, {
+                    matchEvent: { type: 'corner', team: 'home', teamName: 'Eagles FC', half: 1, gameTime: '03:00', clockSeconds: 180 }
+                }),
+                createEvent(GAME_EVENTS.MATCH_EVENT_RECORDED, {
+                    matchEvent: { type: 'yellow_card', team: 'away', half: 1, gameTime: '12:00', playerId: 'p9', playerName: 'Sam Lee', playerOnName: '' }
+                })
+            ]);
+
+            expect(state.matchEvents.map(e => e.type)).toEqual(['yellow_card', 'corner']);
+            expect(state.matchEvents[0]).toMatchObject({ team: 'away', period: 1, displayTime: '12:00', playerName: 'Sam Lee' });
+            expect(state.matchEvents[0]).not.toHaveProperty('playerOnName');
+            expect(getTotalShotsOf(state)).toBe(0);
+        });
+
+        it('should delete match events', () => {
+            const recorded = createEvent(GAME_EVENTS.MATCH_EVENT_RECORDED, { matchEvent: { type: 'foul', team: 'home', half: 1 } });
+            const state = deriveGameState([
+                recorded,
+                createEvent(GAME_EVENTS.MATCH_EVENT_DELETED, { matchEventId: recorded.id })
+            ]);
+
+            expect(state.matchEvents).toEqual([]);
+            expect(isUndoableEvent(recorded)).toBe(true);
+        });
+
+        it('should track the current half and clock', () => {
+            let state = deriveGameState([
+                createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }),
+                createEvent(GAME_EVENTS.CLOCK_PAUSED, { seconds: 2700 }),
+                createEvent(GAME_EVENTS.HALF_CHANGED, { half: 2 }),
+                createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 2700 })
+            ]);
+
+            expect(state.currentHalf).toBe(2);
+            expect(state.clock).toMatchObject({ isRunning: true, seconds: 2700 });
+            expect(typeof state.clock.startedAt).toBe('number');
+
+            state = deriveGameState([createEvent(GAME_EVENTS.CLOCK_RESET)]);
+            expect(state.clock).toEqual({ isRunning: false, seconds: 0, startedAt: null });
+        });
+
+        it('should note where on the clock each period started', () => {
+            const kickOff = Date.parse('2024-03-15T10:00:00.000Z');
+            const at = seconds => ({ at: new Date(kickOff + seconds * 1000).toISOString() });
+
+            let state = deriveGameState([
+                createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }, at(0)),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2 }, at(2820))
+            ]);
+            expect(state.periodStartSeconds).toBe(2820);
+
+            state = deriveGameState([
+                createEvent(GAME_EVENTS.CLOCK_PAUSED, { seconds: 2820 }),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2, clockSeconds: 2700 }),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2, clockSeconds: 2900 })
+            ]);
+            expect(state.periodStartSeconds).toBe(2700);
+
+            state = deriveGameState([
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2, clockSeconds: 2700 }),
+                createEvent(GAME_EVENTS.CLOCK_RESET)
+            ]);
+            expect(state.periodStartSeconds).toBe(0);
+        });
+
+        it('should count shots per period and list every period entered', () => {
+            const state = deriveGameState([
+                shotEvent({ period: 1, half: 1 }),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 1 }),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 3, half: 2 }),
+                shotEvent({ period: 3, half: 2, type: 'Shot Off Target' })
+            ]);
+
+            expect(state.currentPeriod).toBe(3);
+            expect(state.currentHalf).toBe(2);
+            expect(state.periodsPlayed).toEqual([1, 2, 3]);
+            expect(state.home.periods).toEqual({
+                1: { goals: 1, onTarget: 1, offTarget: 0 },
+                2: { goals: 0, onTarget: 0, offTarget: 0 },
+                3: { goals: 0, onTarget: 0, offTarget: 1 }
+            });
+            expect(state.home.firstHalf.goals).toBe(1);
+            expect(state.home.secondHalf.offTarget).toBe(1);
+        });
+
+        it('should keep the field half when entering the shootout', () => {
+            const state = deriveGameState([
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 2, half: 2 }),
+                createEvent(GAME_EVENTS.PERIOD_CHANGED, { period: 3, half: null })
+            ]);
+
+            expect(state.currentPeriod).toBe(3);
+            expect(state.currentHalf).toBe(2);
+        });
+
+        it('should treat half changes from older games as periods', () => {
+            const state = deriveGameState([
+                createEvent(GAME_EVENTS.HALF_CHANGED, { half: 2 }),
+                shotEvent({ half: 2 })
+            ]);
+
+            expect(state.currentPeriod).toBe(2);
+            expect(state.log[0].period).toBe(2);
+            expect(state.home.periods[2].goals).toBe(1);
+        });
+
+        it('should keep shootout kicks out of the shot counters', () => {
+            const state = deriveGameState([
+                shotEvent(),
+                createEvent(GAME_EVENTS.SHOOTOUT_KICK_RECORDED, { kick: { team: 'home', result: 'scored' } }),
+                createEvent(GAME_EVENTS.SHOOTOUT_KICK_RECORDED, { kick: { team: 'away', result: 'saved' } })
+            ]);
+
+            expect(state.shootout.map(k => k.team)).toEqual(['home', 'away']);
+            expect(state.shootout[0].id).toEqual(expect.any(String));
+            expect(state.home.goals).toBe(1);
+            expect(state.log).toHaveLength(1);
+        });
+
+        it('should ignore unknown events and teams', () => {
+            const state = deriveGameState([
+                createEvent('unknown', {}),
+                shotEvent({ team: 'neutral' })
+            ]);
+
+            expect(state.home.goals).toBe(0);
+            expect(state.away.goals).toBe(0);
+        });
+    });
+
+    // =====================================================
+    // LOG ENTRIES
+    // =====================================================
+
+    describe('Log Entries', () => {
+        it('should derive the stored label from the raw type', () => {
+            const entry = createLogEntry(pendingShot({ type: undefined, rawType: 'off-target' }), 'x');
+
+            expect(entry.type).toBe('Shot Off Target');
+        });
+
+        it('should store a null position when the location was skipped', () => {
+            const entry = createLogEntry(pendingShot({ position: undefined }), 'x');
+
+            expect(entry.position).toBeNull();
+        });
+
+        it('should omit player fields when player tracking was not used', () => {
+            const entry = createLogEntry(pendingShot(), 'x');
+
+            expect(entry).not.toHaveProperty('playerId');
+        });
+
+        it('should keep the assist only when one was picked', () => {
+            const assisted = createLogEntry(pendingShot({ playerId: 'p1', playerName: 'Alex Smith', assistPlayerId: 'p2', assistPlayerName: 'Sam Lee' }), 'x');
+            const unassisted = createLogEntry(pendingShot({ playerId: 'p1', assistPlayerId: null }), 'y');
+
+            expect(assisted.assistPlayerId).toBe('p2');
+            expect(assisted.assistPlayerName).toBe('Sam Lee');
+            expect(unassisted).not.toHaveProperty('assistPlayerId');
+        });
+    });
+
+    // =====================================================
+    // UNDO / REDO
+    // =====================================================
+
+    describe('Undo and Redo', () => {
+        it('should undo multiple steps and redo them in order', () => {
+            const a = shotEvent({ gameTime: '01:00' });
+            const b = shotEvent({ gameTime: '02:00' });
+            const c = shotEvent({ gameTime: '03:00' });
+            let history = historyOf(a, b, c);
+
+            history = undo(undo(history));
+            expect(deriveGameState(history.events).log.map(e => e.gameTime)).toEqual(['01:00']);
+            expect(canRedo(history)).toBe(true);
+
+            history = redo(history);
+            expect(deriveGameState(history.events).log.map(e => e.gameTime)).toEqual(['02:00', '01:00']);
+
+            history = redo(history);
+            expect(history.events).toEqual([a, b, c]);
+            expect(canRedo(history)).toBe(false);
+        });
+
+        it('should restore a deleted shot when the delete is undone', () => {
+            const shot = shotEvent();
+            let history = historyOf(shot, createEvent(GAME_EVENTS.SHOT_DELETED, { shotId: shot.id }));
+            expect(deriveGameState(history.events).home.goals).toBe(0);
+
+            history = undo(history);
+            expect(deriveGameState(history.events).home.goals).toBe(1);
+        });
+
+        it('should skip clock and half events when undoing', () => {
+            const shot = shotEvent();
+            const half = createEvent(GAME_EVENTS.HALF_CHANGED, { half: 2 });
+            const history = undo(historyOf(shot, half));
+
+            expect(history.events).toEqual([half]);
+            expect(deriveGameState(history.events).currentHalf).toBe(2);
+        });
+
+        it('should clear redo when a new action is recorded', () => {
+            let history = undo(historyOf(shotEvent()));
+            expect(canRedo(history)).toBe(true);
+
+            history = appendEvent(history, createEvent(GAME_EVENTS.CLOCK_PAUSED, { seconds: 10 }));
+            expect(canRedo(history)).toBe(true);
+
+            history = appendEvent(history, shotEvent());
+            expect(canRedo(history)).toBe(false);
+        });
+
+        it('should do nothing when there is nothing to undo or redo', () => {
+            const history = historyOf(createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }));
+
+            expect(canUndo(history)).toBe(false);
+            expect(undo(history)).toBe(history);
+            expect(redo(history)).toBe(history);
+        });
+
+        it('should not mutate the previous history', () => {
+            const before = historyOf(shotEvent());
+            const after = undo(before);
+
+            expect(before.events).toHaveLength(1);
+            expect(after).not.toBe(before);
+        });
+    });
+
+    // =====================================================
+    // SNAPSHOTS
+    // =====================================================
+
+    describe('Snapshots', () => {
+        it('should include the events and derived stats blocks', () => {
+            const history = historyOf(
+                shotEvent({ half: 2 }),
+                createEvent(GAME_EVENTS.NOTE_ADDED, { note: { content: 'Great save' } })
+            );
+
+            const snapshot = toGameSnapshot(history);
+
+            expect(snapshot.events).toBe(history.events);
+            expect(snapshot.home).toEqual({
+                goals: 1, onTarget: 1, offTarget: 0,
+                saved: 0, blocked: 0, woodwork: 0,
+                xg: 0.24,
+                firstHalf: { goals: 0, onTarget: 0, offTarget: 0 },
+                secondHalf: { goals: 1, onTarget: 1, offTarget: 0 },
+                periods: {
+                    1: { goals: 0, onTarget: 0, offTarget: 0 },
+                    2: { goals: 1, onTarget: 1, offTarget: 0 }
+                }
+            });
+            expect(snapshot.log).toHaveLength(1);
+            expect(snapshot.notes[0].content).toBe('Great save');
+            expect(snapshot.shootout).toEqual([]);
+            expect(snapshot.matchEvents).toEqual([]);
+            expect(snapshot.currentHalf).toBe(1);
+            expect(snapshot.currentPeriod).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Goal Mouth Tests
+ * Tests for shot end locations and placement zones (src/goalMouth.js)
+ */
+
+import {
+    GOAL_MOUTH_WIDTH,
+    GOAL_MOUTH_HEIGHT,
+    PLACEMENT_ZONE_KEYS,
+    hasEndLocation,
+    clampToGoalMouth,
+    isInsideFrame,
+    getPlacementZone,
+    getPlacementLabel,
+    countPlacements,
+    describePlacementCounts
+} from '@/goalMouth.js';
+
+describe('Goal Mouth', () => {
+    it('should require numeric end coordinates', () => {
+        expect(hasEndLocation({ endLocation: { x: 1, y: 1 } })).toBe(true);
+        expect(hasEndLocation({ endLocation: { x: NaN, y: 1 } })).toBe(false);
+        expect(hasEndLocation({ endLocation: null })).toBe(false);
+        expect(hasEndLocation(null)).toBe(false);
+    });
+
+    it('should keep taps inside the diagram', () => {
+        expect(clampToGoalMouth(-5, -1)).toEqual({ x: -2, y: 0 });
+        expect(clampToGoalMouth(20, 9)).toEqual({ x: GOAL_MOUTH_WIDTH + 2, y: GOAL_MOUTH_HEIGHT + 1 });
+        expect(clampToGoalMouth(3, 1)).toEqual({ x: 3, y: 1 });
+    });
+
+    it('should tell when a shot ended inside the frame', () => {
+        expect(isInsideFrame({ x: 0, y: 0 })).toBe(true);
+        expect(isInsideFrame({ x: GOAL_MOUTH_WIDTH, y: GOAL_MOUTH_HEIGHT })).toBe(true);
+        expect(isInsideFrame({ x: -0.1, y: 1 })).toBe(false);
+        expect(isInsideFrame({ x: 3, y: 2.5 })).toBe(false);
+    });
+
+    it('should split the frame into thirds and halves', () => {
+        expect(getPlacementZone({ x: 0.3, y: 2.2 })).toBe('top_left');
+        expect(getPlacementZone({ x: 3.66, y: 0.2 })).toBe('low_center');
+        expect(getPlacementZone({ x: 3.66, y: 1.5 })).toBe('top_center');
+        expect(getPlacementZone({ x: 7, y: 0.5 })).toBe('low_right');
+        expect(getPlacementZone({ x: 6, y: 2 })).toBe('top_right');
+    });
+
+    it('should place misses wide or over', () => {
+        expect(getPlacementZone({ x: -1, y: 0.5 })).toBe('wide_left');
+        expect(getPlacementZone({ x: 8, y: 1 })).toBe('wide_right');
+        expect(getPlacementZone({ x: 3, y: 3 })).toBe('over');
+        expect(getPlacementZone({ x: 9, y: 3 })).toBe('wide_right');
+    });
+
+    it('should label zones', () => {
+        expect(getPlacementLabel('top_left')).toBe('Top Left');
+        expect(getPlacementLabel('over')).toBe('Over the Bar');
+        expect(getPlacementLabel('unknown')).toBe('unknown');
+    });
+
+    it('should count shots and goals per zone', () => {
+        const counts = countPlacements([
+            { type: 'GOAL!', endLocation: { x: 0.5, y: 2 } },
+            { type: 'Shot On Target', endLocation: { x: 0.6, y: 2.1 } },
+            { type: 'Shot Off Target', endLocation: { x: 4, y: 3 } },
+            { type: 'Shot Off Target' }
+        ]);
+
+        expect(Object.keys(counts)).toEqual(PLACEMENT_ZONE_KEYS);
+        expect(counts.top_left).toEqual({ shots: 2, goals: 1 });
+        expect(counts.over).toEqual({ shots: 1, goals: 0 });
+        expect(counts.low_center).toEqual({ shots: 0, goals: 0 });
+    });
+
+    it('should describe the zones a team\'s shots went to', () => {
+        expect(describePlacementCounts([
+            { type: 'GOAL!', endLocation: { x: 0.5, y: 2 } },
+            { type: 'Shot On Target', endLocation: { x: 0.6, y: 2.1 } },
+            { type: 'Shot Off Target', endLocation: { x: 4, y: 3 } }
+        ])).toBe('Top Left 2 (1 goal), Over the Bar 1');
+        expect(describePlacementCounts([])).toBe('');
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Heat Map Grid Tests
+ * Tests for the density grid shared by the live and history heat maps (src/heatMap.js)
+ */
+
+import {
+    HEAT_MAP_DEFAULTS,
+    prepareHeatMapPoints,
+    flippedTransform,
+    halfNormalizedTransform,
+    attackingRightTransform,
+    getShotWeight,
+    buildHeatMapGrid
+} from '@/heatMap.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+describe('Heat Map Grid', () => {
+    // =====================================================
+    // POINT PREPARATION
+    // =====================================================
+
+    describe('Point Preparation', () => {
+        it('should drop off-target shots outside the attacking half', () => {
+            const shots = [
+                createShot({ type: 'Shot Off Target', x: 40, y: 34 }),
+                createShot({ type: 'Shot Off Target', x: 80, y: 34 }),
+                createShot({ type: 'Shot On Target', x: 40, y: 34 })
+            ];
+
+            const points = prepareHeatMapPoints(shots);
+
+            expect(points).toHaveLength(2);
+            expect(points.map(p => p.x)).toEqual([80, 40]);
+        });
+
+        it('should mirror all shots when the field sides are flipped', () => {
+            const shots = [createShot({ x: 10, y: 20 })];
+
+            expect(prepareHeatMapPoints(shots, flippedTransform(true))[0]).toMatchObject({ x: 95, y: 48 });
+            expect(prepareHeatMapPoints(shots, flippedTransform(false))[0]).toMatchObject({ x: 10, y: 20 });
+        });
+
+        it('should mirror only second-half shots for history maps', () => {
+            const first = { ...createShot({ x: 10, y: 20 }), half: 1 };
+            const second = { ...createShot({ x: 10, y: 20 }), half: 2 };
+
+            const points = prepareHeatMapPoints([first, second], halfNormalizedTransform);
+
+            expect(points[0]).toMatchObject({ x: 10, y: 20 });
+            expect(points[1]).toMatchObject({ x: 95, y: 48 });
+        });
+
+        it('should keep off-target shots from either end when combining games', () => {
+            const left = { ...createShot({ x: 10, y: 20 }), type: 'Shot Off Target', attackingRight: false };
+            const right = { ...createShot({ x: 95, y: 48 }), type: 'Shot Off Target', attackingRight: true };
+
+            const points = prepareHeatMapPoints([left, right], attackingRightTransform);
+
+            expect(points).toHaveLength(2);
+            expect(points[0]).toMatchObject({ x: 95, y: 48 });
+        });
+    });
+
+    // =====================================================
+    // SHOT WEIGHTS
+    // =====================================================
+
+    describe('Shot Weights', () => {
+        it('should boost clustered on-target shots in the penalty box', () => {
+            const points = [
+                { x: 95, y: 34, type: 'GOAL!' },
+                { x: 96, y: 35, type: 'Shot On Target' }
+            ];
+
+            expect(getShotWeight(points[0], 0, points)).toBeCloseTo(HEAT_MAP_DEFAULTS.penaltyBoxMultiplier);
+        });
+
+        it('should reduce isolated shots', () => {
+            const points = [{ x: 70, y: 34, type: 'GOAL!' }];
+
+            expect(getShotWeight(points[0], 0, points)).toBeCloseTo(HEAT_MAP_DEFAULTS.isolatedShotMultiplier);
+        });
+
+        it('should give off-target shots a lower weight and no box boost', () => {
+            const points = [
+                { x: 95, y: 34, type: 'Shot Off Target' },
+                { x: 96, y: 35, type: 'Shot Off Target' }
+            ];
+
+            expect(getShotWeight(points[0], 0, points)).toBeCloseTo(HEAT_MAP_DEFAULTS.offTargetWeight);
+        });
+    });
+
+    // =====================================================
+    // DENSITY GRID
+    // =====================================================
+
+    describe('Density Grid', () => {
+        it('should size the grid to cover the field', () => {
+            const { rows, cols, gridSize } = buildHeatMapGrid([]);
+
+            expect(gridSize).toBe(3);
+            expect(cols).toBe(35);
+            expect(rows).toBe(23);
+        });
+
+        it('should report zero density for no shots', () => {
+            expect(buildHeatMapGrid([]).maxDensity).toBe(0);
+        });
+
+        it('should peak in the cell nearest the shots', () => {
+            const points = [
+                { x: 94.5, y: 34.5, type: 'GOAL!' },
+                { x: 94.5, y: 34.5, type: 'GOAL!' }
+            ];
+
+            const { grid, maxDensity } = buildHeatMapGrid(points);
+
+            // Cell (row 11, col 31) is centred on (94.5, 34.5)
+            expect(grid[11][31]).toBe(maxDensity);
+            expect(grid[0][0]).toBe(0);
+        });
+
+        it('should accept parameter overrides', () => {
+            const { cols, rows } = buildHeatMapGrid([], { gridSize: 5 });
+
+            expect(cols).toBe(21);
+            expect(rows).toBe(14);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Live Game Tests
+ * Tests for merging a live game recorded on several devices (src/liveGame.js)
+ */
+
+import {
+    compareEvents,
+    getNextSeq,
+    mergeRemovals,
+    mergeLiveGame,
+    needsLiveSync,
+    mergeRemoteLiveGame,
+    recordOwnEvent,
+    canUndoOwn,
+    undoOwnEvent,
+    redoOwnEvent,
+    readLiveGameState
+} from '@/liveGame.js';
+import { GAME_EVENTS, createEvent, createGameHistory, deriveGameState } from '@/gameState.js';
+
+function shot(team, at, type = 'GOAL!') {
+    return createEvent(GAME_EVENTS.SHOT_RECORDED, {
+        shot: { team, teamName: team === 'home' ? 'Eagles' : 'City', type, half: 1, gameTime: '10:00', clockSeconds: 600 }
+    }, { at });
+}
+
+function record(history, event, deviceId) {
+    return recordOwnEvent(history, event, deviceId);
+}
+
+// Both touchlines start from the same kick off and record one shot each
+function twoDevices() {
+    const kickOff = record(createGameHistory(), createEvent(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }, { at: '2026-04-05T10:00:00.000Z' }), 'a');
+    return {
+        a: record(kickOff, shot('home', '2026-04-05T10:05:00.000Z'), 'a'),
+        b: record(mergeRemoteLiveGame(createGameHistory(), kickOff), shot('away', '2026-04-05T10:04:00.000Z'), 'b')
+    };
+}
+
+describe('Live Game', () => {
+    it('should stamp events with the device and the next sequence number', () => {
+        const history = record(createGameHistory([shot('home', '2026-04-05T10:00:00.000Z')]), shot('away', '2026-04-05T10:01:00.000Z'), 'a');
+
+        expect(history.events[1]).toMatchObject({ by: 'a', seq: 1 });
+        expect(getNextSeq(history)).toBe(2);
+        expect(getNextSeq({ events: [], redoStack: [], removals: { x: { undone: true, seq: 7 } } })).toBe(8);
+    });
+
+    it('should merge both devices\' shots the same way in either order', () => {
+        const { a, b } = twoDevices();
+        const onA = mergeLiveGame(a, b);
+        const onB = mergeLiveGame(b, a);
+
+        expect(onA).toEqual(onB);
+        expect(mergeLiveGame(onA, b)).toEqual(onA);
+        expect(deriveGameState(onA.events)).toMatchObject({ home: { goals: 1 }, away: { goals: 1 } });
+        // Same sequence number: the earlier shot comes first
+        expect(onA.events.map(event => event.payload.shot?.team)).toEqual([undefined, 'away', 'home']);
+    });
+
+    it('should keep an edit after the shot it edits when the device clock is behind', () => {
+        const { a } = twoDevices();
+        const shotId = a.events[1].id;
+        const edited = record(a, createEvent(GAME_EVENTS.SHOT_EDITED, { shotId, changes: { type: 'Shot Saved' } }, { at: '2026-04-05T09:00:00.000Z' }), 'b');
+
+        expect(edited.events.map(event => event.type)).toEqual([GAME_EVENTS.CLOCK_STARTED, GAME_EVENTS.SHOT_RECORDED, GAME_EVENTS.SHOT_EDITED]);
+        expect(deriveGameState(edited.events).home.goals).toBe(0);
+        expect([...edited.events].reverse().sort(compareEvents)).toEqual(edited.events);
+    });
+
+    it('should only undo this device\'s own entries', () => {
+        const { a, b } = twoDevices();
+        const merged = mergeRemoteLiveGame(a, b);
+        const undone = undoOwnEvent(merged, 'b');
+
+        expect(undone.events.some(event => event.by === 'b' && event.type === GAME_EVENTS.SHOT_RECORDED)).toBe(false);
+        expect(undone.events.filter(event => event.type === GAME_EVENTS.SHOT_RECORDED)).toHaveLength(1);
+        expect(canUndoOwn(undone, 'b')).toBe(false);
+        expect(canUndoOwn(undone, 'a')).toBe(true);
+        // Events from before shared games belong to whoever has them
+        expect(canUndoOwn(createGameHistory([shot('home', '2026-04-05T10:00:00.000Z')]), 'b')).toBe(true);
+    });
+
+    it('should not bring back an undone shot from another device\'s older copy', () => {
+        const { a, b } = twoDevices();
+        const shared = mergeRemoteLiveGame(b, a);
+        const undone = undoOwnEvent(shared, 'b');
+
+        const onA = mergeRemoteLiveGame(mergeRemoteLiveGame(a, shared), undone);
+        expect(deriveGameState(onA.events).away.goals).toBe(0);
+
+        const redone = redoOwnEvent(undone);
+        expect(redone.events).toEqual(shared.events);
+        expect(deriveGameState(mergeLiveGame(onA, redone).events).away.goals).toBe(1);
+    });
+
+    it('should keep the latest mark per event, with an undo winning a tie', () => {
+        expect(mergeRemovals({ s1: { undone: true, seq: 3 } }, { s1: { undone: false, seq: 5 }, s2: { undone: true, seq: 1 } }))
+            .toEqual({ s1: { undone: false, seq: 5 }, s2: { undone: true, seq: 1 } });
+        expect(mergeRemovals({ s1: { undone: false, seq: 2 } }, { s1: { undone: true, seq: 2 } })).toEqual({ s1: { undone: true, seq: 2 } });
+    });
+
+    it('should tell when the stored copy is missing entries or marks', () => {
+        const { a, b } = twoDevices();
+        const merged = mergeLiveGame(a, b);
+
+        expect(needsLiveSync(b, merged)).toBe(true);
+        expect(needsLiveSync(merged, merged)).toBe(false);
+        expect(needsLiveSync(null, { events: [], removals: {} })).toBe(false);
+
+        const undone = undoOwnEvent(mergeRemoteLiveGame(a, merged), 'a');
+        expect(needsLiveSync(merged, mergeLiveGame(undone, merged))).toBe(true);
+    });
+
+    it('should rebuild the score and log of a stored game from its events', () => {
+        const { a, b } = twoDevices();
+        const stored = { ...mergeLiveGame(a, b), home: { goals: 1 }, away: { goals: 0 }, log: [], gameId: 'g1', startedAt: '2026-04-05T09:55:00.000Z' };
+        const state = readLiveGameState(stored);
+
+        expect(state.home.goals).toBe(1);
+        expect(state.away.goals).toBe(1);
+        expect(state.log).toHaveLength(2);
+        expect(state).toMatchObject({ removals: {}, gameId: 'g1', startedAt: '2026-04-05T09:55:00.000Z' });
+        expect(readLiveGameState({ log: [] })).toEqual({ log: [] });
+    });
+});
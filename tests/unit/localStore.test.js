@@ -0,0 +1,109 @@
+/**
+ * Local Store Tests
+ * Tests for the IndexedDB key-value wrapper and its memory fallback (src/localStore.js)
+ */
+
+import { jest } from '@jest/globals';
+import { openLocalStore, createMemoryStore, STORE_NAME } from '@/localStore.js';
+
+// Minimal IDBFactory stand-in: one database with out-of-line keys
+function createFakeIndexedDB() {
+    const stores = new Map();
+
+    const respond = (result) => {
+        const request = { result };
+        setTimeout(() => request.onsuccess && request.onsuccess());
+        return request;
+    };
+
+    const db = {
+        objectStoreNames: { contains: name => stores.has(name) },
+        createObjectStore: name => stores.set(name, new Map()),
+        transaction: name => ({
+            objectStore: () => {
+                const data = stores.get(name);
+                return {
+                    get: key => respond(data.get(key)),
+                    put: (value, key) => { data.set(key, value); return respond(key); },
+                    delete: key => { data.delete(key); return respond(undefined); }
+                };
+            }
+        })
+    };
+
+    return {
+        open: () => {
+            const request = { result: db };
+            setTimeout(() => {
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        },
+        stores
+    };
+}
+
+describe('Local Store', () => {
+    // =====================================================
+    // MEMORY FALLBACK
+    // =====================================================
+
+    describe('Memory Fallback', () => {
+        it('should be used when IndexedDB is not available', async () => {
+            const store = await openLocalStore(undefined);
+
+            expect(store.persistent).toBe(false);
+        });
+
+        it('should be used when IndexedDB fails to open', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const failing = {
+                open: () => {
+                    const request = { error: new Error('blocked') };
+                    setTimeout(() => request.onerror());
+                    return request;
+                }
+            };
+
+            const store = await openLocalStore(failing);
+
+            expect(store.persistent).toBe(false);
+            console.error.mockRestore();
+        });
+
+        it('should store copies of values', async () => {
+            const store = createMemoryStore();
+            const value = { events: [1, 2] };
+
+            await store.set('game', value);
+            value.events.push(3);
+
+            expect(await store.get('game')).toEqual({ events: [1, 2] });
+            expect(await store.get('missing')).toBeUndefined();
+
+            await store.remove('game');
+            expect(await store.get('game')).toBeUndefined();
+        });
+    });
+
+    // =====================================================
+    // INDEXEDDB
+    // =====================================================
+
+    describe('IndexedDB', () => {
+        it('should create the object store and read back values', async () => {
+            const idb = createFakeIndexedDB();
+            const store = await openLocalStore(idb);
+
+            expect(store.persistent).toBe(true);
+            expect(idb.stores.has(STORE_NAME)).toBe(true);
+
+            await store.set('currentGame', { events: [] });
+            expect(await store.get('currentGame')).toEqual({ events: [] });
+
+            await store.remove('currentGame');
+            expect(await store.get('currentGame')).toBeUndefined();
+        });
+    });
+});
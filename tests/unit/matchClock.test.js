@@ -0,0 +1,145 @@
+/**
+ * Match Clock Tests
+ * Tests for timestamp-based elapsed time, period lengths and stoppage time (src/matchClock.js)
+ */
+
+import {
+    CLOCK_MODES,
+    DEFAULT_CLOCK_CONFIG,
+    normalizeClockConfig,
+    formatClock,
+    getElapsedSeconds,
+    getPeriodLength,
+    getPeriodStartTime,
+    getClockReading
+} from '@/matchClock.js';
+
+const HALVES = { format: 'halves', extraTime: true, shootout: true };
+const QUARTERS = { format: 'quarters' };
+const NINETY = { periodMinutes: 45, extraTimeMinutes: 15 };
+
+describe('Match Clock', () => {
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    describe('Configuration', () => {
+        it('should default to a plain count-up clock', () => {
+            expect(normalizeClockConfig(undefined)).toEqual(DEFAULT_CLOCK_CONFIG);
+        });
+
+        it('should ignore lengths that are not positive numbers', () => {
+            expect(normalizeClockConfig({ mode: 'sideways', periodMinutes: '20', extraTimeMinutes: 0 })).toEqual({
+                mode: CLOCK_MODES.COUNT_UP,
+                periodMinutes: 20,
+                extraTimeMinutes: null
+            });
+            expect(normalizeClockConfig({ mode: CLOCK_MODES.COUNT_DOWN, periodMinutes: '' }).periodMinutes).toBeNull();
+        });
+
+        it('should format minutes and seconds', () => {
+            expect(formatClock(0)).toBe('00:00');
+            expect(formatClock(2745)).toBe('45:45');
+            expect(formatClock(6000)).toBe('100:00');
+        });
+    });
+
+    // =====================================================
+    // ELAPSED TIME
+    // =====================================================
+
+    describe('Elapsed Time', () => {
+        const startedAt = Date.parse('2024-03-15T10:00:00.000Z');
+
+        it('should add the time since the clock was started', () => {
+            const clock = { isRunning: true, seconds: 600, startedAt };
+
+            expect(getElapsedSeconds(clock, startedAt + 90500)).toBe(690);
+        });
+
+        it('should keep counting across a long gap such as a sleeping tab', () => {
+            const clock = { isRunning: true, seconds: 0, startedAt };
+
+            expect(getElapsedSeconds(clock, startedAt + 20 * 60 * 1000)).toBe(1200);
+        });
+
+        it('should stay put when paused or when the device clock is behind', () => {
+            expect(getElapsedSeconds({ isRunning: false, seconds: 600, startedAt: null }, startedAt)).toBe(600);
+            expect(getElapsedSeconds({ isRunning: true, seconds: 600, startedAt }, startedAt - 5000)).toBe(600);
+            expect(getElapsedSeconds({ isRunning: true, seconds: 600 })).toBe(600);
+        });
+    });
+
+    // =====================================================
+    // PERIODS
+    // =====================================================
+
+    describe('Periods', () => {
+        it('should give regulation and extra time their own lengths', () => {
+            expect(getPeriodLength(HALVES, NINETY, 1)).toBe(2700);
+            expect(getPeriodLength(HALVES, NINETY, 3)).toBe(900);
+            expect(getPeriodLength(HALVES, NINETY, 5)).toBeNull();
+            expect(getPeriodLength(HALVES, { periodMinutes: 45 }, 3)).toBeNull();
+        });
+
+        it('should start each period where the earlier ones end', () => {
+            expect(getPeriodStartTime(HALVES, NINETY, 1)).toBe(0);
+            expect(getPeriodStartTime(HALVES, NINETY, 2)).toBe(2700);
+            expect(getPeriodStartTime(HALVES, NINETY, 4)).toBe(6300);
+            expect(getPeriodStartTime(QUARTERS, { periodMinutes: 12 }, 3)).toBe(1440);
+        });
+
+        it('should not know the start when an earlier period has no length', () => {
+            expect(getPeriodStartTime(HALVES, DEFAULT_CLOCK_CONFIG, 2)).toBeNull();
+            expect(getPeriodStartTime(QUARTERS, { periodMinutes: 12 }, 9)).toBeNull();
+            expect(getPeriodStartTime(QUARTERS, DEFAULT_CLOCK_CONFIG, 1)).toBe(0);
+        });
+    });
+
+    // =====================================================
+    // READINGS
+    // =====================================================
+
+    describe('Readings', () => {
+        it('should count up from the period kick-off time', () => {
+            const reading = getClockReading(2700 + 125 + 30, {
+                period: 2,
+                periodStartSeconds: 2730,
+                periodConfig: HALVES,
+                clockConfig: NINETY
+            });
+
+            expect(reading).toMatchObject({ periodSeconds: 125, expired: false, display: '47:05', minute: "48'" });
+        });
+
+        it('should count down the time left in the period', () => {
+            const reading = getClockReading(600, {
+                periodConfig: QUARTERS,
+                clockConfig: { mode: CLOCK_MODES.COUNT_DOWN, periodMinutes: 12 }
+            });
+
+            expect(reading.display).toBe('02:00');
+            expect(reading.minute).toBe("11'");
+        });
+
+        it('should show stoppage time once the period is up', () => {
+            const firstHalf = getClockReading(2700 + 70, { periodConfig: HALVES, clockConfig: NINETY });
+            expect(firstHalf).toMatchObject({ expired: true, stoppageSeconds: 70, display: '45+2', minute: "45+2'" });
+
+            const secondHalf = getClockReading(5500, {
+                period: 2,
+                periodStartSeconds: 2780,
+                periodConfig: HALVES,
+                clockConfig: { ...NINETY, mode: CLOCK_MODES.COUNT_DOWN }
+            });
+            expect(secondHalf.display).toBe('90+1');
+        });
+
+        it('should fall back to the running total without a period length', () => {
+            const reading = getClockReading(3000, { period: 2, periodStartSeconds: 2700, periodConfig: HALVES });
+
+            expect(reading).toMatchObject({ length: null, expired: false, display: '50:00', minute: "51'" });
+            expect(getClockReading(0).display).toBe('00:00');
+        });
+    });
+});
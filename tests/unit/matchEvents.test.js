@@ -0,0 +1,101 @@
+/**
+ * Match Event Tests
+ * Tests for card, substitution, corner, foul and offside helpers (src/matchEvents.js)
+ */
+
+import {
+    MATCH_EVENT_TYPES,
+    isMatchEventType,
+    getMatchEventLabel,
+    getMatchEventCountLabel,
+    namesPlayers,
+    createMatchEventCounts,
+    countMatchEvents,
+    describeMatchEventPlayers,
+    getNotableMatchEvents,
+    mergeGameLog
+} from '@/matchEvents.js';
+
+const { YELLOW_CARD, RED_CARD, SUBSTITUTION, CORNER, FOUL, OFFSIDE } = MATCH_EVENT_TYPES;
+
+describe('Match Events', () => {
+    it('should label event types and count keys', () => {
+        expect(getMatchEventLabel(YELLOW_CARD)).toBe('Yellow Card');
+        expect(getMatchEventLabel(OFFSIDE)).toBe('Offside');
+        expect(getMatchEventLabel('throw_in')).toBe('throw_in');
+        expect(getMatchEventCountLabel('redCards')).toBe('Red Cards');
+        expect(getMatchEventCountLabel('corners')).toBe('Corners');
+        expect(getMatchEventCountLabel('throwIns')).toBe('throwIns');
+    });
+
+    it('should recognize event types and which name players', () => {
+        expect(isMatchEventType(FOUL)).toBe(true);
+        expect(isMatchEventType('goal')).toBe(false);
+        expect(namesPlayers(RED_CARD)).toBe(true);
+        expect(namesPlayers(SUBSTITUTION)).toBe(true);
+        expect(namesPlayers(CORNER)).toBe(false);
+    });
+
+    it('should count events per team', () => {
+        const events = [
+            { type: CORNER, team: 'home' },
+            { type: CORNER, team: 'home' },
+            { type: FOUL, team: 'away' },
+            { type: YELLOW_CARD, team: 'home' },
+            { type: SUBSTITUTION, team: 'home' },
+            { type: 'throw_in', team: 'home' }
+        ];
+
+        expect(countMatchEvents(events, 'home')).toEqual({
+            ...createMatchEventCounts(),
+            corners: 2,
+            yellowCards: 1,
+            substitutions: 1
+        });
+        expect(countMatchEvents(events, 'away').fouls).toBe(1);
+        expect(countMatchEvents(undefined, 'home')).toEqual(createMatchEventCounts());
+    });
+
+    it('should describe the players involved', () => {
+        expect(describeMatchEventPlayers({ type: YELLOW_CARD, playerName: 'Sam Lee' })).toBe('Sam Lee');
+        expect(describeMatchEventPlayers({ type: SUBSTITUTION, playerOffName: 'Sam Lee', playerOnName: 'Ava Cole' }))
+            .toBe('Off: Sam Lee, On: Ava Cole');
+        expect(describeMatchEventPlayers({ type: SUBSTITUTION, playerOnName: 'Ava Cole' })).toBe('On: Ava Cole');
+        expect(describeMatchEventPlayers({ type: CORNER })).toBe('');
+    });
+
+    it('should list cards and substitutions in clock order', () => {
+        const notable = getNotableMatchEvents([
+            { type: SUBSTITUTION, clockSeconds: 3000 },
+            { type: CORNER, clockSeconds: 100 },
+            { type: RED_CARD, clockSeconds: 1200 },
+            { type: YELLOW_CARD }
+        ]);
+
+        expect(notable.map(event => event.type)).toEqual([YELLOW_CARD, RED_CARD, SUBSTITUTION]);
+        expect(getNotableMatchEvents(undefined)).toEqual([]);
+    });
+
+    it('should merge shots and events newest first by clock time', () => {
+        const shots = [
+            { id: 's2', clockSeconds: 900 },
+            { id: 's1', clockSeconds: 300 }
+        ];
+        const events = [
+            { id: 'e2', clockSeconds: 900 },
+            { id: 'e1', clockSeconds: 600 }
+        ];
+
+        const merged = mergeGameLog(shots, events);
+
+        expect(merged.map(item => item.entry.id)).toEqual(['s2', 'e2', 'e1', 's1']);
+        expect(merged[3]).toMatchObject({ kind: 'shot', index: 1 });
+        expect(merged[2]).toMatchObject({ kind: 'event', index: 1 });
+    });
+
+    it('should merge entries without a clock time at kick-off', () => {
+        const merged = mergeGameLog([{ id: 's1' }], undefined);
+
+        expect(merged).toEqual([{ kind: 'shot', entry: { id: 's1' }, index: 0 }]);
+    });
+});
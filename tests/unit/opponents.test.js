@@ -0,0 +1,108 @@
+/**
+ * Opponents Tests
+ * Tests for opponent matching, aliases and head-to-head records (src/opponents.js)
+ */
+
+import {
+    normalizeOpponentName,
+    parseAliases,
+    findOpponent,
+    getGameOpponentName,
+    getOpponentGames,
+    getUnlistedOpponentNames,
+    getHeadToHead
+} from '@/opponents.js';
+
+const LIONS = { id: 'o1', name: 'Lions FC', color: '#f59e0b', aliases: ['Lions', 'Lions Academy'] };
+const CITY = { id: 'o2', name: 'City', color: '#3b82f6', aliases: [] };
+
+function game(id, homeTeam, awayTeam, homeGoals, awayGoals, extra = {}) {
+    return {
+        id,
+        date: `2026-05-${String(id.slice(1)).padStart(2, '0')}`,
+        homeTeam,
+        awayTeam,
+        home: { goals: homeGoals, onTarget: homeGoals + 1, offTarget: 2 },
+        away: { goals: awayGoals, onTarget: awayGoals + 1, offTarget: 1 },
+        ...extra
+    };
+}
+
+const GAMES = [
+    game('g1', 'Eagles', 'Lions FC', 2, 1, { opponentId: 'o1' }),
+    game('g2', 'lions', 'Eagles', 3, 0),
+    game('g3', 'Eagles', 'City', 1, 1),
+    game('g4', 'Eagles', 'Rovers', 0, 0),
+    game('g5', 'Rovers', 'Eagles', 1, 2),
+    game('g6', 'Eagles', 'Lions Reserves', 4, 0, { opponentId: 'o1' })
+];
+
+describe('Opponents', () => {
+    it('should ignore case, punctuation and spacing in names', () => {
+        expect(normalizeOpponentName('  Lions   F.C. ')).toBe('lions fc');
+        expect(normalizeOpponentName('São Paulo')).toBe('são paulo');
+        expect(normalizeOpponentName(null)).toBe('');
+    });
+
+    it('should parse a comma-separated alias list', () => {
+        expect(parseAliases('Lions, lions academy,  , LIONS ACADEMY, Lions FC', 'Lions FC'))
+            .toEqual(['Lions', 'lions academy']);
+        expect(parseAliases('')).toEqual([]);
+    });
+
+    it('should find an opponent by name or alias', () => {
+        expect(findOpponent([LIONS, CITY], 'lions')).toBe(LIONS);
+        expect(findOpponent([LIONS, CITY], 'Lions F.C.')).toBe(LIONS);
+        expect(findOpponent([LIONS, CITY], 'city')).toBe(CITY);
+        expect(findOpponent([LIONS, CITY], 'Rovers')).toBeNull();
+        expect(findOpponent([LIONS], '')).toBeNull();
+    });
+
+    it('should take the opponent from the other side of the game', () => {
+        expect(getGameOpponentName(GAMES[0], 'Eagles')).toBe('Lions FC');
+        expect(getGameOpponentName(GAMES[1], 'Eagles')).toBe('lions');
+        expect(getGameOpponentName({ ...GAMES[1], teamSide: 'home' }, 'Eagles')).toBe('Eagles');
+    });
+
+    it('should collect linked meetings and older games by name or alias', () => {
+        expect(getOpponentGames(GAMES, LIONS, 'Eagles').map(g => g.id)).toEqual(['g1', 'g2', 'g6']);
+        // A game linked to another opponent doesn't count, whatever it's called
+        expect(getOpponentGames([game('g7', 'Eagles', 'Lions', 0, 0, { opponentId: 'o2' })], LIONS, 'Eagles')).toEqual([]);
+    });
+
+    it('should list opponent names not yet in the directory', () => {
+        expect(getUnlistedOpponentNames(GAMES, [LIONS, CITY], 'Eagles')).toEqual([{ name: 'Rovers', games: 2 }]);
+        expect(getUnlistedOpponentNames(GAMES, [], 'Eagles').map(entry => entry.name))
+            .toEqual(['Rovers', 'City', 'lions']);
+    });
+
+    it('should total the head-to-head record across meetings', () => {
+        const record = getHeadToHead(GAMES, LIONS, 'Eagles');
+
+        expect(record).toMatchObject({
+            games: 3,
+            wins: 2,
+            draws: 0,
+            losses: 1,
+            goalsFor: 6,
+            goalsAgainst: 4,
+            shotsFor: 5 + 2 + 7,
+            shotsAgainst: 3 + 6 + 2
+        });
+        expect(record.meetings[1]).toEqual({
+            gameId: 'g2',
+            date: '2026-05-02',
+            venue: 'away',
+            goalsFor: 0,
+            goalsAgainst: 3,
+            shotsFor: 2,
+            shotsAgainst: 6,
+            result: 'L'
+        });
+    });
+
+    it('should have an empty record against an opponent never played', () => {
+        expect(getHeadToHead(GAMES, { id: 'o9', name: 'United', aliases: [] }, 'Eagles'))
+            .toMatchObject({ games: 0, wins: 0, goalsFor: 0, meetings: [] });
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Sync Outbox Tests
+ * Tests for queuing, coalescing and replaying offline writes (src/outbox.js)
+ */
+
+import { jest } from '@jest/globals';
+import {
+    OUTBOX_OPERATIONS,
+    createEmptyOutbox,
+    createOperation,
+    enqueueOperation,
+    isPermanentError,
+    flushOperations,
+    createOutbox
+} from '@/outbox.js';
+import { createMemoryStore, STORE_KEYS } from '@/localStore.js';
+
+const { INSERT_GAME, UPSERT_ACTIVE_GAME, DELETE_ACTIVE_GAME } = OUTBOX_OPERATIONS;
+
+function networkError() {
+    return new TypeError('Failed to fetch');
+}
+
+function rejectedError() {
+    return { code: '42501', message: 'new row violates row-level security policy' };
+}
+
+describe('Sync Outbox', () => {
+    // =====================================================
+    // QUEUEING
+    // =====================================================
+
+    describe('Queueing', () => {
+        it('should create operations with ids and zero attempts', () => {
+            const op = createOperation(INSERT_GAME, { game: { id: 'g1' } }, 0);
+
+            expect(op.id).toEqual(expect.any(String));
+            expect(op.type).toBe(INSERT_GAME);
+            expect(op.createdAt).toBe('1970-01-01T00:00:00.000Z');
+            expect(op.attempts).toBe(0);
+            expect(createOperation(INSERT_GAME, {}).id).not.toBe(op.id);
+        });
+
+        it('should keep every saved game in order', () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'g1' } }));
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'g2' } }));
+
+            expect(outbox.pending.map(op => op.payload.game.id)).toEqual(['g1', 'g2']);
+        });
+
+        it('should keep only the latest live update per team', () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(UPSERT_ACTIVE_GAME, { teamId: 't1', row: { v: 1 } }));
+            outbox = enqueueOperation(outbox, createOperation(UPSERT_ACTIVE_GAME, { teamId: 't2', row: { v: 1 } }));
+            outbox = enqueueOperation(outbox, createOperation(UPSERT_ACTIVE_GAME, { teamId: 't1', row: { v: 2 } }));
+
+            expect(outbox.pending).toHaveLength(2);
+            expect(outbox.pending[1].payload).toEqual({ teamId: 't1', row: { v: 2 } });
+        });
+
+        it('should let a delete replace pending updates for the team', () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: {} }));
+            outbox = enqueueOperation(outbox, createOperation(UPSERT_ACTIVE_GAME, { teamId: 't1', row: {} }));
+            outbox = enqueueOperation(outbox, createOperation(DELETE_ACTIVE_GAME, { teamId: 't1' }));
+
+            expect(outbox.pending.map(op => op.type)).toEqual([INSERT_GAME, DELETE_ACTIVE_GAME]);
+        });
+    });
+
+    // =====================================================
+    // REPLAY
+    // =====================================================
+
+    describe('Replay', () => {
+        it('should treat coded Supabase errors as permanent', () => {
+            expect(isPermanentError(rejectedError())).toBe(true);
+            expect(isPermanentError(networkError())).toBe(false);
+            expect(isPermanentError({ code: '', message: 'FetchError' })).toBe(false);
+            expect(isPermanentError(null)).toBe(false);
+        });
+
+        it('should send everything in order when online', async () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'g1' } }));
+            outbox = enqueueOperation(outbox, createOperation(DELETE_ACTIVE_GAME, { teamId: 't1' }));
+            const send = jest.fn().mockResolvedValue(undefined);
+
+            const result = await flushOperations(outbox, send);
+
+            expect(send.mock.calls.map(([op]) => op.type)).toEqual([INSERT_GAME, DELETE_ACTIVE_GAME]);
+            expect(result.sent).toBe(2);
+            expect(result.outbox.pending).toHaveLength(0);
+            expect(result.networkError).toBeNull();
+        });
+
+        it('should stop at a network failure and keep the rest queued', async () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'g1' } }));
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'g2' } }));
+            const send = jest.fn().mockRejectedValue(networkError());
+
+            const result = await flushOperations(outbox, send);
+
+            expect(send).toHaveBeenCalledTimes(1);
+            expect(result.sent).toBe(0);
+            expect(result.outbox.pending).toHaveLength(2);
+            expect(result.outbox.pending[0].attempts).toBe(1);
+            expect(result.outbox.pending[0].lastError).toBe('Failed to fetch');
+            expect(result.networkError).toBeInstanceOf(TypeError);
+        });
+
+        it('should move rejected writes aside and continue', async () => {
+            let outbox = createEmptyOutbox();
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'bad' } }));
+            outbox = enqueueOperation(outbox, createOperation(INSERT_GAME, { game: { id: 'good' } }));
+            const send = jest.fn()
+                .mockRejectedValueOnce(rejectedError())
+                .mockResolvedValueOnce(undefined);
+
+            const result = await flushOperations(outbox, send);
+
+            expect(result.sent).toBe(1);
+            expect(result.outbox.pending).toHaveLength(0);
+            expect(result.outbox.failed).toHaveLength(1);
+            expect(result.outbox.failed[0].payload.game.id).toBe('bad');
+        });
+    });
+
+    // =====================================================
+    // PERSISTED OUTBOX
+    // =====================================================
+
+    describe('Persisted Outbox', () => {
+        it('should survive a reload', async () => {
+            const store = createMemoryStore();
+            const first = createOutbox(store);
+            await first.load();
+            await first.enqueue(INSERT_GAME, { game: { id: 'g1' } });
+
+            const second = createOutbox(store);
+            await second.load();
+
+            expect(second.pendingCount).toBe(1);
+            expect((await store.get(STORE_KEYS.OUTBOX)).pending[0].payload.game.id).toBe('g1');
+        });
+
+        it('should report the status of an operation', async () => {
+            const outbox = createOutbox(createMemoryStore());
+            await outbox.load();
+            const ok = await outbox.enqueue(INSERT_GAME, { game: { id: 'ok' } });
+            const bad = await outbox.enqueue(INSERT_GAME, { game: { id: 'bad' } });
+
+            expect(outbox.getStatus(ok.id)).toBe('pending');
+
+            await outbox.flush(async op => {
+                if (op.id === bad.id) throw rejectedError();
+            });
+
+            expect(outbox.getStatus(ok.id)).toBe('sent');
+            expect(outbox.getStatus(bad.id)).toBe('failed');
+            expect(outbox.failedCount).toBe(1);
+            expect(outbox.getFailed(bad.id).lastError).toBe(rejectedError().message);
+
+            await outbox.discardFailed(bad.id);
+            expect(outbox.failedCount).toBe(0);
+            expect(outbox.getFailed(bad.id)).toBeNull();
+        });
+
+        it('should keep operations queued while a flush is running', async () => {
+            const outbox = createOutbox(createMemoryStore());
+            await outbox.load();
+            await outbox.enqueue(INSERT_GAME, { game: { id: 'g1' } });
+
+            let release;
+            const sent = [];
+            const send = op => {
+                sent.push(op.payload.game.id);
+                return op.payload.game.id === 'g1' ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+            };
+
+            const firstRun = outbox.flush(send);
+            await outbox.enqueue(INSERT_GAME, { game: { id: 'g2' } });
+            const secondRun = outbox.flush(send);
+
+            release();
+            await firstRun;
+            await secondRun;
+
+            expect(sent).toEqual(['g1', 'g2']);
+            expect(outbox.pendingCount).toBe(0);
+        });
+    });
+});
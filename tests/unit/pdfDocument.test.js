@@ -0,0 +1,95 @@
+/**
+ * PDF Document Tests
+ * Tests for the PDF writer, text metrics and wrapping (src/pdfDocument.js)
+ */
+
+import {
+    PAGE_SIZES,
+    measureText,
+    wrapText,
+    createPdfDocument
+} from '@/pdfDocument.js';
+
+function toText(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+describe('PDF Document', () => {
+    it('should measure Helvetica text', () => {
+        expect(measureText('Hello', 10)).toBeCloseTo(22.78);
+        expect(measureText('Hello', 10, true)).toBeCloseTo(24.45);
+        expect(measureText('', 12)).toBe(0);
+    });
+
+    it('should wrap between words and on newlines', () => {
+        expect(wrapText('one two three four', measureText('three four', 10), 10)).toEqual(['one two', 'three four']);
+        expect(wrapText('first\nsecond', 500, 10)).toEqual(['first', 'second']);
+        expect(wrapText('unbreakable', 5, 10)).toEqual(['unbreakable']);
+        expect(wrapText('', 100, 10)).toEqual(['']);
+    });
+
+    it('should write a file whose cross-reference table points at each object', () => {
+        const doc = createPdfDocument({ title: 'Report (draft)' });
+        doc.addPage();
+        doc.rect(10, 10, 100, 50, { fill: '#2d8a4e', stroke: '#ffffff' });
+        doc.addPage();
+        doc.circle(50, 50, 10, { fill: '#3b82f6', opacity: 0.5 });
+        const file = toText(doc.output());
+
+        expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(file.trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(file).toContain('/Count 2');
+        expect(file).toContain('/Title (Report \\(draft\\))');
+        expect(file).toContain('/ca 0.5');
+
+        const xrefOffset = Number(file.match(/startxref\n(\d+)/)[1]);
+        expect(file.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const offsets = [...file.slice(xrefOffset).matchAll(/(\d{10}) 00000 n /g)].map(match => Number(match[1]));
+        offsets.forEach((offset, i) => {
+            expect(file.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+        });
+    });
+
+    it('should give each content stream its exact length', () => {
+        const doc = createPdfDocument();
+        doc.addPage();
+        doc.text('Shots (total)', 36, 50, { size: 12, bold: true });
+        const file = toText(doc.output());
+        const [, length] = file.match(/<< \/Length (\d+) >>\nstream\n/);
+        const start = file.indexOf('stream\n') + 'stream\n'.length;
+
+        expect(file.slice(start + Number(length), start + Number(length) + 10)).toBe('\nendstream');
+    });
+
+    it('should place text from the top-left corner of the page', () => {
+        const doc = createPdfDocument();
+        doc.addPage();
+        doc.text('Right', 200, 100, { size: 10, align: 'right' });
+        const file = toText(doc.output());
+
+        expect(PAGE_SIZES.LETTER).toEqual({ width: 612, height: 792 });
+        expect(file).toContain(`${Math.round((200 - measureText('Right', 10)) * 100) / 100} 692 Td`);
+        expect(file).toContain('(Right) Tj');
+    });
+
+    it('should encode text for the standard fonts', () => {
+        const doc = createPdfDocument();
+        doc.addPage();
+        doc.text('Olé – 3 · 1 ★ \\', 0, 0);
+        const file = toText(doc.output());
+
+        expect(file).toContain('(Ol\xe9 \x96 3 \xb7 1 ? \\\\) Tj');
+    });
+
+    it('should add to an earlier page after later ones exist', () => {
+        const doc = createPdfDocument();
+        doc.addPage();
+        doc.addPage();
+        doc.setPage(0);
+        doc.text('Page 1 of 2', 0, 10);
+
+        expect(doc.pageCount).toBe(2);
+        const file = toText(doc.output());
+        expect(file.indexOf('(Page 1 of 2)')).toBeLessThan(file.lastIndexOf('/Type /Page '));
+    });
+});
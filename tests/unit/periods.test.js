@@ -0,0 +1,132 @@
+/**
+ * Match Period Tests
+ * Tests for period formats, labels and per-period breakdowns (src/periods.js)
+ */
+
+import {
+    PERIOD_FORMATS,
+    PERIOD_TYPES,
+    DEFAULT_PERIOD_CONFIG,
+    normalizePeriodConfig,
+    getPeriods,
+    getPeriod,
+    getNextPeriod,
+    isShootoutPeriod,
+    getBreakdownTitle,
+    getShotPeriod,
+    getPeriodBreakdown
+} from '@/periods.js';
+
+const TOURNAMENT = { format: PERIOD_FORMATS.HALVES, extraTime: true, shootout: true };
+const YOUTH = { format: PERIOD_FORMATS.QUARTERS };
+
+describe('Match Periods', () => {
+    // =====================================================
+    // CONFIGURATION
+    // =====================================================
+
+    describe('Configuration', () => {
+        it('should default to two halves with no extra time or shootout', () => {
+            expect(normalizePeriodConfig(undefined)).toEqual(DEFAULT_PERIOD_CONFIG);
+            expect(normalizePeriodConfig({ format: 'thirds', extraTime: 1 })).toEqual({
+                format: PERIOD_FORMATS.HALVES,
+                extraTime: true,
+                shootout: false
+            });
+        });
+
+        it('should list two halves by default', () => {
+            const periods = getPeriods();
+
+            expect(periods.map(p => p.label)).toEqual(['1st Half', '2nd Half']);
+            expect(periods.map(p => p.half)).toEqual([1, 2]);
+        });
+
+        it('should list four quarters with sides switching at half time', () => {
+            const periods = getPeriods(YOUTH);
+
+            expect(periods.map(p => p.shortLabel)).toEqual(['Q1', 'Q2', 'Q3', 'Q4']);
+            expect(periods.map(p => p.half)).toEqual([1, 1, 2, 2]);
+            expect(periods[2].label).toBe('3rd Quarter');
+        });
+
+        it('should add extra time and a shootout after regulation', () => {
+            const periods = getPeriods(TOURNAMENT);
+
+            expect(periods.map(p => p.shortLabel)).toEqual(['1st', '2nd', 'ET1', 'ET2', 'PKs']);
+            expect(periods.map(p => p.number)).toEqual([1, 2, 3, 4, 5]);
+            expect(periods[2].type).toBe(PERIOD_TYPES.EXTRA_TIME);
+            expect(periods[4].half).toBeNull();
+        });
+
+        it('should number extra time after quarters', () => {
+            const periods = getPeriods({ ...YOUTH, extraTime: true });
+
+            expect(periods[4]).toMatchObject({ number: 5, shortLabel: 'ET1', half: 1 });
+            expect(periods[5]).toMatchObject({ number: 6, shortLabel: 'ET2', half: 2 });
+        });
+    });
+
+    // =====================================================
+    // LOOKUPS
+    // =====================================================
+
+    describe('Lookups', () => {
+        it('should find a period and the one after it', () => {
+            expect(getPeriod(TOURNAMENT, 3).label).toBe('Extra Time 1');
+            expect(getNextPeriod(TOURNAMENT, 4).type).toBe(PERIOD_TYPES.SHOOTOUT);
+            expect(getNextPeriod(TOURNAMENT, 5)).toBeNull();
+        });
+
+        it('should describe periods outside the configuration', () => {
+            expect(getPeriod(DEFAULT_PERIOD_CONFIG, 3)).toMatchObject({ label: 'Period 3', half: 2 });
+        });
+
+        it('should recognize the shootout period', () => {
+            expect(isShootoutPeriod(TOURNAMENT, 5)).toBe(true);
+            expect(isShootoutPeriod(TOURNAMENT, 2)).toBe(false);
+        });
+
+        it('should title breakdowns after the format', () => {
+            expect(getBreakdownTitle(DEFAULT_PERIOD_CONFIG)).toBe('By Half');
+            expect(getBreakdownTitle(YOUTH)).toBe('By Quarter');
+            expect(getBreakdownTitle(TOURNAMENT)).toBe('By Period');
+        });
+
+        it('should fall back to the half for shots recorded before periods', () => {
+            expect(getShotPeriod({ half: 2 })).toBe(2);
+            expect(getShotPeriod({ half: 1, period: 3 })).toBe(3);
+        });
+    });
+
+    // =====================================================
+    // BREAKDOWNS
+    // =====================================================
+
+    describe('Breakdowns', () => {
+        it('should list the periods that were played with their stats', () => {
+            const rows = getPeriodBreakdown({
+                periods: {
+                    2: { goals: 0, onTarget: 1, offTarget: 0 },
+                    1: { goals: 1, onTarget: 2, offTarget: 1 },
+                    5: { goals: 0, onTarget: 0, offTarget: 0 }
+                }
+            }, TOURNAMENT);
+
+            expect(rows.map(r => r.shortLabel)).toEqual(['1st', '2nd']);
+            expect(rows[0].stats).toEqual({ goals: 1, onTarget: 2, offTarget: 1 });
+        });
+
+        it('should use the half buckets of older games', () => {
+            const rows = getPeriodBreakdown({ firstHalf: { goals: 2, onTarget: 3, offTarget: 1 } });
+
+            expect(rows.map(r => r.label)).toEqual(['1st Half', '2nd Half']);
+            expect(rows[1].stats).toEqual({ goals: 0, onTarget: 0, offTarget: 0 });
+        });
+
+        it('should return nothing when there is no breakdown', () => {
+            expect(getPeriodBreakdown({ goals: 1, onTarget: 1, offTarget: 0 })).toEqual([]);
+            expect(getPeriodBreakdown(null)).toEqual([]);
+        });
+    });
+});
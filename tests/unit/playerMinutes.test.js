@@ -0,0 +1,91 @@
+/**
+ * Player Minutes Tests
+ * Tests for lineups, substitutions and minutes played (src/playerMinutes.js)
+ */
+
+import {
+    getOnPitchPlayerIds,
+    computePlayerMinutes,
+    aggregatePlayerMinutes
+} from '@/playerMinutes.js';
+
+const LINEUP = [
+    { id: 'p1', name: 'Ava Cole', number: 1 },
+    { id: 'p2', name: 'Sam Lee', number: 7 },
+    { id: 'p3', name: 'Mia Park', number: 9 }
+];
+
+function sub(clockSeconds, playerOffId, playerOnId, extra = {}) {
+    return { type: 'substitution', team: 'home', clockSeconds, playerOffId, playerOnId, ...extra };
+}
+
+describe('Player Minutes', () => {
+    it('should give starters the whole game without substitutions', () => {
+        const minutes = computePlayerMinutes(LINEUP, [], 'home', 3600);
+
+        expect(Object.keys(minutes)).toEqual(['p1', 'p2', 'p3']);
+        expect(minutes.p2).toEqual({ playerId: 'p2', name: 'Sam Lee', number: 7, started: true, seconds: 3600, minutes: 60 });
+    });
+
+    it('should split time at a substitution', () => {
+        const minutes = computePlayerMinutes(LINEUP, [
+            sub(1500, 'p3', 'p4', { playerOnName: 'Leo Diaz' })
+        ], 'home', 3600);
+
+        expect(minutes.p3.minutes).toBe(25);
+        expect(minutes.p4).toMatchObject({ name: 'Leo Diaz', started: false, seconds: 2100, minutes: 35 });
+    });
+
+    it('should add up separate spells for a player who comes back on', () => {
+        const minutes = computePlayerMinutes(LINEUP, [
+            // Newest first, as match events are stored
+            sub(2400, 'p4', 'p3'),
+            sub(1200, 'p3', 'p4')
+        ], 'home', 3000);
+
+        expect(minutes.p3.seconds).toBe(1200 + 600);
+        expect(minutes.p4.seconds).toBe(1200);
+        expect(minutes.p4.name).toBeNull();
+    });
+
+    it('should stop the clock for a player sent off', () => {
+        const minutes = computePlayerMinutes(LINEUP, [
+            { type: 'red_card', team: 'home', clockSeconds: 1800, playerId: 'p1' }
+        ], 'home', 3600);
+
+        expect(minutes.p1.minutes).toBe(30);
+        expect(getOnPitchPlayerIds(LINEUP, [
+            { type: 'red_card', team: 'home', clockSeconds: 1800, playerId: 'p1' }
+        ], 'home')).toEqual(['p2', 'p3']);
+    });
+
+    it('should ignore the other team and substitutions without players', () => {
+        const events = [
+            sub(600, 'p1', 'p9', { team: 'away' }),
+            sub(900, null, null),
+            sub(1000, 'p2', 'p3')
+        ];
+
+        expect(getOnPitchPlayerIds(LINEUP, events, 'home')).toEqual(['p1', 'p3']);
+        expect(computePlayerMinutes(LINEUP, events, 'home', 0).p1.seconds).toBe(0);
+    });
+
+    it('should have no minutes without a lineup', () => {
+        expect(computePlayerMinutes(undefined, undefined, 'home', 3600)).toEqual({});
+        expect(getOnPitchPlayerIds([], [], 'home')).toEqual([]);
+    });
+
+    it('should total minutes, games and starts over a season', () => {
+        const season = aggregatePlayerMinutes([
+            { playerMinutes: computePlayerMinutes(LINEUP, [sub(1800, 'p3', 'p4', { playerOnName: 'Leo Diaz' })], 'home', 3600) },
+            { playerMinutes: computePlayerMinutes(LINEUP.slice(0, 2), [], 'home', 3600) },
+            {}
+        ]);
+
+        // Ties on minutes sort by name
+        expect(season.map(p => p.playerId)).toEqual(['p1', 'p2', 'p4', 'p3']);
+        expect(season[0]).toMatchObject({ name: 'Ava Cole', minutes: 120, games: 2, starts: 2 });
+        expect(season[2]).toMatchObject({ name: 'Leo Diaz', minutes: 30, games: 1, starts: 0 });
+        expect(season[3]).toMatchObject({ name: 'Mia Park', minutes: 30, starts: 1 });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Player Stats Tests
+ * Tests for per-player shots, goals, assists and xG (src/playerStats.js)
+ */
+
+import {
+    aggregatePlayerShotStats,
+    sortPlayerStats,
+    getPlayerShots,
+    getPlayerGameLog
+} from '@/playerStats.js';
+import { PENALTY_XG } from '@/xg.js';
+
+function shot(type, playerId, extra = {}) {
+    return { team: 'home', type, playerId, playerName: playerId && `Player ${playerId}`, ...extra };
+}
+
+describe('Player Stats', () => {
+    it('should count shots, shots on target and goals per player', () => {
+        const [player] = aggregatePlayerShotStats([{
+            log: [
+                shot('GOAL!', 'p1'),
+                shot('Shot On Target', 'p1'),
+                shot('Shot Blocked', 'p1'),
+                shot('Shot Off Target', 'p1')
+            ]
+        }]);
+
+        expect(player).toMatchObject({
+            playerId: 'p1',
+            name: 'Player p1',
+            games: 1,
+            shots: 4,
+            onTarget: 2,
+            goals: 1,
+            assists: 0,
+            accuracy: 50
+        });
+    });
+
+    it('should credit assists on goals only', () => {
+        const stats = aggregatePlayerShotStats([{
+            log: [
+                shot('GOAL!', 'p1', { assistPlayerId: 'p2', assistPlayerName: 'Sam Lee' }),
+                shot('Shot On Target', 'p1', { assistPlayerId: 'p2', assistPlayerName: 'Sam Lee' })
+            ]
+        }]);
+
+        const assister = stats.find(player => player.playerId === 'p2');
+        expect(assister).toMatchObject({ name: 'Sam Lee', shots: 0, assists: 1, games: 1, accuracy: 0 });
+    });
+
+    it('should total xG only for shots that can be valued', () => {
+        const stats = aggregatePlayerShotStats([{
+            log: [
+                shot('GOAL!', 'p1', { situation: 'penalty' }),
+                shot('Shot Off Target', 'p1'),
+                shot('Shot Off Target', 'p2')
+            ]
+        }]);
+
+        expect(stats.find(player => player.playerId === 'p1').xg).toBe(PENALTY_XG);
+        expect(stats.find(player => player.playerId === 'p2').xg).toBeNull();
+    });
+
+    it('should count games played across a season', () => {
+        const stats = aggregatePlayerShotStats([
+            { log: [shot('GOAL!', 'p1'), shot('GOAL!', 'p1')] },
+            { log: [shot('Shot Off Target', 'p1')] },
+            { log: [shot('Shot Off Target', null)] },
+            {}
+        ]);
+
+        expect(stats).toHaveLength(1);
+        expect(stats[0]).toMatchObject({ games: 2, shots: 3, goals: 2 });
+    });
+
+    it('should rank by goals, then assists, then shots', () => {
+        const stats = aggregatePlayerShotStats([{
+            log: [
+                shot('GOAL!', 'p3'),
+                shot('Shot Off Target', 'p1'),
+                shot('Shot Off Target', 'p1'),
+                shot('Shot Off Target', 'p2'),
+                shot('GOAL!', 'p4', { assistPlayerId: 'p2' })
+            ]
+        }]);
+
+        expect(stats.map(player => player.playerId)).toEqual(['p3', 'p4', 'p2', 'p1']);
+    });
+
+    it('should return nothing without games', () => {
+        expect(aggregatePlayerShotStats(undefined)).toEqual([]);
+    });
+
+    it('should sort the leaderboard by goals, shots or accuracy', () => {
+        const players = [
+            { playerId: 'a', name: 'Ava', goals: 3, shots: 10, accuracy: 40 },
+            { playerId: 'b', name: 'Ben', goals: 1, shots: 12, accuracy: 25 },
+            { playerId: 'c', name: 'Cal', goals: 1, shots: 2, accuracy: 100 }
+        ];
+
+        expect(sortPlayerStats(players, 'goals').map(p => p.playerId)).toEqual(['a', 'b', 'c']);
+        expect(sortPlayerStats(players, 'shots').map(p => p.playerId)).toEqual(['b', 'a', 'c']);
+        expect(sortPlayerStats(players, 'accuracy').map(p => p.playerId)).toEqual(['c', 'a', 'b']);
+        expect(sortPlayerStats(players, 'unknown').map(p => p.playerId)).toEqual(['a', 'b', 'c']);
+        expect(players[0].playerId).toBe('a');
+    });
+
+    it('should collect a player\'s shots across games', () => {
+        const games = [
+            { log: [shot('GOAL!', 'p1'), shot('GOAL!', 'p2')] },
+            { log: [shot('Shot Off Target', 'p1')] }
+        ];
+
+        expect(getPlayerShots(games, 'p1').map(s => s.type)).toEqual(['GOAL!', 'Shot Off Target']);
+        expect(getPlayerShots(undefined, 'p1')).toEqual([]);
+    });
+
+    it('should list the games a player shot or assisted in', () => {
+        const games = [
+            { id: 'g2', date: '2026-05-09', homeTeam: 'Rovers', awayTeam: 'Us', log: [shot('GOAL!', 'p2', { team: 'away', assistPlayerId: 'p1' })] },
+            { id: 'g1', date: '2026-05-02', homeTeam: 'Us', awayTeam: 'City', log: [shot('GOAL!', 'p1'), shot('Shot Off Target', 'p1')] },
+            { id: 'g0', date: '2026-04-25', homeTeam: 'Us', awayTeam: 'United', log: [shot('GOAL!', 'p2')] }
+        ];
+
+        const rows = getPlayerGameLog(games, 'p1');
+
+        expect(rows.map(row => row.gameId)).toEqual(['g2', 'g1']);
+        expect(rows[0]).toMatchObject({ opponent: 'Rovers', shots: 0, goals: 0, assists: 1 });
+        expect(rows[1]).toMatchObject({ date: '2026-05-02', opponent: 'City', shots: 2, goals: 1, accuracy: 50 });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Game Recovery Tests
+ * Tests for finding and resuming an unsaved in-progress game (src/recovery.js)
+ */
+
+import { GAME_EVENTS, createEvent } from '@/gameState.js';
+import {
+    createRecoveryRecord,
+    fromActiveGameRow,
+    isRecoverable,
+    pickRecoveryRecord,
+    getRecoveredClock
+} from '@/recovery.js';
+
+const KICK_OFF = Date.parse('2024-03-15T10:00:00.000Z');
+
+function eventAt(type, payload, secondsAfterKickOff) {
+    return createEvent(type, payload, { at: new Date(KICK_OFF + secondsAfterKickOff * 1000).toISOString() });
+}
+
+function shotEvent() {
+    return createEvent(GAME_EVENTS.SHOT_RECORDED, {
+        shot: { team: 'home', type: 'GOAL!', half: 1, gameTime: '05:00', clockSeconds: 300 }
+    });
+}
+
+function record(overrides = {}) {
+    return createRecoveryRecord({
+        events: [shotEvent()],
+        metadata: { homeTeam: 'Eagles FC', awayTeam: 'Hawks United' },
+        setup: { fieldSidesFlipped: true },
+        teamId: 'team-1',
+        userId: 'coach-1',
+        ...overrides
+    }, KICK_OFF);
+}
+
+describe('Game Recovery', () => {
+    // =====================================================
+    // RECORDS
+    // =====================================================
+
+    describe('Records', () => {
+        it('should stamp the device copy with the time it was saved', () => {
+            const saved = record();
+
+            expect(saved.savedAt).toBe('2024-03-15T10:00:00.000Z');
+            expect(saved.teamId).toBe('team-1');
+            expect(saved.setup).toEqual({ fieldSidesFlipped: true });
+        });
+
+        it('should read an active_games row into the same shape', () => {
+            const events = [shotEvent()];
+            const converted = fromActiveGameRow({
+                team_id: 'team-1',
+                started_by: 'coach-1',
+                updated_at: '2024-03-15T10:30:00.000Z',
+                game_state: { events, removals: { s1: { undone: true, seq: 2 } }, gameId: 'live-1', startedAt: '2024-03-15T10:00:00.000Z' },
+                game_metadata: { homeTeam: 'Eagles FC', setup: { rosterId: 'r1' } }
+            });
+
+            expect(converted).toEqual({
+                events,
+                removals: { s1: { undone: true, seq: 2 } },
+                liveGame: { gameId: 'live-1', startedAt: '2024-03-15T10:00:00.000Z' },
+                metadata: { homeTeam: 'Eagles FC' },
+                setup: { rosterId: 'r1' },
+                teamId: 'team-1',
+                userId: 'coach-1',
+                savedAt: '2024-03-15T10:30:00.000Z'
+            });
+        });
+
+        it('should handle missing rows and rows from before event streams', () => {
+            expect(fromActiveGameRow(null)).toBeNull();
+
+            const converted = fromActiveGameRow({ team_id: 't', game_state: { log: [] }, game_metadata: null });
+            expect(converted.events).toEqual([]);
+            expect(converted.removals).toEqual({});
+            expect(converted.liveGame).toBeNull();
+            expect(converted.setup).toBeNull();
+        });
+    });
+
+    // =====================================================
+    // CHOOSING A GAME
+    // =====================================================
+
+    describe('Choosing a Game', () => {
+        it('should only offer games with events recorded by this user', () => {
+            expect(isRecoverable(record(), 'coach-1')).toBe(true);
+            expect(isRecoverable(record({ userId: null }), 'coach-1')).toBe(true);
+            expect(isRecoverable(record(), 'coach-2')).toBe(false);
+            expect(isRecoverable(record({ events: [] }), 'coach-1')).toBe(false);
+            expect(isRecoverable(undefined, 'coach-1')).toBe(false);
+        });
+
+        it('should pick the most recently saved copy', () => {
+            const local = record();
+            const remote = { ...record(), teamId: 'team-2', savedAt: '2024-03-15T10:05:00.000Z' };
+
+            expect(pickRecoveryRecord(local, remote, 'coach-1')).toBe(remote);
+            expect(pickRecoveryRecord({ ...local, savedAt: remote.savedAt }, remote, 'coach-1').teamId).toBe('team-1');
+        });
+
+        it('should fall back to whichever copy is usable', () => {
+            const local = record();
+
+            expect(pickRecoveryRecord(local, null, 'coach-1')).toBe(local);
+            expect(pickRecoveryRecord(record({ events: [] }), local, 'coach-1')).toBe(local);
+            expect(pickRecoveryRecord(null, null, 'coach-1')).toBeNull();
+        });
+    });
+
+    // =====================================================
+    // CLOCK
+    // =====================================================
+
+    describe('Clock', () => {
+        it('should keep a paused clock where it stopped', () => {
+            const events = [
+                eventAt(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }, 0),
+                eventAt(GAME_EVENTS.CLOCK_PAUSED, { seconds: 1200 }, 1200)
+            ];
+
+            expect(getRecoveredClock(events, KICK_OFF + 5000 * 1000)).toEqual({ isRunning: false, seconds: 1200 });
+        });
+
+        it('should add the time since a running clock was last started', () => {
+            const events = [
+                eventAt(GAME_EVENTS.CLOCK_STARTED, { seconds: 0 }, 0),
+                eventAt(GAME_EVENTS.CLOCK_PAUSED, { seconds: 2700 }, 2700),
+                eventAt(GAME_EVENTS.HALF_CHANGED, { half: 2 }, 3000),
+                eventAt(GAME_EVENTS.CLOCK_STARTED, { seconds: 2700 }, 3600)
+            ];
+
+            expect(getRecoveredClock(events, KICK_OFF + 3690 * 1000)).toEqual({ isRunning: true, seconds: 2790 });
+        });
+
+        it('should not count backwards when the device clock is behind', () => {
+            const events = [eventAt(GAME_EVENTS.CLOCK_STARTED, { seconds: 600 }, 0)];
+
+            expect(getRecoveredClock(events, KICK_OFF - 60 * 1000).seconds).toBe(600);
+        });
+
+        it('should start from zero when the clock never ran', () => {
+            expect(getRecoveredClock([shotEvent()])).toEqual({ isRunning: false, seconds: 0 });
+        });
+    });
+});
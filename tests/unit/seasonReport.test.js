@@ -0,0 +1,107 @@
+/**
+ * Season Report Tests
+ * Tests for the PDF season report layout (src/seasonReport.js)
+ */
+
+import {
+    buildSeasonReport,
+    getSeasonReportFileName,
+    getSeasonReportPeriodLabel,
+    getSeasonResults
+} from '@/seasonReport.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+function toText(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+function pageCount(file) {
+    return Number(file.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+}
+
+const GAMES = [
+    {
+        id: 'g2',
+        date: '2026-04-12T15:00:00.000Z',
+        homeTeam: 'Rovers',
+        awayTeam: 'Eagles',
+        home: { goals: 1, onTarget: 2, offTarget: 1 },
+        away: { goals: 1, onTarget: 3, offTarget: 2 },
+        log: [
+            { ...createShot({ team: 'away', type: 'GOAL!', x: 5, y: 34 }), playerId: 'p1', playerName: 'Ava Cole' },
+            createShot({ team: 'home', type: 'GOAL!', x: 100, y: 30 })
+        ]
+    },
+    {
+        id: 'g1',
+        date: '2026-04-05T15:00:00.000Z',
+        homeTeam: 'Eagles',
+        awayTeam: 'City',
+        home: { goals: 3, onTarget: 5, offTarget: 4 },
+        away: { goals: 0, onTarget: 1, offTarget: 0 },
+        log: Array.from({ length: 10 }, (_, i) => ({
+            ...createShot({ type: i < 3 ? 'GOAL!' : 'Shot Off Target', x: 80 + i, y: 20 + i }),
+            playerId: 'p2',
+            playerName: 'Ben Diaz'
+        }))
+    }
+];
+
+describe('Season Report', () => {
+    it('should name the file after the team and period', () => {
+        expect(getSeasonReportFileName('Eagles (U12)', 'Spring 2026')).toBe('eagles-u12-spring-2026-season-report.pdf');
+        expect(getSeasonReportFileName('Eagles', '')).toBe('eagles-season-report.pdf');
+    });
+
+    it('should describe the season and date range covered', () => {
+        const from = '2026-04-01T12:00:00.000Z';
+        const to = '2026-05-31T12:00:00.000Z';
+
+        expect(getSeasonReportPeriodLabel({})).toBe('All games');
+        expect(getSeasonReportPeriodLabel({ seasonName: 'Spring 2026' })).toBe('Spring 2026');
+        expect(getSeasonReportPeriodLabel({ seasonName: 'Spring 2026', from, to })).toBe('Spring 2026 · Apr 1, 2026 – May 31, 2026');
+        expect(getSeasonReportPeriodLabel({ from })).toBe('From Apr 1, 2026');
+        expect(getSeasonReportPeriodLabel({ to })).toBe('Until May 31, 2026');
+    });
+
+    it('should list each game from the team\'s side, oldest first', () => {
+        expect(getSeasonResults(GAMES, 'Eagles')).toEqual([
+            { gameId: 'g1', date: GAMES[1].date, opponent: 'City', venue: 'home', goalsFor: 3, goalsAgainst: 0, shotsFor: 9, shotsAgainst: 1, result: 'W' },
+            { gameId: 'g2', date: GAMES[0].date, opponent: 'Rovers', venue: 'away', goalsFor: 1, goalsAgainst: 1, shotsFor: 5, shotsAgainst: 3, result: 'D' }
+        ]);
+    });
+
+    it('should lay out every section of a season', () => {
+        const file = toText(buildSeasonReport(GAMES, { teamName: 'Eagles', periodLabel: 'Spring 2026' }));
+
+        expect(file.startsWith('%PDF-1.4')).toBe(true);
+        ['(Season Report)', '(Record)', '(Player Goals)', '(Shot Map)', '(Heat Map)', '(Results)']
+            .forEach(title => expect(file).toContain(title));
+        expect(file).toContain('(Eagles \xb7 Spring 2026)');
+        expect(file).toContain('(1W  1D  0L)');
+        expect(file).toContain('(Ben Diaz)');
+        expect(file).toContain('(Rovers)');
+        expect(file).toContain(`(Page 1 of ${pageCount(file)})`);
+    });
+
+    it('should explain a missing heat map and skip the shot map without shots', () => {
+        const fewShots = toText(buildSeasonReport([GAMES[0]], { teamName: 'Eagles' }));
+        expect(fewShots).toContain('(Needs at least 10 shots \\(1 so far\\))');
+
+        const noShots = toText(buildSeasonReport([{ ...GAMES[0], log: [] }], { teamName: 'Eagles' }));
+        expect(noShots).not.toContain('(Shot Map)');
+        expect(noShots).not.toContain('(Heat Map)');
+        expect(noShots).toContain('(No shots were credited to players)');
+    });
+
+    it('should repeat the results header on new pages', () => {
+        const games = Array.from({ length: 80 }, (_, i) => ({ ...GAMES[1], id: `g${i}`, awayTeam: `Opponent ${i}`, log: [] }));
+        const file = toText(buildSeasonReport(games, { teamName: 'Eagles' }));
+        const pages = pageCount(file);
+
+        expect(pages).toBeGreaterThan(1);
+        expect(file.match(/\(Opponent\) Tj/g).length).toBeGreaterThan(1);
+        expect(file).toContain('(Opponent 79)');
+        expect(file).toContain(`(Page ${pages} of ${pages})`);
+    });
+});
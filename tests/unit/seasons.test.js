@@ -0,0 +1,91 @@
+/**
+ * Seasons Tests
+ * Tests for season and competition grouping and comparison (src/seasons.js)
+ */
+
+import {
+    COMPETITION_TYPES,
+    getCompetitionTypeLabel,
+    getCompetitionTypeFilter,
+    findSeasonForDate,
+    filterGames,
+    compareSeasons
+} from '@/seasons.js';
+
+const SEASONS = [
+    { id: 's2', name: '2026', start_date: '2026-01-01', end_date: '2026-12-31' },
+    { id: 's1', name: '2025', start_date: '2025-01-01', end_date: '2025-12-31' }
+];
+
+const COMPETITIONS = [
+    { id: 'c1', name: 'County League', type: 'league' },
+    { id: 'c2', name: 'Spring Cup', type: 'cup' },
+    { id: 'c3', name: 'Winter Cup', type: 'cup' }
+];
+
+function game(id, seasonId, competitionId, ourGoals = 0, theirGoals = 0) {
+    return {
+        id,
+        seasonId,
+        competitionId,
+        teamSide: 'home',
+        home: { goals: ourGoals, onTarget: ourGoals, offTarget: 2 },
+        away: { goals: theirGoals, onTarget: theirGoals, offTarget: 1 }
+    };
+}
+
+const GAMES = [
+    game('g1', 's1', 'c1', 1, 0),
+    game('g2', 's1', 'c2', 0, 2),
+    game('g3', 's2', 'c1', 3, 1),
+    game('g4', 's2', 'c3', 2, 2),
+    game('g5', null, null, 1, 1)
+];
+
+describe('Seasons', () => {
+    it('should label competition types', () => {
+        expect(Object.keys(COMPETITION_TYPES)).toEqual(['league', 'cup', 'friendly', 'tournament']);
+        expect(getCompetitionTypeLabel('cup')).toBe('Cup');
+        expect(getCompetitionTypeLabel('exhibition')).toBe('exhibition');
+    });
+
+    it('should find the season covering a date', () => {
+        expect(findSeasonForDate(SEASONS, '2025-12-31').id).toBe('s1');
+        expect(findSeasonForDate(SEASONS, '2026-03-14').id).toBe('s2');
+        expect(findSeasonForDate(SEASONS, '2024-06-01')).toBeNull();
+        expect(findSeasonForDate([{ id: 'open', start_date: '2027-01-01' }], '2030-01-01').id).toBe('open');
+        expect(findSeasonForDate(SEASONS, '')).toBeNull();
+    });
+
+    it('should filter games by season', () => {
+        expect(filterGames(GAMES, { seasonId: 's1' }).map(g => g.id)).toEqual(['g1', 'g2']);
+        expect(filterGames(GAMES, { seasonId: 'none' }).map(g => g.id)).toEqual(['g5']);
+        expect(filterGames(GAMES).map(g => g.id)).toHaveLength(5);
+    });
+
+    it('should filter games by competition or competition type', () => {
+        expect(filterGames(GAMES, { competition: 'c1' }, COMPETITIONS).map(g => g.id)).toEqual(['g1', 'g3']);
+        expect(filterGames(GAMES, { competition: getCompetitionTypeFilter('cup') }, COMPETITIONS).map(g => g.id))
+            .toEqual(['g2', 'g4']);
+        expect(filterGames(GAMES, { seasonId: 's2', competition: 'type:cup' }, COMPETITIONS).map(g => g.id))
+            .toEqual(['g4']);
+        expect(filterGames(GAMES, { competition: 'none' }).map(g => g.id)).toEqual(['g5']);
+        expect(filterGames(GAMES, { competition: 'type:league' }).map(g => g.id)).toEqual([]);
+    });
+
+    it('should compare seasons oldest first with changes from the season before', () => {
+        const rows = compareSeasons(GAMES, SEASONS, 'Eagles');
+
+        expect(rows.map(row => row.name)).toEqual(['2025', '2026']);
+        expect(rows[0]).toMatchObject({ games: 2, wins: 1, losses: 1, draws: 0, avgGoalsFor: 0.5, change: null });
+        expect(rows[1]).toMatchObject({ games: 2, wins: 1, draws: 1, goalsFor: 5, avgGoalsFor: 2.5 });
+        expect(rows[1].change).toEqual({ avgGoalsFor: 2, avgGoalsAgainst: 0.5, avgShotsFor: 2, accuracy: 36 });
+    });
+
+    it('should leave out seasons without games', () => {
+        const rows = compareSeasons(GAMES, [...SEASONS, { id: 's3', name: '2027', start_date: '2027-01-01' }], 'Eagles');
+
+        expect(rows.map(row => row.seasonId)).toEqual(['s1', 's2']);
+        expect(compareSeasons(undefined, undefined, 'Eagles')).toEqual([]);
+    });
+});
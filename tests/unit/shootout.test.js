@@ -0,0 +1,80 @@
+/**
+ * Penalty Shootout Tests
+ * Tests for shootout kick order and scoring (src/shootout.js)
+ */
+
+import {
+    SHOOTOUT_RESULTS,
+    getShootoutResultLabel,
+    getNextKickingTeam,
+    getShootoutStatus,
+    getShootoutSummary
+} from '@/shootout.js';
+
+const { SCORED, SAVED, MISSED } = SHOOTOUT_RESULTS;
+
+// Alternating kicks starting with home: kicks('SS', 'SM') -> H S, A S, H S, A M
+function kicks(homeResults, awayResults) {
+    const codes = { S: SCORED, V: SAVED, M: MISSED };
+    const list = [];
+    const rounds = Math.max(homeResults.length, awayResults.length);
+    for (let i = 0; i < rounds; i++) {
+        if (homeResults[i]) list.push({ team: 'home', result: codes[homeResults[i]] });
+        if (awayResults[i]) list.push({ team: 'away', result: codes[awayResults[i]] });
+    }
+    return list;
+}
+
+describe('Penalty Shootout', () => {
+    it('should label results', () => {
+        expect(getShootoutResultLabel(SCORED)).toBe('Scored');
+        expect(getShootoutResultLabel(SAVED)).toBe('Saved');
+        expect(getShootoutResultLabel(MISSED)).toBe('Missed');
+    });
+
+    it('should alternate the kicking team', () => {
+        expect(getNextKickingTeam([], 'away')).toBe('away');
+        expect(getNextKickingTeam(kicks('S', ''))).toBe('away');
+        expect(getNextKickingTeam(kicks('S', 'S'))).toBe('home');
+    });
+
+    it('should keep score without deciding too early', () => {
+        const status = getShootoutStatus(kicks('SSV', 'SMS'));
+
+        expect(status).toMatchObject({ home: 2, away: 2, homeTaken: 3, awayTaken: 3, decided: false, suddenDeath: false });
+    });
+
+    it('should end once a team cannot catch up', () => {
+        const status = getShootoutStatus(kicks('SSS', 'MMM'));
+
+        expect(status.decided).toBe(true);
+        expect(status.winner).toBe('home');
+    });
+
+    it('should not end while the trailing team can still draw level', () => {
+        expect(getShootoutStatus(kicks('SSS', 'MS')).decided).toBe(false);
+    });
+
+    it('should go to sudden death when level after five rounds', () => {
+        let status = getShootoutStatus(kicks('SSSSS', 'SSSSS'));
+        expect(status.suddenDeath).toBe(true);
+        expect(status.decided).toBe(false);
+
+        status = getShootoutStatus(kicks('SSSSSS', 'SSSSS'));
+        expect(status.decided).toBe(false);
+
+        status = getShootoutStatus(kicks('SSSSSS', 'SSSSSV'));
+        expect(status.winner).toBe('home');
+        expect(status.home).toBe(6);
+    });
+
+    it('should ignore kicks without a team', () => {
+        expect(getShootoutStatus([{ team: 'neutral', result: SCORED }]).home).toBe(0);
+    });
+
+    it('should summarize the shootout score', () => {
+        expect(getShootoutSummary(kicks('SSSVS', 'SSMSM'))).toBe('4-3 pens');
+        expect(getShootoutSummary([])).toBe('');
+        expect(getShootoutSummary(undefined)).toBe('');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Shot Type Tests
+ * Tests for shot outcome labels and optional shot tags (src/shotTypes.js)
+ */
+
+import {
+    SHOT_TYPES,
+    getShotTypeLabel,
+    isGoal,
+    isOnTarget,
+    isOffTarget,
+    isSaved,
+    isBlocked,
+    isWoodwork,
+    getShotAttributeLabel,
+    normalizeShotAttributes,
+    describeShotAttributes
+} from '@/shotTypes.js';
+
+describe('Shot Types', () => {
+    // =====================================================
+    // OUTCOMES
+    // =====================================================
+
+    describe('Outcomes', () => {
+        it('should map record buttons to stored labels', () => {
+            expect(getShotTypeLabel('goal')).toBe(SHOT_TYPES.GOAL);
+            expect(getShotTypeLabel('blocked')).toBe('Shot Blocked');
+            expect(getShotTypeLabel('woodwork')).toBe('Hit Woodwork');
+            expect(getShotTypeLabel('unknown')).toBe(SHOT_TYPES.OFF_TARGET);
+        });
+
+        it('should treat blocks and woodwork as off target', () => {
+            const blocked = { type: SHOT_TYPES.BLOCKED };
+            const woodwork = { type: SHOT_TYPES.WOODWORK };
+
+            expect(isOffTarget(blocked)).toBe(true);
+            expect(isOffTarget(woodwork)).toBe(true);
+            expect(isOnTarget(woodwork)).toBe(false);
+            expect(isBlocked(blocked)).toBe(true);
+            expect(isWoodwork(woodwork)).toBe(true);
+        });
+
+        it('should count a shot on target that is not a goal as a save', () => {
+            expect(isSaved({ type: SHOT_TYPES.ON_TARGET })).toBe(true);
+            expect(isSaved({ type: SHOT_TYPES.GOAL })).toBe(false);
+            expect(isGoal({ type: SHOT_TYPES.GOAL })).toBe(true);
+        });
+    });
+
+    // =====================================================
+    // TAGS
+    // =====================================================
+
+    describe('Tags', () => {
+        it('should label tag values', () => {
+            expect(getShotAttributeLabel('bodyPart', 'left_foot')).toBe('Left Foot');
+            expect(getShotAttributeLabel('situation', 'free_kick')).toBe('Free Kick');
+            expect(getShotAttributeLabel('assistType', 'through_ball')).toBe('Through Ball');
+            expect(getShotAttributeLabel('bodyPart', 'knee')).toBe('');
+            expect(getShotAttributeLabel('weather', 'rain')).toBe('');
+        });
+
+        it('should keep only known tag values', () => {
+            expect(normalizeShotAttributes({ bodyPart: 'head', situation: 'throw_in', team: 'home' })).toEqual({
+                bodyPart: 'head',
+                situation: null,
+                assistType: null
+            });
+            expect(normalizeShotAttributes()).toEqual({ bodyPart: null, situation: null, assistType: null });
+        });
+
+        it('should describe the tags set on a shot', () => {
+            expect(describeShotAttributes({ bodyPart: 'right_foot', situation: 'corner', assistType: 'cross' }))
+                .toBe('Right Foot · Corner · Cross');
+            expect(describeShotAttributes({ situation: 'penalty' })).toBe('Penalty');
+            expect(describeShotAttributes({})).toBe('');
+        });
+    });
+});
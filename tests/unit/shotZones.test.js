@@ -0,0 +1,80 @@
+/**
+ * Shot Zones Tests
+ * Tests for zone grids and per-zone shooting stats (src/shotZones.js)
+ */
+
+import {
+    ZONE_GRIDS,
+    DEFAULT_ZONE_GRID,
+    getZoneGrid,
+    findShotZone,
+    getZoneStats,
+    describeZoneRow
+} from '@/shotZones.js';
+import { createShot } from '../fixtures/mockShots.js';
+
+const DETAILED = ZONE_GRIDS.detailed.zones;
+
+describe('Shot Zones', () => {
+    it('should fall back to the default grid for unknown ids', () => {
+        expect(DEFAULT_ZONE_GRID).toBe('detailed');
+        expect(getZoneGrid('simple')).toBe(ZONE_GRIDS.simple);
+        expect(getZoneGrid('missing')).toBe(ZONE_GRIDS.detailed);
+    });
+
+    it('should place positions in the detailed zones', () => {
+        const zoneAt = (x, y) => findShotZone({ x, y }, DETAILED).id;
+
+        expect(zoneAt(102, 34)).toBe('six-yard');
+        expect(zoneAt(94, 34)).toBe('penalty-spot');
+        expect(zoneAt(95, 18)).toBe('box-left');
+        expect(zoneAt(95, 50)).toBe('box-right');
+        expect(zoneAt(82, 30)).toBe('edge');
+        expect(zoneAt(90, 5)).toBe('wide-left');
+        expect(zoneAt(80, 65)).toBe('wide-right');
+        expect(zoneAt(60, 34)).toBe('long-range');
+    });
+
+    it('should turn shots at the left-hand goal toward the right', () => {
+        expect(findShotZone({ x: 3, y: 34 }, DETAILED, false).id).toBe('six-yard');
+        // Mirrored through the centre spot, so the attacker's left stays left
+        expect(findShotZone({ x: 10, y: 50 }, DETAILED, false).id).toBe('box-left');
+        // A shot from the side's own half isn't a zone in the attacking half
+        expect(findShotZone({ x: 70, y: 34 }, DETAILED, false)).toBeNull();
+    });
+
+    it('should cover the whole attacking half with every grid', () => {
+        Object.values(ZONE_GRIDS).forEach(grid => {
+            for (let x = 52.5; x <= 105; x += 2.5) {
+                for (let y = 0; y <= 68; y += 2) {
+                    expect(findShotZone({ x, y }, grid.zones)).not.toBeNull();
+                }
+            }
+        });
+    });
+
+    it('should total shots, goals and conversion per zone', () => {
+        const rows = getZoneStats([
+            createShot({ type: 'GOAL!', x: 102, y: 34 }),
+            createShot({ type: 'Shot On Target', x: 101, y: 30 }),
+            createShot({ type: 'Shot Off Target', x: 60, y: 10 }),
+            createShot({ type: 'GOAL!', x: 95, y: 34 }),
+            { team: 'home', type: 'GOAL!' }
+        ], ZONE_GRIDS.simple.zones);
+
+        expect(rows.map(row => row.id)).toEqual(['six-yard', 'box', 'outside']);
+        expect(rows[0]).toMatchObject({ label: '6-yard box', shots: 2, goals: 1, conversion: 50 });
+        expect(rows[1]).toMatchObject({ shots: 1, goals: 1, conversion: 100 });
+        expect(rows[2]).toMatchObject({ shots: 1, goals: 0, conversion: 0 });
+    });
+
+    it('should list every zone even without shots', () => {
+        expect(getZoneStats([], DETAILED)).toHaveLength(DETAILED.length);
+        expect(getZoneStats(null, DETAILED).every(row => row.shots === 0 && row.conversion === 0)).toBe(true);
+    });
+
+    it('should describe a zone\'s numbers', () => {
+        expect(describeZoneRow({ shots: 5, goals: 2, conversion: 40 })).toBe('5 shots · 2 goals · 40%');
+        expect(describeZoneRow({ shots: 1, goals: 1, conversion: 100 })).toBe('1 shot · 1 goal · 100%');
+    });
+});
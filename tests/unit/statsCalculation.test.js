@@ -1,6 +1,6 @@
 /**
  * Stats Calculation Tests
- * Tests for calculating shot statistics from shot data
+ * Tests for calculating shot statistics from shot data (src/stats.js)
  */
 
 import {
@@ -8,46 +8,25 @@ import {
     smallDataset,
     mediumDataset,
     statsTestData,
-    emptyShots
+    emptyShots,
+    mockGame
 } from '../fixtures/mockShots.js';
 
-// =====================================================
-// STATS CALCULATION HELPER FUNCTIONS
-// These simulate the app's stats calculation logic
-// =====================================================
-
-function calculateTeamStats(shots, team) {
-    const teamShots = shots.filter(s => s.team === team);
-
-    const goals = teamShots.filter(s => s.type === 'GOAL!').length;
-    const onTarget = teamShots.filter(s => s.type === 'Shot On Target').length;
-    const offTarget = teamShots.filter(s => s.type === 'Shot Off Target').length;
-
-    return {
-        goals,
-        onTarget: goals + onTarget, // Goals count as on target
-        offTarget,
-        total: teamShots.length
-    };
-}
-
-function calculateHalfStats(shots, team, half) {
-    const filteredShots = shots.filter(s => s.team === team && s.half === half);
-
-    const goals = filteredShots.filter(s => s.type === 'GOAL!').length;
-    const onTarget = filteredShots.filter(s => s.type === 'Shot On Target').length;
-    const offTarget = filteredShots.filter(s => s.type === 'Shot Off Target').length;
-
-    return { goals, onTarget, offTarget };
-}
-
-function calculateTotalStats(shots) {
-    return {
-        home: calculateTeamStats(shots, 'home'),
-        away: calculateTeamStats(shots, 'away'),
-        total: shots.length
-    };
-}
+import {
+    calculateTeamStats,
+    calculateHalfStats,
+    calculateTotalStats,
+    calculateAccuracy,
+    calculateConversionRate,
+    countShots,
+    countShotOutcomes,
+    countByAttribute,
+    getTotalShots,
+    getMatchResult,
+    summarizeGames,
+    getTeamSide,
+    summarizeTeamRecord
+} from '@/stats.js';
 
 describe('Stats Calculation', () => {
     // =====================================================
@@ -146,7 +125,7 @@ describe('Stats Calculation', () => {
 
             // Medium dataset home 1st half: 2 goals, 2 on target, 1 off target
             expect(firstHalfHome.goals).toBe(2);
-            expect(firstHalfHome.onTarget).toBe(2);
+            expect(firstHalfHome.onTarget).toBe(4); // 2 goals + 2 on target
             expect(firstHalfHome.offTarget).toBe(1);
         });
 
@@ -155,22 +134,31 @@ describe('Stats Calculation', () => {
 
             // Medium dataset home 2nd half: 1 goal, 1 on target, 1 off target
             expect(secondHalfHome.goals).toBe(1);
-            expect(secondHalfHome.onTarget).toBe(1);
+            expect(secondHalfHome.onTarget).toBe(2); // 1 goal + 1 on target
             expect(secondHalfHome.offTarget).toBe(1);
         });
 
+        it('should match the half counters kept by the live game (goals count as on target)', () => {
+            const first = calculateHalfStats(mediumDataset, 'home', '1st Half');
+            const second = calculateHalfStats(mediumDataset, 'home', '2nd Half');
+            const total = calculateTeamStats(mediumDataset, 'home');
+
+            expect(first.onTarget + second.onTarget).toBe(total.onTarget);
+            expect(first.goals + second.goals).toBe(total.goals);
+        });
+
         it('should calculate away team half stats correctly', () => {
             const firstHalfAway = calculateHalfStats(mediumDataset, 'away', '1st Half');
             const secondHalfAway = calculateHalfStats(mediumDataset, 'away', '2nd Half');
 
             // First half: 1 goal, 1 on target, 1 off target
             expect(firstHalfAway.goals).toBe(1);
-            expect(firstHalfAway.onTarget).toBe(1);
+            expect(firstHalfAway.onTarget).toBe(2); // 1 goal + 1 on target
             expect(firstHalfAway.offTarget).toBe(1);
 
             // Second half: 1 goal, 2 on target, 1 off target
             expect(secondHalfAway.goals).toBe(1);
-            expect(secondHalfAway.onTarget).toBe(2);
+            expect(secondHalfAway.onTarget).toBe(3); // 1 goal + 2 on target
             expect(secondHalfAway.offTarget).toBe(1);
         });
     });
@@ -188,8 +176,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            const goalCount = shots.filter(s => s.type === 'GOAL!').length;
-            expect(goalCount).toBe(2);
+            expect(countShots(shots).goals).toBe(2);
         });
 
         it('should count shots on target correctly (excluding goals)', () => {
@@ -204,6 +191,12 @@ describe('Stats Calculation', () => {
             expect(onTargetCount).toBe(2);
         });
 
+        it('should ignore unknown shot types', () => {
+            const stats = countShots([createShot({ type: 'Corner' })]);
+
+            expect(stats).toEqual({ goals: 0, onTarget: 0, offTarget: 0 });
+        });
+
         it('should count all on-target shots (including goals)', () => {
             const shots = [
                 createShot({ type: 'GOAL!' }),
@@ -212,10 +205,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            const allOnTarget = shots.filter(s =>
-                s.type === 'GOAL!' || s.type === 'Shot On Target'
-            ).length;
-            expect(allOnTarget).toBe(3);
+            expect(countShots(shots).onTarget).toBe(3);
         });
 
         it('should count shots off target correctly', () => {
@@ -227,8 +217,52 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            const offTargetCount = shots.filter(s => s.type === 'Shot Off Target').length;
-            expect(offTargetCount).toBe(3);
+            expect(countShots(shots).offTarget).toBe(3);
+        });
+    });
+
+    // =====================================================
+    // SHOT OUTCOMES AND TAGS
+    // =====================================================
+
+    describe('Shot Outcomes and Tags', () => {
+        it('should count blocked shots and woodwork as off target', () => {
+            const shots = [
+                createShot({ type: 'Shot Blocked' }),
+                createShot({ type: 'Hit Woodwork' }),
+                createShot({ type: 'Shot Off Target' })
+            ];
+
+            expect(countShots(shots)).toEqual({ goals: 0, onTarget: 0, offTarget: 3 });
+        });
+
+        it('should count saves, blocks and woodwork separately', () => {
+            const shots = [
+                createShot({ type: 'GOAL!' }),
+                createShot({ type: 'Shot On Target' }),
+                createShot({ type: 'Shot On Target' }),
+                createShot({ type: 'Shot Blocked' }),
+                createShot({ type: 'Hit Woodwork' })
+            ];
+
+            expect(countShotOutcomes(shots)).toEqual({ saved: 2, blocked: 1, woodwork: 1 });
+        });
+
+        it('should count shots and goals per tag value', () => {
+            const shots = [
+                { ...createShot({ type: 'GOAL!' }), bodyPart: 'head' },
+                { ...createShot(), bodyPart: 'head' },
+                { ...createShot(), bodyPart: 'left_foot' },
+                createShot(),
+                { ...createShot(), bodyPart: 'elbow' }
+            ];
+
+            const counts = countByAttribute(shots, 'bodyPart');
+
+            expect(counts.head).toEqual({ shots: 2, goals: 1 });
+            expect(counts.left_foot).toEqual({ shots: 1, goals: 0 });
+            expect(counts.right_foot).toEqual({ shots: 0, goals: 0 });
+            expect(counts).not.toHaveProperty('elbow');
         });
     });
 
@@ -237,13 +271,7 @@ describe('Stats Calculation', () => {
     // =====================================================
 
     describe('Shot Accuracy Calculations', () => {
-        const calculateAccuracy = (shots) => {
-            if (shots.length === 0) return 0;
-            const onTarget = shots.filter(s =>
-                s.type === 'GOAL!' || s.type === 'Shot On Target'
-            ).length;
-            return (onTarget / shots.length) * 100;
-        };
+        const accuracyFor = (shots) => calculateAccuracy(countShots(shots).onTarget, shots.length);
 
         it('should calculate 100% accuracy when all shots on target', () => {
             const shots = [
@@ -252,7 +280,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'GOAL!' })
             ];
 
-            expect(calculateAccuracy(shots)).toBe(100);
+            expect(accuracyFor(shots)).toBe(100);
         });
 
         it('should calculate 0% accuracy when all shots off target', () => {
@@ -262,7 +290,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            expect(calculateAccuracy(shots)).toBe(0);
+            expect(accuracyFor(shots)).toBe(0);
         });
 
         it('should calculate mixed accuracy correctly', () => {
@@ -273,11 +301,16 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            expect(calculateAccuracy(shots)).toBe(50);
+            expect(accuracyFor(shots)).toBe(50);
         });
 
         it('should return 0 for empty shot array', () => {
-            expect(calculateAccuracy([])).toBe(0);
+            expect(accuracyFor([])).toBe(0);
+        });
+
+        it('should round to a whole percentage', () => {
+            expect(calculateAccuracy(2, 3)).toBe(67);
+            expect(calculateAccuracy(1, 3)).toBe(33);
         });
     });
 
@@ -286,11 +319,7 @@ describe('Stats Calculation', () => {
     // =====================================================
 
     describe('Conversion Rate Calculations', () => {
-        const calculateConversionRate = (shots) => {
-            if (shots.length === 0) return 0;
-            const goals = shots.filter(s => s.type === 'GOAL!').length;
-            return (goals / shots.length) * 100;
-        };
+        const conversionFor = (shots) => calculateConversionRate(countShots(shots).goals, shots.length);
 
         it('should calculate 100% conversion when all shots are goals', () => {
             const shots = [
@@ -299,7 +328,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'GOAL!' })
             ];
 
-            expect(calculateConversionRate(shots)).toBe(100);
+            expect(conversionFor(shots)).toBe(100);
         });
 
         it('should calculate 0% conversion when no goals', () => {
@@ -308,7 +337,7 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            expect(calculateConversionRate(shots)).toBe(0);
+            expect(conversionFor(shots)).toBe(0);
         });
 
         it('should calculate partial conversion rate correctly', () => {
@@ -319,12 +348,16 @@ describe('Stats Calculation', () => {
                 createShot({ type: 'Shot Off Target' })
             ];
 
-            expect(calculateConversionRate(shots)).toBe(25);
+            expect(conversionFor(shots)).toBe(25);
         });
 
         it('should handle single goal shot', () => {
             const shots = [createShot({ type: 'GOAL!' })];
-            expect(calculateConversionRate(shots)).toBe(100);
+            expect(conversionFor(shots)).toBe(100);
+        });
+
+        it('should return 0 when there are no shots', () => {
+            expect(calculateConversionRate(0, 0)).toBe(0);
         });
     });
 
@@ -353,10 +386,8 @@ describe('Stats Calculation', () => {
                 s => s.team === 'away' && s.type === 'GOAL!'
             ).length;
 
-            const winner = homeGoals > awayGoals ? 'home' :
-                          awayGoals > homeGoals ? 'away' : 'draw';
-
-            expect(winner).toBe('home');
+            expect(getMatchResult(homeGoals, awayGoals)).toBe('home');
+            expect(getMatchResult(awayGoals, homeGoals)).toBe('away');
         });
 
         it('should identify draw when scores are equal', () => {
@@ -368,10 +399,94 @@ describe('Stats Calculation', () => {
             const homeGoals = shots.filter(s => s.team === 'home' && s.type === 'GOAL!').length;
             const awayGoals = shots.filter(s => s.team === 'away' && s.type === 'GOAL!').length;
 
-            const winner = homeGoals > awayGoals ? 'home' :
-                          awayGoals > homeGoals ? 'away' : 'draw';
+            expect(getMatchResult(homeGoals, awayGoals)).toBe('draw');
+        });
+    });
+
+    // =====================================================
+    // SAVED GAME SUMMARIES
+    // =====================================================
+
+    describe('Saved Game Summaries', () => {
+        it('should total shots from stored stats blocks', () => {
+            expect(getTotalShots(mockGame.home)).toBe(mockGame.home.onTarget + mockGame.home.offTarget);
+            expect(getTotalShots(undefined)).toBe(0);
+            expect(getTotalShots({ goals: 1 })).toBe(0);
+        });
+
+        it('should return zeroed summary for no games', () => {
+            expect(summarizeGames([])).toEqual({
+                totalGames: 0,
+                avgGoals: '0',
+                totalShots: 0,
+                avgAccuracy: 0
+            });
+        });
+
+        it('should summarize goals, shots and accuracy across games', () => {
+            const games = [
+                {
+                    home: { goals: 2, onTarget: 5, offTarget: 3 },
+                    away: { goals: 1, onTarget: 2, offTarget: 2 }
+                },
+                {
+                    home: { goals: 0, onTarget: 1, offTarget: 4 },
+                    away: { goals: 0, onTarget: 0, offTarget: 3 }
+                }
+            ];
+
+            const summary = summarizeGames(games);
+
+            expect(summary.totalGames).toBe(2);
+            expect(summary.avgGoals).toBe('1.5');
+            expect(summary.totalShots).toBe(20);
+            expect(summary.avgAccuracy).toBe(40);
+        });
+
+        it('should work out which side the tracked team played on', () => {
+            expect(getTeamSide({ teamSide: 'away', lineup: { team: 'home' } }, 'Eagles')).toBe('away');
+            expect(getTeamSide({ lineup: { team: 'away' } }, 'Eagles')).toBe('away');
+            expect(getTeamSide({ homeTeam: 'Rovers', awayTeam: 'Eagles' }, 'Eagles')).toBe('away');
+            expect(getTeamSide({ homeTeam: 'Eagles', awayTeam: 'Eagles' }, 'Eagles')).toBe('home');
+            expect(getTeamSide({ homeTeam: 'Rovers', awayTeam: 'City' })).toBe('home');
+        });
+
+        it('should total the team record for and against', () => {
+            const record = summarizeTeamRecord([
+                {
+                    teamSide: 'home',
+                    home: { goals: 2, onTarget: 5, offTarget: 3 },
+                    away: { goals: 1, onTarget: 2, offTarget: 2 }
+                },
+                {
+                    teamSide: 'away',
+                    home: { goals: 3, onTarget: 4, offTarget: 1 },
+                    away: { goals: 0, onTarget: 1, offTarget: 4 }
+                },
+                {
+                    homeTeam: 'Eagles',
+                    home: { goals: 1, onTarget: 1, offTarget: 0 },
+                    away: { goals: 1, onTarget: 1, offTarget: 0 }
+                }
+            ], 'Eagles');
+
+            expect(record).toMatchObject({
+                games: 3,
+                wins: 1,
+                draws: 1,
+                losses: 1,
+                goalsFor: 3,
+                goalsAgainst: 5,
+                shotsFor: 14,
+                shotsAgainst: 10,
+                avgGoalsFor: 1,
+                avgGoalsAgainst: 1.7,
+                accuracy: 50
+            });
+        });
 
-            expect(winner).toBe('draw');
+        it('should return an empty record for no games', () => {
+            expect(summarizeTeamRecord([], 'Eagles')).toMatchObject({ games: 0, wins: 0, avgGoalsFor: 0, accuracy: 0 });
         });
     });
 });
@@ -0,0 +1,175 @@
+/**
+ * Expected Goals Tests
+ * Tests for the xG model against reference shots (src/xg.js)
+ */
+
+import {
+    GOAL_WIDTH,
+    PENALTY_XG,
+    getShotGeometry,
+    getPositionXg,
+    getShotXg,
+    sumXg,
+    formatXg,
+    getXgTimeline,
+    getSavedGameXg
+} from '@/xg.js';
+
+// Reference positions attacking the right-hand goal (x = 105, centre y = 34)
+const PENALTY_SPOT = { x: 94, y: 34 };
+const SIX_YARD_LINE = { x: 99.5, y: 34 };
+const EDGE_OF_BOX = { x: 87, y: 34 };
+const LONG_RANGE = { x: 80, y: 34 };
+const BYLINE_WIDE = { x: 104, y: 10 };
+const HALFWAY = { x: 52, y: 34 };
+
+describe('Expected Goals', () => {
+    // =====================================================
+    // GEOMETRY
+    // =====================================================
+
+    describe('Geometry', () => {
+        it('should measure distance to the centre of the nearer goal', () => {
+            expect(getShotGeometry(PENALTY_SPOT).distance).toBeCloseTo(11);
+            expect(getShotGeometry({ x: 11, y: 34 }).distance).toBeCloseTo(11);
+            expect(getShotGeometry({ x: 101, y: 31 }).distance).toBeCloseTo(5);
+        });
+
+        it('should measure the angle between the posts', () => {
+            const { angle } = getShotGeometry(PENALTY_SPOT);
+
+            expect(angle).toBeCloseTo(2 * Math.atan((GOAL_WIDTH / 2) / 11), 5);
+            expect(getShotGeometry(BYLINE_WIDE).angle).toBeLessThan(0.05);
+        });
+
+        it('should give a straight angle on the goal line between the posts', () => {
+            expect(getShotGeometry({ x: 105, y: 35 }).angle).toBeCloseTo(Math.PI);
+        });
+    });
+
+    // =====================================================
+    // REFERENCE SHOTS
+    // =====================================================
+
+    describe('Reference Shots', () => {
+        it('should value shots in line with typical conversion rates', () => {
+            expect(getPositionXg(SIX_YARD_LINE)).toBeCloseTo(0.53, 2);
+            expect(getPositionXg(PENALTY_SPOT)).toBeCloseTo(0.2, 2);
+            expect(getPositionXg(EDGE_OF_BOX)).toBeCloseTo(0.068, 3);
+            expect(getPositionXg(LONG_RANGE)).toBeCloseTo(0.026, 3);
+            expect(getPositionXg(HALFWAY)).toBeLessThan(0.005);
+        });
+
+        it('should drop as shots get further out', () => {
+            const values = [SIX_YARD_LINE, PENALTY_SPOT, EDGE_OF_BOX, LONG_RANGE, HALFWAY].map(getPositionXg);
+
+            values.slice(1).forEach((value, i) => expect(value).toBeLessThan(values[i]));
+        });
+
+        it('should drop as the angle narrows at the same distance', () => {
+            const central = getPositionXg({ x: 93, y: 34 });
+            const wide = getPositionXg({ x: 105 - 12 * Math.cos(1), y: 34 + 12 * Math.sin(1) });
+
+            expect(wide).toBeLessThan(central);
+        });
+
+        it('should treat both ends of the pitch alike', () => {
+            expect(getPositionXg({ x: 11, y: 34 })).toBeCloseTo(getPositionXg(PENALTY_SPOT), 10);
+            expect(getPositionXg({ x: 1, y: 58 })).toBeCloseTo(getPositionXg({ x: 104, y: 10 }), 10);
+        });
+    });
+
+    // =====================================================
+    // SITUATIONS
+    // =====================================================
+
+    describe('Situations', () => {
+        it('should value penalties at the penalty conversion rate', () => {
+            expect(getShotXg({ position: PENALTY_SPOT, situation: 'penalty' })).toBe(PENALTY_XG);
+            expect(getShotXg({ situation: 'penalty' })).toBe(PENALTY_XG);
+        });
+
+        it('should scale open play for set pieces, counters and headers', () => {
+            const openPlay = getShotXg({ position: PENALTY_SPOT });
+
+            expect(getShotXg({ position: PENALTY_SPOT, situation: 'open_play' })).toBe(openPlay);
+            expect(getShotXg({ position: PENALTY_SPOT, situation: 'counter' })).toBeGreaterThan(openPlay);
+            expect(getShotXg({ position: PENALTY_SPOT, situation: 'free_kick' })).toBeLessThan(openPlay);
+            expect(getShotXg({ position: PENALTY_SPOT, bodyPart: 'head' })).toBeLessThan(openPlay);
+            expect(getShotXg({ position: PENALTY_SPOT, situation: 'corner', bodyPart: 'head' }))
+                .toBeLessThan(getShotXg({ position: PENALTY_SPOT, bodyPart: 'head' }));
+        });
+
+        it('should cap shots from on the goal line', () => {
+            expect(getShotXg({ position: { x: 104.5, y: 34 }, situation: 'counter' })).toBe(0.95);
+        });
+
+        it('should not value shots without a position', () => {
+            expect(getShotXg({ team: 'home' })).toBeNull();
+            expect(getShotXg({ position: { x: NaN, y: 10 } })).toBeNull();
+        });
+    });
+
+    // =====================================================
+    // TOTALS
+    // =====================================================
+
+    describe('Totals', () => {
+        const shots = [
+            { team: 'home', type: 'Shot On Target', gameTime: '05:00', position: PENALTY_SPOT },
+            { team: 'away', type: 'Shot Off Target', gameTime: '12:00' },
+            { team: 'away', type: 'GOAL!', gameTime: '20:00', displayTime: '20:00', situation: 'penalty' },
+            { team: 'home', type: 'GOAL!', gameTime: '31:00', clockSeconds: 1860, position: SIX_YARD_LINE }
+        ];
+
+        it('should add up the shots that can be valued', () => {
+            expect(sumXg(shots.filter(s => s.team === 'home'))).toBe(0.73);
+            expect(sumXg(shots.filter(s => s.team === 'away'))).toBe(0.76);
+            expect(sumXg([])).toBe(0);
+        });
+
+        it('should prefer the xG stored with a saved game', () => {
+            const game = { home: { xg: 1.5 }, away: {}, log: shots };
+
+            expect(getSavedGameXg(game, 'home')).toBe(1.5);
+            expect(getSavedGameXg(game, 'away')).toBe(0.76);
+            expect(getSavedGameXg({ away: {} }, 'away')).toBe(0);
+        });
+
+        it('should format to two decimals', () => {
+            expect(formatXg(0.7)).toBe('0.70');
+            expect(formatXg(undefined)).toBe('0.00');
+        });
+
+        it('should build a running total per team', () => {
+            const timeline = getXgTimeline([...shots].reverse());
+
+            expect(timeline.map(point => point.index)).toEqual([3, 1, 0]);
+            expect(timeline[1]).toMatchObject({ team: 'away', time: '20:00', xg: 0.76, isGoal: true, home: 0.2, away: 0.76 });
+            expect(timeline[1].seconds).toBeNull();
+            expect(timeline[2]).toMatchObject({ seconds: 1860, home: 0.73, away: 0.76 });
+        });
+
+        it('should run oldest first from a newest-first log', () => {
+            const log = [
+                { team: 'home', type: 'GOAL!', clockSeconds: 1860, position: SIX_YARD_LINE },
+                { team: 'away', type: 'GOAL!', clockSeconds: 1200, situation: 'penalty' },
+                { team: 'home', type: 'Shot On Target', clockSeconds: 300, position: PENALTY_SPOT }
+            ];
+            const timeline = getXgTimeline(log);
+
+            expect(timeline.map(point => point.seconds)).toEqual([300, 1200, 1860]);
+            expect(timeline[0]).toMatchObject({ index: 2, home: 0.2, away: 0 });
+            expect(timeline[2]).toMatchObject({ index: 0, home: 0.73, away: 0.76 });
+        });
+
+        it('should order by clock time when the log was edited out of order', () => {
+            const log = [
+                { team: 'home', type: 'GOAL!', clockSeconds: 300, position: SIX_YARD_LINE },
+                { team: 'home', type: 'Shot On Target', clockSeconds: 1860, position: PENALTY_SPOT }
+            ];
+
+            expect(getXgTimeline(log).map(point => point.seconds)).toEqual([300, 1860]);
+        });
+    });
+});